@@ -0,0 +1,171 @@
+const express = require('express');
+const cors = require('cors');
+const { createRequireAuth } = require('./middleware/auth');
+const { createLibraryAccess } = require('./middleware/access');
+const { createRequestLogger, restoreRequestContext } = require('./middleware/requestLogger');
+const { createMetricsMiddleware } = require('./middleware/metrics');
+const { createAuthRouter } = require('./routes/auth');
+const { createAccountRouter } = require('./routes/account');
+const { createVideosRouter } = require('./routes/videos');
+const { createBatchRouter } = require('./routes/batch');
+const { createSetsRouter } = require('./routes/sets');
+const { createRevisionsRouter } = require('./routes/revisions');
+const { createTrashRouter } = require('./routes/trash');
+const { createEventsRouter } = require('./routes/events');
+const { createLibraryRouter } = require('./routes/library');
+const { createFoldersRouter } = require('./routes/folders');
+const { createTagsRouter } = require('./routes/tags');
+const { createSharesRouter } = require('./routes/shares');
+const { createPerformancesRouter } = require('./routes/performances');
+const { createMappingsRouter } = require('./routes/mappings');
+const { createHotcueTemplatesRouter } = require('./routes/hotcueTemplates');
+const { createEventBus } = require('./lib/events');
+const { createMetadataService } = require('./lib/metadata');
+const { createAuthLimiter } = require('./lib/limiter');
+const { logPasswordReset } = require('./lib/passwords');
+const { createLogger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { createReadinessCheck } = require('./lib/health');
+const { sendError } = require('./lib/errors');
+const { buildOpenApi } = require('./lib/openapi');
+const { validateRequest } = require('./middleware/validate');
+
+// Build the Express app around a storage instance (see storage/index.js).
+// Kept separate from server.js so the app can run against any backend.
+// events is the realtime event bus (lib/events.js), metadata the YouTube
+// metadata service (lib/metadata.js), limiter the login/signup rate limiter
+// (lib/limiter.js), deliverPasswordReset sends password reset tokens
+// (lib/passwords.js), logger writes the request log (lib/logger.js) and
+// metrics collects what GET /metrics serves (lib/metrics.js);
+// defaults are used if not given.
+function createApp({
+  store,
+  events = createEventBus(),
+  metadata = createMetadataService({ store }),
+  limiter = createAuthLimiter(),
+  deliverPasswordReset = logPasswordReset,
+  logger = createLogger(),
+  metrics = createMetrics()
+}) {
+  const app = express();
+  const requireAuth = createRequireAuth(store);
+  const requireRole = createLibraryAccess(store);
+  const checkReadiness = createReadinessCheck({
+    store,
+    metadata,
+    timeoutMs: parseInt(process.env.READINESS_TIMEOUT_MS || '2000', 10)
+  });
+
+  // Behind a proxy (e.g. Render), set TRUST_PROXY so rate limits see the
+  // client's IP instead of the proxy's: a hop count like 1, or true
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+  }
+
+  // Middleware
+  // Request ids and one log line per request (first, so every response gets an id)
+  app.use(createRequestLogger(logger));
+  app.use(createMetricsMiddleware(metrics));
+  // Expose ETag so browser clients can send it back in If-Match
+  app.use(cors({ exposedHeaders: ['ETag', 'X-Total-Count', 'Retry-After', 'X-Request-Id'] }));
+  // Library import bundles can be far bigger than the 100kb default
+  app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
+  app.use(restoreRequestContext);
+
+  app.use(createAuthRouter({ store, requireAuth, limiter, metrics }));
+  app.use(createAccountRouter({ store, requireAuth, limiter, deliverPasswordReset }));
+  app.use(createBatchRouter({ store, events, metadata, requireAuth, requireRole }));
+  app.use(createVideosRouter({ store, events, metadata, requireAuth, requireRole }));
+  app.use(createRevisionsRouter({ store, events, requireAuth, requireRole }));
+  app.use(createTrashRouter({ store, events, requireAuth }));
+  app.use(createEventsRouter({ store, events, requireAuth }));
+  app.use(createLibraryRouter({ store, events, requireAuth }));
+  app.use(createSetsRouter({ store, requireAuth, requireRole }));
+  app.use(createFoldersRouter({ store, events, requireAuth }));
+  app.use(createTagsRouter({ store, events, requireAuth }));
+  app.use(createSharesRouter({ store, requireAuth }));
+  app.use(createPerformancesRouter({ store, requireAuth }));
+  app.use(createMappingsRouter({ store, requireAuth }));
+  app.use(createHotcueTemplatesRouter({ store, events, requireAuth, requireRole }));
+
+  // Liveness: the process is up and serving requests. /health is kept for
+  // existing monitors.
+  const liveness = [validateRequest({
+    summary: 'Liveness check',
+    description: 'Always ok while the process is serving requests. Doesn\'t check dependencies - see /health/ready.',
+    responses: { 200: { description: 'The server is up', schema: { type: 'object', properties: { status: { type: 'string' } } } } }
+  }), (req, res) => {
+    res.json({ status: 'ok' });
+  }];
+  app.get('/health', ...liveness);
+  app.get('/health/live', ...liveness);
+
+  // Readiness: storage and YouTube oEmbed can be reached (see lib/health.js)
+  const READINESS_SCHEMA = {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'degraded', 'fail'] },
+      checks: { type: 'object', description: 'storage and oembed, each { status, latencyMs, error? }' }
+    }
+  };
+  app.get('/health/ready', validateRequest({
+    summary: 'Readiness check',
+    description: 'Checks storage and YouTube oEmbed, each with a timeout. 503 if storage can\'t be reached; '
+      + 'if only oEmbed fails the status is "degraded" with a 200.',
+    responses: {
+      200: { description: 'Ready (ok or degraded)', schema: READINESS_SCHEMA },
+      503: { description: 'Not ready', schema: READINESS_SCHEMA }
+    }
+  }), async (req, res) => {
+    const readiness = await checkReadiness();
+    if (readiness.status === 'fail') {
+      console.error('Readiness check failed:', readiness.checks);
+    }
+    res.status(readiness.status === 'fail' ? 503 : 200).json(readiness);
+  });
+
+  // Prometheus metrics for this process (see lib/metrics.js)
+  app.get('/metrics', validateRequest({
+    summary: 'Prometheus metrics',
+    description: 'Request counts, latency histograms, error counts by type and login attempts, for this process.',
+    responses: { 200: { description: 'Prometheus text format', contentType: 'text/plain', schema: { type: 'string' } } }
+  }), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // OpenAPI document for every route above, built on first request
+  let openApiDocument;
+  app.get('/openapi.json', validateRequest({
+    summary: 'The OpenAPI document for this API',
+    responses: { 200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } } }
+  }), (req, res) => {
+    openApiDocument = openApiDocument || buildOpenApi(app);
+    res.json(openApiDocument);
+  });
+
+  // Unknown routes get the error envelope instead of Express' HTML page
+  app.use((req, res) => {
+    sendError(res, 404, 'NOT_FOUND', 'Not found', { path: req.path });
+  });
+
+  // Error handling middleware (must be last)
+  app.use((err, req, res, next) => {
+    // Bodies express.json() couldn't read
+    if (err.type === 'entity.parse.failed') {
+      return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON', { details: [err.message] });
+    }
+    if (err.type === 'entity.too.large') {
+      return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large', { limit: err.limit });
+    }
+
+    console.error('Unhandled error:', err);
+    sendError(res, 500, 'UNHANDLED_ERROR', 'Internal server error');
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
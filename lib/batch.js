@@ -0,0 +1,174 @@
+const { HOTCUE_SCHEMA_VERSION, HOTCUES_SCHEMA, validateHotcues } = require('./hotcues');
+const { parseYouTubeUrl } = require('./youtube');
+const { ID_SCHEMA } = require('./organize');
+const { objectSchema } = require('./schema');
+
+// Batch changes to one library: a list of operations, each one of
+//   create - save a new video           { op, youtubeUrl, videoId?, hotcues? }
+//   update - change a saved video       { op, videoId, youtubeUrl?, hotcues?, version? }
+//   delete - move a video to the trash  { op, videoId, version? }
+// version is the version the caller last saw; the operation fails if the
+// video has changed since. A video can only appear once per batch.
+//
+// Every operation is checked before anything is written (checkOperations).
+
+const MAX_OPERATIONS = 100;
+// Title lookups running at once for the creates of a batch
+const LOOKUP_CONCURRENCY = 4;
+const OPERATIONS = ['create', 'update', 'delete'];
+
+// Fields each operation takes besides op, and which of them are required
+const OPERATION_FIELDS = {
+  create: { allowed: ['youtubeUrl', 'videoId', 'hotcues'], required: ['youtubeUrl'] },
+  update: { allowed: ['videoId', 'youtubeUrl', 'hotcues', 'version'], required: ['videoId'] },
+  delete: { allowed: ['videoId', 'version'], required: ['videoId'] }
+};
+
+// Error types that mean the request itself was wrong, as opposed to the
+// library being in a different state than the caller expected
+const VALIDATION_TYPES = ['VALIDATION_ERROR', 'INVALID_YOUTUBE_URL', 'VIDEO_ID_MISMATCH', 'DUPLICATE_VIDEO'];
+
+function failure(type, error, extra = {}) {
+  return { type, error, ...extra };
+}
+
+// The error for an operation whose video isn't at the version it expected.
+// current is the stored video, or null if it's gone.
+function versionConflict(current) {
+  return failure('VERSION_CONFLICT', 'Video was changed by another client', { currentVersion: (current && current.version) || 0 });
+}
+
+// Check one operation's fields and parse its URL and hotcues. Returns
+// { error } or { videoId, parsedUrl, hotcues } (parsedUrl/hotcues are null
+// when the operation doesn't change them).
+function parseOperation(operation, path) {
+  const { allowed, required } = OPERATION_FIELDS[operation.op];
+  const details = [
+    ...required.filter((field) => operation[field] === undefined).map((field) => `${path}.${field} is required for ${operation.op}`),
+    ...Object.keys(operation)
+      .filter((field) => field !== 'op' && !allowed.includes(field))
+      .map((field) => `${path}.${field} is not allowed for ${operation.op}`)
+  ];
+  if (operation.op === 'update' && operation.youtubeUrl === undefined && operation.hotcues === undefined) {
+    details.push(`${path} must change youtubeUrl or hotcues`);
+  }
+  if (details.length > 0) {
+    return { error: failure('VALIDATION_ERROR', 'Invalid operation', { details }) };
+  }
+
+  let parsedUrl = null;
+  if (operation.youtubeUrl !== undefined) {
+    parsedUrl = parseYouTubeUrl(operation.youtubeUrl);
+    if (!parsedUrl) {
+      return {
+        error: failure('INVALID_YOUTUBE_URL', 'Invalid YouTube URL', {
+          details: [`${path}.youtubeUrl must be a YouTube watch, youtu.be, shorts, embed or live link`]
+        })
+      };
+    }
+    if (operation.videoId && operation.videoId !== parsedUrl.videoId) {
+      return {
+        error: failure('VIDEO_ID_MISMATCH', 'videoId does not match youtubeUrl', {
+          details: [`${path}.youtubeUrl is for video ${parsedUrl.videoId}`]
+        })
+      };
+    }
+  }
+
+  let hotcues = null;
+  if (operation.hotcues !== undefined) {
+    const validation = validateHotcues(operation.hotcues);
+    if (validation.errors.length > 0) {
+      return { error: failure('VALIDATION_ERROR', 'Invalid hotcues format', { details: validation.errors.map((error) => `${path}.${error}`) }) };
+    }
+    hotcues = validation.hotcues;
+  }
+
+  return { videoId: operation.videoId || parsedUrl.videoId, parsedUrl, hotcues };
+}
+
+// Check every operation against the library (stored videos keyed by
+// videoId). Returns one item per operation, in order:
+//   { index, op, videoId, error }              the operation can't be applied
+//   { index, op, videoId, error: null, ... }   it can; see the fields below
+// create/update items carry videoData (the fields to save, without the
+// title lookup) and current (the stored video, null for create).
+function checkOperations(operations, library) {
+  const seen = new Map();
+
+  return operations.map((operation, index) => {
+    const path = `operations[${index}]`;
+    const item = { index, op: operation.op, videoId: operation.videoId || null, error: null };
+
+    const parsed = parseOperation(operation, path);
+    if (parsed.error) {
+      return { ...item, error: parsed.error };
+    }
+    const { videoId, parsedUrl, hotcues } = parsed;
+    item.videoId = videoId;
+
+    if (seen.has(videoId)) {
+      return {
+        ...item,
+        error: failure('DUPLICATE_VIDEO', 'A video can only appear once per batch', {
+          details: [`${path} is for the same video as operations[${seen.get(videoId)}]`]
+        })
+      };
+    }
+    seen.set(videoId, index);
+
+    const current = library[videoId] || null;
+    if (operation.op === 'create' && current) {
+      return { ...item, error: failure('VIDEO_EXISTS', 'A video with this id is already in the library') };
+    }
+    if (operation.op !== 'create' && !current) {
+      return { ...item, error: failure('VIDEO_NOT_FOUND', 'Video not found') };
+    }
+    if (operation.version !== undefined && (current.version || 0) !== operation.version) {
+      return { ...item, error: versionConflict(current) };
+    }
+
+    if (operation.op === 'delete') {
+      return { ...item, current };
+    }
+
+    const videoData = operation.op === 'create' ? {
+      youtubeUrl: operation.youtubeUrl,
+      videoId,
+      startSeconds: parsedUrl.startSeconds,
+      playlistId: parsedUrl.playlistId,
+      hotcues: hotcues || {},
+      hotcuesVersion: HOTCUE_SCHEMA_VERSION
+    } : {
+      ...current,
+      ...(parsedUrl ? { youtubeUrl: operation.youtubeUrl, startSeconds: parsedUrl.startSeconds, playlistId: parsedUrl.playlistId } : {}),
+      ...(hotcues ? { hotcues, hotcuesVersion: HOTCUE_SCHEMA_VERSION } : {})
+    };
+    return { ...item, current, videoData };
+  });
+}
+
+// The HTTP status for a batch that was rejected as a whole: 400 if any
+// operation was malformed, otherwise 409 (the library didn't match)
+function rejectionStatus(failed) {
+  return failed.some((item) => VALIDATION_TYPES.includes(item.error.type)) ? 400 : 409;
+}
+
+// JSON Schema for batch requests (see lib/schema.js). Which fields each op
+// takes is checked by checkOperations.
+const OPERATION_SCHEMA = objectSchema({
+  op: { type: 'string', enum: OPERATIONS },
+  videoId: { ...ID_SCHEMA, description: 'Required for update and delete; optional for create, where it must match youtubeUrl' },
+  youtubeUrl: { type: 'string', minLength: 1, maxLength: 2048, description: 'create and update' },
+  hotcues: { ...HOTCUES_SCHEMA, description: `${HOTCUES_SCHEMA.description}. create and update; replaces all hotcues` },
+  version: { type: 'integer', minimum: 0, description: 'update and delete: only apply if the video is still at this version' }
+}, ['op']);
+
+module.exports = {
+  MAX_OPERATIONS,
+  LOOKUP_CONCURRENCY,
+  OPERATION_SCHEMA,
+  checkOperations,
+  rejectionStatus,
+  versionConflict
+};
@@ -0,0 +1,426 @@
+const { HOTCUE_SCHEMA_VERSION, MAX_TIME, CUE_SCHEMA, validateHotcues, upgradeHotcues } = require('./hotcues');
+const { validateSetFields, validateEntries } = require('./sets');
+const {
+  ID_SCHEMA, MAX_TAGS, MAX_TAGS_PER_VIDEO, MAX_FOLDERS, MAX_FOLDER_DEPTH,
+  validateFolderFields, validateTagFields, validateIdList
+} = require('./organize');
+const { MAX_PROFILES, PROFILE_FIELDS_SCHEMA, checkMappings } = require('./mappings');
+const { MAX_TEMPLATES, TEMPLATE_FIELDS_SCHEMA } = require('./hotcueTemplates');
+const { MAX_EVENTS, PERFORMANCE_NAME_SCHEMA, EVENT_SCHEMA } = require('./performances');
+const { FALLBACK_TITLE } = require('./metadata');
+const { parseYouTubeUrl } = require('./youtube');
+const { validate, objectSchema } = require('./schema');
+
+// Portable library bundle
+//
+//   {
+//     "format": "viper-library",
+//     "bundleVersion": 3,
+//     "exportedAt": "2026-01-01T00:00:00.000Z",
+//     "username": "dj_viper",
+//     "hotcuesVersion": 2,
+//     "videos": [{ videoId, youtubeUrl, title, author, thumbnailUrl, startSeconds,
+//                  playlistId, hotcues, folderId, tags: [tagId], createdAt, updatedAt }],
+//     "sets": [{ setId, name, description, entries, createdAt, updatedAt }],
+//     "folders": [{ folderId, name, parentId }],
+//     "tags": [{ tagId, name, color }],
+//     "mappingProfiles": [{ profileId, name, description, device, mappings, active }],
+//     "hotcueTemplates": [{ templateId, name, description, hotcues, sourceVideoId }],
+//     "performances": [{ performanceId, name, startedAt, endedAt,
+//                        events: [{ type, videoId, key, at, title, cue }] }]
+//   }
+//
+// Performances are exported once stopped, with their events in the order they
+// arrived; one still recording is left out. Events keep the title and cue
+// they were recorded with, so they don't need the video to be in the bundle.
+//
+// Version 1 bundles had only videos (without folderId and tags) and sets, and
+// version 2 bundles had no performances; both can still be imported.
+
+const BUNDLE_FORMAT = 'viper-library';
+const BUNDLE_VERSION = 3;
+const SUPPORTED_BUNDLE_VERSIONS = [1, 2, 3];
+const COLLECTIONS = ['sets', 'folders', 'tags', 'mappingProfiles', 'hotcueTemplates', 'performances'];
+const IMPORT_STRATEGIES = ['skip', 'overwrite', 'merge'];
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTimestamp(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+}
+
+// Build an export bundle from stored videos (keyed by videoId) and lists of
+// the user's sets, folders, tags, mapping profiles, hotcue templates and
+// stopped performances (each with its stored events)
+function buildBundle(username, { videos, sets, folders, tags, mappingProfiles, activeMappingProfileId, hotcueTemplates, performances }) {
+  return {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    username,
+    hotcuesVersion: HOTCUE_SCHEMA_VERSION,
+    videos: Object.keys(videos).map((videoId) => {
+      const video = videos[videoId];
+      return {
+        videoId,
+        youtubeUrl: video.youtubeUrl,
+        title: video.title || null,
+        author: video.author || null,
+        thumbnailUrl: video.thumbnailUrl || null,
+        startSeconds: video.startSeconds || null,
+        playlistId: video.playlistId || null,
+        hotcues: upgradeHotcues(video.hotcues),
+        folderId: video.folderId || null,
+        tags: Object.keys(video.tags || {}),
+        createdAt: video.createdAt || null,
+        updatedAt: video.updatedAt || null
+      };
+    }),
+    sets: sets.map((set) => ({
+      setId: set.setId,
+      name: set.name,
+      description: set.description || null,
+      entries: set.entries.map(({ videoId, notes, transition }) => ({ videoId, notes, transition })),
+      createdAt: set.createdAt || null,
+      updatedAt: set.updatedAt || null
+    })),
+    folders: folders.map(({ folderId, name, parentId }) => ({ folderId, name, parentId })),
+    tags: tags.map(({ tagId, name, color }) => ({ tagId, name, color })),
+    mappingProfiles: mappingProfiles.map(({ profileId, name, description, device, mappings }) => ({
+      profileId, name, description, device, mappings, active: profileId === activeMappingProfileId
+    })),
+    hotcueTemplates: hotcueTemplates.map(({ templateId, name, description, hotcues, sourceVideoId }) => ({
+      templateId, name, description, hotcues, sourceVideoId
+    })),
+    performances: performances.map(({ performanceId, name, startedAt, endedAt, events }) => ({
+      performanceId,
+      name,
+      startedAt,
+      endedAt,
+      events: events.map(({ seq, ...event }) => event)
+    }))
+  };
+}
+
+// Schemas for bundle entries that have one (see lib/schema.js)
+const PROFILE_ENTRY_SCHEMA = objectSchema({
+  profileId: ID_SCHEMA,
+  ...PROFILE_FIELDS_SCHEMA,
+  active: { type: 'boolean' }
+}, ['profileId', 'name', 'mappings']);
+
+const TEMPLATE_ENTRY_SCHEMA = objectSchema({
+  templateId: ID_SCHEMA,
+  ...TEMPLATE_FIELDS_SCHEMA,
+  hotcues: { type: 'object', additionalProperties: true },
+  sourceVideoId: { ...ID_SCHEMA, type: ['string', 'null'] }
+}, ['templateId', 'name', 'hotcues']);
+
+// A recorded event as stored: the request fields plus the title and cue
+const PERFORMANCE_EVENT_SCHEMA = objectSchema({
+  ...EVENT_SCHEMA.properties,
+  title: { type: 'string' },
+  cue: objectSchema({
+    time: { type: 'number', minimum: 0, maximum: MAX_TIME },
+    label: { ...CUE_SCHEMA.properties.label, type: 'string' }
+  }, ['time'])
+}, ['type', 'videoId', 'at', 'title']);
+
+const PERFORMANCE_ENTRY_SCHEMA = objectSchema({
+  performanceId: ID_SCHEMA,
+  name: PERFORMANCE_NAME_SCHEMA,
+  startedAt: { type: 'integer', minimum: 0 },
+  endedAt: { type: 'integer', minimum: 0 },
+  events: { type: 'array', items: PERFORMANCE_EVENT_SCHEMA, maxItems: MAX_EVENTS }
+}, ['performanceId', 'name', 'startedAt', 'endedAt', 'events']);
+
+// Check the ids of a bundle collection: present, well-formed and unique.
+// Returns false if the entry should be skipped.
+function checkEntryId(entry, idField, prefix, seen, errors) {
+  if (typeof entry[idField] !== 'string' || !VIDEO_ID_PATTERN.test(entry[idField])) {
+    errors.push(`${prefix}.${idField} must be letters, numbers, "_" or "-"`);
+    return false;
+  }
+  if (seen.has(entry[idField])) {
+    errors.push(`${prefix}.${idField} "${entry[idField]}" appears more than once`);
+    return false;
+  }
+  seen.add(entry[idField]);
+  return true;
+}
+
+// Validate the folders of a bundle: fields, parents that are in the bundle,
+// no cycles and the nesting limit. Returns them parents first.
+function validateFolders(input, errors) {
+  if (input.length > MAX_FOLDERS) {
+    errors.push(`bundle.folders can have at most ${MAX_FOLDERS} entries`);
+  }
+
+  const seen = new Set();
+  const folders = input.map((folder, index) => {
+    const prefix = `folders[${index}]`;
+    if (!isPlainObject(folder)) {
+      errors.push(`${prefix} must be an object`);
+      return null;
+    }
+    checkEntryId(folder, 'folderId', prefix, seen, errors);
+    const result = validateFolderFields(folder);
+    result.errors.forEach((error) => errors.push(`${prefix}.${error}`));
+    return { folderId: folder.folderId, ...result.fields };
+  }).filter(Boolean);
+
+  const byId = new Map(folders.map((folder) => [folder.folderId, folder]));
+  // Levels from the top (or from a missing parent, reported below); Infinity
+  // past the limit, which also catches cycles
+  const depth = (folder) => {
+    let levels = 1;
+    for (let current = folder; current.parentId && byId.has(current.parentId); levels++) {
+      if (levels >= MAX_FOLDER_DEPTH) return Infinity;
+      current = byId.get(current.parentId);
+    }
+    return levels;
+  };
+
+  folders.forEach((folder) => {
+    if (folder.parentId && !byId.has(folder.parentId)) {
+      errors.push(`folders: parentId "${folder.parentId}" of folder ${folder.folderId} is not in the bundle`);
+    } else if (depth(folder) > MAX_FOLDER_DEPTH) {
+      errors.push(`folders: folder ${folder.folderId} is nested more than ${MAX_FOLDER_DEPTH} levels deep, or in a cycle`);
+    }
+  });
+
+  return folders
+    .map((folder) => ({ folder, depth: depth(folder) }))
+    .sort((a, b) => a.depth - b.depth)
+    .map(({ folder }) => folder);
+}
+
+function validateTags(input, errors) {
+  if (input.length > MAX_TAGS) {
+    errors.push(`bundle.tags can have at most ${MAX_TAGS} entries`);
+  }
+  const seen = new Set();
+  return input.map((tag, index) => {
+    const prefix = `tags[${index}]`;
+    if (!isPlainObject(tag)) {
+      errors.push(`${prefix} must be an object`);
+      return null;
+    }
+    checkEntryId(tag, 'tagId', prefix, seen, errors);
+    const result = validateTagFields(tag);
+    result.errors.forEach((error) => errors.push(`${prefix}.${error}`));
+    return { tagId: tag.tagId, ...result.fields, color: result.fields.color || null };
+  });
+}
+
+// Mapping profiles and hotcue templates are checked against their schemas
+// first; the other checks only run when those pass
+function validateMappingProfiles(input, errors) {
+  const schemaErrors = validate({ type: 'array', items: PROFILE_ENTRY_SCHEMA, maxItems: MAX_PROFILES }, input, 'mappingProfiles');
+  if (schemaErrors.length > 0) {
+    errors.push(...schemaErrors);
+    return [];
+  }
+
+  const seen = new Set();
+  const profiles = input.map((profile, index) => {
+    const prefix = `mappingProfiles[${index}]`;
+    checkEntryId(profile, 'profileId', prefix, seen, errors);
+    const result = checkMappings(profile.mappings);
+    result.errors.forEach((error) => errors.push(`${prefix}.${error}`));
+    return {
+      profileId: profile.profileId,
+      name: profile.name.trim(),
+      description: profile.description || null,
+      device: profile.device || null,
+      mappings: result.mappings,
+      active: Boolean(profile.active)
+    };
+  });
+  if (profiles.filter((profile) => profile.active).length > 1) {
+    errors.push('mappingProfiles can have only one active profile');
+  }
+  return profiles;
+}
+
+function validateHotcueTemplates(input, errors) {
+  const schemaErrors = validate({ type: 'array', items: TEMPLATE_ENTRY_SCHEMA, maxItems: MAX_TEMPLATES }, input, 'hotcueTemplates');
+  if (schemaErrors.length > 0) {
+    errors.push(...schemaErrors);
+    return [];
+  }
+
+  const seen = new Set();
+  return input.map((template, index) => {
+    const prefix = `hotcueTemplates[${index}]`;
+    checkEntryId(template, 'templateId', prefix, seen, errors);
+    const result = validateHotcues(template.hotcues);
+    result.errors.forEach((error) => errors.push(`${prefix}.${error}`));
+    return {
+      templateId: template.templateId,
+      name: template.name.trim(),
+      description: template.description || null,
+      hotcues: result.hotcues,
+      sourceVideoId: template.sourceVideoId || null
+    };
+  });
+}
+
+function validatePerformances(input, errors) {
+  const schemaErrors = validate({ type: 'array', items: PERFORMANCE_ENTRY_SCHEMA }, input, 'performances');
+  if (schemaErrors.length > 0) {
+    errors.push(...schemaErrors);
+    return [];
+  }
+
+  const seen = new Set();
+  return input.map((performance, index) => {
+    const prefix = `performances[${index}]`;
+    checkEntryId(performance, 'performanceId', prefix, seen, errors);
+    if (performance.endedAt < performance.startedAt) {
+      errors.push(`${prefix}.endedAt must not be before startedAt`);
+    }
+    // Trigger events carry the key and the cue they played, load events neither
+    performance.events.forEach((event, eventIndex) => {
+      const trigger = event.type === 'trigger';
+      if (trigger !== (event.key !== undefined) || trigger !== (event.cue !== undefined)) {
+        errors.push(`${prefix}.events[${eventIndex}] must have key and cue if, and only if, it is a trigger event`);
+      }
+    });
+    return { ...performance, name: performance.name.trim() };
+  });
+}
+
+// The result of validateBundle for an invalid bundle
+function invalidBundle(errors) {
+  return { errors, videos: null, ...Object.fromEntries(COLLECTIONS.map((collection) => [collection, null])) };
+}
+
+// Validate an uploaded bundle. Returns { errors, videos, sets, folders, tags,
+// mappingProfiles, hotcueTemplates, performances }, normalized (hotcues in the current
+// schema, folders parents first) when valid. Collections a bundle doesn't
+// have are empty.
+function validateBundle(bundle) {
+  if (!isPlainObject(bundle)) {
+    return invalidBundle(['bundle must be an object']);
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return invalidBundle([`bundle.format must be "${BUNDLE_FORMAT}"`]);
+  }
+  if (!SUPPORTED_BUNDLE_VERSIONS.includes(bundle.bundleVersion)) {
+    return invalidBundle([`Unsupported bundleVersion ${bundle.bundleVersion} (supported: ${SUPPORTED_BUNDLE_VERSIONS.join(', ')})`]);
+  }
+  if (!Array.isArray(bundle.videos)) {
+    return invalidBundle(['bundle.videos must be an array']);
+  }
+  const notArray = COLLECTIONS.find((collection) => bundle[collection] !== undefined && !Array.isArray(bundle[collection]));
+  if (notArray) {
+    return invalidBundle([`bundle.${notArray} must be an array`]);
+  }
+
+  const errors = [];
+  const folders = validateFolders(bundle.folders || [], errors);
+  const tags = validateTags(bundle.tags || [], errors);
+  const mappingProfiles = validateMappingProfiles(bundle.mappingProfiles || [], errors);
+  const hotcueTemplates = validateHotcueTemplates(bundle.hotcueTemplates || [], errors);
+  const performances = validatePerformances(bundle.performances || [], errors);
+  const folderIds = new Set(folders.map((folder) => folder.folderId));
+  const tagIds = new Set(tags.filter(Boolean).map((tag) => tag.tagId));
+
+  const seenVideoIds = new Set();
+  const videos = bundle.videos.map((video, index) => {
+    const prefix = `videos[${index}]`;
+    if (!isPlainObject(video)) {
+      errors.push(`${prefix} must be an object`);
+      return null;
+    }
+    if (typeof video.videoId !== 'string' || !VIDEO_ID_PATTERN.test(video.videoId)) {
+      errors.push(`${prefix}.videoId must be a YouTube video id`);
+    } else if (seenVideoIds.has(video.videoId)) {
+      errors.push(`${prefix}.videoId "${video.videoId}" appears more than once`);
+    } else {
+      seenVideoIds.add(video.videoId);
+    }
+    // Checked like POST /videos: the URL must be a YouTube link for this videoId
+    const parsedUrl = parseYouTubeUrl(video.youtubeUrl);
+    if (typeof video.youtubeUrl !== 'string' || !video.youtubeUrl) {
+      errors.push(`${prefix}.youtubeUrl is required`);
+    } else if (!parsedUrl) {
+      errors.push(`${prefix}.youtubeUrl must be a YouTube watch, youtu.be, shorts, embed or live link`);
+    } else if (parsedUrl.videoId !== video.videoId) {
+      errors.push(`${prefix}.videoId does not match youtubeUrl, which is for video ${parsedUrl.videoId}`);
+    }
+    ['title', 'author', 'thumbnailUrl', 'playlistId'].forEach((field) => {
+      if (video[field] !== undefined && video[field] !== null && typeof video[field] !== 'string') {
+        errors.push(`${prefix}.${field} must be a string`);
+      }
+    });
+    if (video.startSeconds !== undefined && video.startSeconds !== null && !(Number.isInteger(video.startSeconds) && video.startSeconds >= 0)) {
+      errors.push(`${prefix}.startSeconds must be a whole number of seconds`);
+    }
+    if (!isTimestamp(video.createdAt) || !isTimestamp(video.updatedAt)) {
+      errors.push(`${prefix}.createdAt and updatedAt must be timestamps in milliseconds`);
+    }
+
+    const hotcueResult = validateHotcues(video.hotcues);
+    hotcueResult.errors.forEach((error) => errors.push(`${prefix}.${error}`));
+
+    // Folders and tags are referenced by their ids in the bundle
+    if (video.folderId !== undefined && video.folderId !== null && !folderIds.has(video.folderId)) {
+      errors.push(`${prefix}.folderId "${video.folderId}" is not in bundle.folders`);
+    }
+    const tagResult = validateIdList(video.tags === undefined ? [] : video.tags, `${prefix}.tags`, { max: MAX_TAGS_PER_VIDEO });
+    errors.push(...tagResult.errors);
+    tagResult.ids.filter((tagId) => !tagIds.has(tagId))
+      .forEach((tagId) => errors.push(`${prefix}.tags: tag "${tagId}" is not in bundle.tags`));
+
+    return {
+      videoId: video.videoId,
+      youtubeUrl: video.youtubeUrl,
+      title: video.title || FALLBACK_TITLE,
+      author: video.author || null,
+      thumbnailUrl: video.thumbnailUrl || null,
+      startSeconds: video.startSeconds || (parsedUrl && parsedUrl.startSeconds) || null,
+      playlistId: video.playlistId || (parsedUrl && parsedUrl.playlistId) || null,
+      hotcues: hotcueResult.hotcues,
+      folderId: video.folderId || null,
+      tags: tagResult.ids,
+      createdAt: video.createdAt || null
+    };
+  });
+
+  const sets = (bundle.sets || []).map((set, index) => {
+    const prefix = `sets[${index}]`;
+    if (!isPlainObject(set)) {
+      errors.push(`${prefix} must be an object`);
+      return null;
+    }
+    if (set.setId !== undefined && (typeof set.setId !== 'string' || !VIDEO_ID_PATTERN.test(set.setId))) {
+      errors.push(`${prefix}.setId must be letters, numbers, "_" or "-"`);
+    }
+    const fieldResult = validateSetFields(set);
+    const entryResult = validateEntries(set.entries);
+    [...fieldResult.errors, ...entryResult.errors].forEach((error) => errors.push(`${prefix}.${error}`));
+
+    return {
+      setId: set.setId || null,
+      ...fieldResult.fields,
+      entries: entryResult.entries
+    };
+  });
+
+  return errors.length > 0
+    ? invalidBundle(errors)
+    : { errors, videos, sets, folders, tags, mappingProfiles, hotcueTemplates, performances };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  IMPORT_STRATEGIES,
+  buildBundle,
+  validateBundle
+};
@@ -0,0 +1,22 @@
+// Like Promise.all(items.map(fn)), but with at most `limit` calls of fn
+// running at a time. Results come back in the order of items; the first
+// rejection rejects the whole thing (calls already started still finish).
+async function mapWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithLimit
+};
@@ -0,0 +1,56 @@
+// Shared error responses for route handlers
+//
+// Every error response has the same envelope:
+//   { error: 'What went wrong', type: 'STABLE_CODE', details?: [...], ...context }
+// `type` is a stable code clients can switch on; `error` is a message for
+// people and may change. Context fields such as videoId sit alongside.
+// Stack traces are only ever logged, never sent.
+
+function sendError(res, status, type, error, extra = {}) {
+  // Counted by type in GET /metrics (see middleware/metrics.js)
+  res.locals.errorType = type;
+  return res.status(status).json({ error, type, ...extra });
+}
+
+// 500 for a failed storage read/write
+function sendStorageError(res, message, error) {
+  console.error(`${message}:`, error);
+
+  return sendError(res, 500, 'FIREBASE_ERROR', message, {
+    details: error.message,
+    code: error.code || 'UNKNOWN'
+  });
+}
+
+// 500 for anything unexpected. The details stay in the log.
+function sendServerError(res, message, error) {
+  console.error(`${message}:`, error);
+  return sendError(res, 500, 'SERVER_ERROR', 'Internal server error');
+}
+
+// 400 for a request that failed validation. details is a list of problems.
+function sendValidationError(res, message, details) {
+  const list = Array.isArray(details) ? details : [details];
+  console.error(`Validation error: ${message}:`, list);
+  return sendError(res, 400, 'VALIDATION_ERROR', message, { details: list });
+}
+
+// 404 for a video that isn't in the library
+function sendVideoNotFound(res, videoId) {
+  return sendError(res, 404, 'VIDEO_NOT_FOUND', 'Video not found', { videoId });
+}
+
+// 400 for a request that refers to videos the user hasn't saved
+function sendMissingVideos(res, missingVideoIds) {
+  console.error('Validation error: videos not in library:', missingVideoIds);
+  return sendError(res, 400, 'VIDEO_NOT_FOUND', 'Videos not found in library', { videoIds: missingVideoIds });
+}
+
+module.exports = {
+  sendError,
+  sendStorageError,
+  sendServerError,
+  sendValidationError,
+  sendVideoNotFound,
+  sendMissingVideos
+};
@@ -0,0 +1,44 @@
+const { withUpgradedHotcues } = require('./hotcues');
+const { sendError } = require('./errors');
+
+// ETags for versioned video records. A video's ETag is its version number in
+// quotes, e.g. "7". Clients send it back in If-Match to save over that version.
+
+function formatETag(version) {
+  return `"${version || 0}"`;
+}
+
+// Parse an If-Match header into the ifMatch precondition used by the store:
+// { any: true } for "*", otherwise { versions: [n, ...] }. Returns undefined
+// when the header is absent. Unparseable (and weak) tags never match anything.
+function parseIfMatch(header) {
+  if (header === undefined || header === null || header.trim() === '') return undefined;
+  if (header.trim() === '*') return { any: true };
+
+  const versions = header.split(',')
+    .map((tag) => /^"(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+
+  return { any: false, versions };
+}
+
+// 409 for a save whose If-Match no longer matches. Includes the current server
+// state (null if the video is gone) so the client can merge and retry.
+function sendVersionConflict(res, videoId, current) {
+  console.warn(`Version conflict saving video ${videoId} - current version:`, current ? current.version || 0 : 'deleted');
+  if (current) {
+    res.set('ETag', formatETag(current.version));
+  }
+  return sendError(res, 409, 'VERSION_CONFLICT', current ? 'Video was changed by another client' : 'Video no longer exists', {
+    videoId,
+    currentVersion: current ? current.version || 0 : null,
+    current: current ? withUpgradedHotcues(current) : null
+  });
+}
+
+module.exports = {
+  formatETag,
+  parseIfMatch,
+  sendVersionConflict
+};
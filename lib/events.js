@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { diffHotcues } = require('./hotcues');
+
+// In-process event bus for realtime library updates.
+//
+// Every event gets an id of the form "<bootId>:<sequence>". The last
+// historySize events per user are kept so a reconnecting client can catch up
+// from its last seen id. If that id is from a previous process, or too old to
+// still be in the history, the client is told to resync (refetch) instead.
+//
+// Events only reach clients connected to this process. Running several
+// instances behind a load balancer would need a shared broker.
+function createEventBus({ historySize = 500 } = {}) {
+  const bootId = crypto.randomBytes(4).toString('hex');
+  const emitter = new EventEmitter();
+  const histories = new Map();
+  let sequence = 0;
+
+  // One listener per connected client, which can be a lot more than 10
+  emitter.setMaxListeners(0);
+
+  function parseId(eventId) {
+    const [eventBootId, eventSequence] = String(eventId || '').split(':');
+    const parsed = parseInt(eventSequence, 10);
+    return eventBootId === bootId && Number.isInteger(parsed) ? parsed : null;
+  }
+
+  return {
+    publish(username, type, data) {
+      const event = { id: `${bootId}:${++sequence}`, type, data, at: Date.now() };
+
+      const history = histories.get(username) || { events: [], droppedUpTo: 0 };
+      history.events.push(event);
+      if (history.events.length > historySize) {
+        history.droppedUpTo = parseId(history.events.shift().id);
+      }
+      histories.set(username, history);
+
+      emitter.emit(username, event);
+      return event;
+    },
+
+    // Call listener(event) for each new event for the user; returns an unsubscribe function
+    subscribe(username, listener) {
+      emitter.on(username, listener);
+      return () => emitter.off(username, listener);
+    },
+
+    // Events after lastEventId, or null if they can't all be replayed
+    since(username, lastEventId) {
+      const lastSequence = parseId(lastEventId);
+      if (lastSequence === null || lastSequence > sequence) return null;
+
+      const history = histories.get(username) || { events: [], droppedUpTo: 0 };
+      // Some events the client hasn't seen have already been dropped
+      if (lastSequence < history.droppedUpTo) return null;
+
+      return history.events.filter((event) => parseId(event.id) > lastSequence);
+    },
+
+    subscriberCount(username) {
+      return emitter.listenerCount(username);
+    }
+  };
+}
+
+// Publish the events for a video write: video.created or video.updated, plus
+// hotcues.changed when the cues actually differ from the previous state.
+function publishVideoSaved(events, username, video, previous) {
+  events.publish(username, previous ? 'video.updated' : 'video.created', {
+    videoId: video.videoId,
+    version: video.version,
+    video
+  });
+
+  const diff = diffHotcues(previous ? previous.hotcues : {}, video.hotcues);
+  const changed = Object.keys(diff.added).length + Object.keys(diff.removed).length + Object.keys(diff.changed).length;
+  if (changed > 0) {
+    events.publish(username, 'hotcues.changed', {
+      videoId: video.videoId,
+      version: video.version,
+      hotcues: video.hotcues,
+      diff
+    });
+  }
+}
+
+// Publish video.updated for videos that changed without a new version -
+// filed in a folder or tagged - with their records as stored now.
+async function publishVideosUpdated(events, store, username, videoIds) {
+  const videos = await Promise.all(videoIds.map((videoId) => store.videos.get(username, videoId)));
+  videos.filter(Boolean).forEach((video) => publishVideoSaved(events, username, video, video));
+}
+
+module.exports = {
+  createEventBus,
+  publishVideoSaved,
+  publishVideosUpdated
+};
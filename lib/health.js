@@ -0,0 +1,59 @@
+// Readiness: whether this instance can serve requests. Checks storage and
+// YouTube oEmbed, each with a timeout. Storage is required; without oEmbed
+// videos still save (as "Untitled Video"), so it only makes the result
+// "degraded".
+//
+// The oEmbed result is reused for oembedTtlMs, so frequent probes don't turn
+// into a stream of requests to YouTube.
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolves to { status: 'ok' | 'fail', latencyMs, error? } - never rejects
+async function runCheck(check, timeoutMs) {
+  const started = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(check), timeoutMs);
+    return { status: 'ok', latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'fail', latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+function createReadinessCheck({ store, metadata, timeoutMs = 2000, oembedTtlMs = 60 * 1000 }) {
+  let oembed = null;
+
+  async function checkOEmbed() {
+    if (oembed && oembed.expiresAt > Date.now()) {
+      return { ...oembed.result, cached: true };
+    }
+    const result = await runCheck(() => metadata.ping(), timeoutMs);
+    oembed = { result, expiresAt: Date.now() + oembedTtlMs };
+    return result;
+  }
+
+  // Resolves to { status: 'ok' | 'degraded' | 'fail', checks: { storage, oembed } }
+  return async function checkReadiness() {
+    const [storageResult, oembedResult] = await Promise.all([
+      runCheck(() => store.ping(), timeoutMs),
+      checkOEmbed()
+    ]);
+
+    let status = 'ok';
+    if (storageResult.status !== 'ok') {
+      status = 'fail';
+    } else if (oembedResult.status !== 'ok') {
+      status = 'degraded';
+    }
+    return { status, checks: { storage: storageResult, oembed: oembedResult } };
+  };
+}
+
+module.exports = {
+  createReadinessCheck
+};
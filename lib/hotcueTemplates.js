@@ -0,0 +1,121 @@
+const { MAX_TIME } = require('./hotcues');
+
+// Hotcue templates: a named set of hotcues saved from one video, to put the
+// same cue layout on other videos. Applying a template, or copying the cues
+// of another video, can move and stretch the cues first:
+//
+//   new time = time * scale + offset
+//
+// for time, loop.in, loop.out and stopAt. The results are then clamped to the
+// target video (0 to its duration, or to the longest allowed time if the
+// duration isn't given). A loop left with out <= in, or a stopAt left at or
+// before time, is dropped from its cue.
+//
+// mode decides what happens to the target's own cues:
+//   merge   - they are kept; incoming cues only fill keys the target doesn't use
+//   replace - the target ends up with exactly the incoming cues
+
+const MAX_TEMPLATES = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+const APPLY_MODES = ['merge', 'replace'];
+
+// Times are kept to the millisecond, so scaling doesn't leave float noise
+function roundTime(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Move, stretch and clamp v2 hotcues. Returns { hotcues, clamped } - clamped
+// lists the keys of cues that had to be changed to fit the target.
+function transformHotcues(hotcues, { offset = 0, scale = 1, duration = MAX_TIME } = {}) {
+  const end = Math.min(duration, MAX_TIME);
+  const clamped = [];
+  const result = {};
+
+  Object.keys(hotcues).forEach((key) => {
+    const cue = hotcues[key];
+    let changed = false;
+    const move = (value) => {
+      const moved = roundTime(value * scale + offset);
+      const fitted = Math.min(Math.max(moved, 0), end);
+      if (fitted !== moved) changed = true;
+      return fitted;
+    };
+
+    const { loop, stopAt, ...rest } = cue;
+    const next = { ...rest, time: move(cue.time) };
+
+    if (loop) {
+      const moved = { in: move(loop.in), out: move(loop.out) };
+      if (moved.out > moved.in) {
+        next.loop = moved;
+      } else {
+        changed = true;
+      }
+    }
+
+    if (stopAt !== undefined) {
+      const movedStop = move(stopAt);
+      if (movedStop > next.time) {
+        next.stopAt = movedStop;
+      } else {
+        changed = true;
+      }
+    }
+
+    if (changed) clamped.push(key);
+    result[key] = next;
+  });
+
+  return { hotcues: result, clamped };
+}
+
+// Combine a video's hotcues with incoming ones (see mode above). Returns
+// { hotcues, added, replaced, removed, skipped } - lists of keys.
+function combineHotcues(current, incoming, mode) {
+  const incomingKeys = Object.keys(incoming);
+
+  if (mode === 'replace') {
+    return {
+      hotcues: { ...incoming },
+      added: incomingKeys.filter((key) => !(key in current)),
+      replaced: incomingKeys.filter((key) => key in current),
+      removed: Object.keys(current).filter((key) => !(key in incoming)),
+      skipped: []
+    };
+  }
+
+  const added = incomingKeys.filter((key) => !(key in current));
+  const hotcues = { ...current };
+  added.forEach((key) => { hotcues[key] = incoming[key]; });
+  return {
+    hotcues,
+    added,
+    replaced: [],
+    removed: [],
+    skipped: incomingKeys.filter((key) => key in current)
+  };
+}
+
+// JSON Schemas for template and apply requests (see lib/schema.js)
+const TEMPLATE_FIELDS_SCHEMA = {
+  name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, pattern: '\\S', patternMessage: 'must not be blank' },
+  description: { type: ['string', 'null'], maxLength: MAX_DESCRIPTION_LENGTH }
+};
+
+const APPLY_OPTIONS_SCHEMA = {
+  offset: { type: 'number', minimum: -MAX_TIME, maximum: MAX_TIME, default: 0, description: 'Seconds added to every time, after scaling' },
+  scale: { type: 'number', minimum: MIN_SCALE, maximum: MAX_SCALE, default: 1, description: 'Every time is multiplied by this' },
+  duration: { type: 'number', minimum: 1, maximum: MAX_TIME, description: 'Length of the target video in seconds; cues are clamped to it' },
+  mode: { type: 'string', enum: APPLY_MODES, default: 'merge', description: 'merge keeps the target\'s cues, replace swaps them all' }
+};
+
+module.exports = {
+  MAX_TEMPLATES,
+  TEMPLATE_FIELDS_SCHEMA,
+  APPLY_OPTIONS_SCHEMA,
+  transformHotcues,
+  combineHotcues
+};
@@ -0,0 +1,318 @@
+// Hotcue schema
+//
+// Version 1 (legacy) stored a flat map of key -> seconds:
+//   { "q": 12.5, "w": 45.2 }
+//
+// Version 2 stores a cue object per key:
+//   {
+//     "q": {
+//       "time": 12.5,                     // cue point in seconds (required)
+//       "label": "Drop",                  // optional, up to 50 characters
+//       "color": "#ff0066",               // optional, #rrggbb
+//       "loop": { "in": 12.5, "out": 20 },// optional loop region, out > in
+//       "playbackRate": 1.25,             // optional, 0.25 - 2 (YouTube's supported range)
+//       "stopAt": 30                      // optional, stop playback here, after time
+//     }
+//   }
+//
+// Videos record the version they were saved with in `hotcuesVersion`. Version 1
+// cues are upgraded on the fly when a video is read or saved.
+
+const HOTCUE_SCHEMA_VERSION = 2;
+
+// Key names, or the single keyboard character the old client stored (";", ",", "ä" ...).
+// Firebase keys can't contain . # $ / [ ], so those were never stored.
+const KEY_PATTERN = /^(?:[A-Za-z0-9_-]{1,20}|[!"%-\-0-Z\\^-~\u00a1-\u00ff])$/;
+const KEY_RULE = '1-20 letters, numbers, "_" or "-", or a single printable character other than . # $ / [ ]';
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const MAX_HOTCUES = 64;
+const MAX_TIME = 24 * 60 * 60; // YouTube videos can run up to 12h, leave headroom
+const MAX_LABEL_LENGTH = 50;
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 2;
+const CUE_FIELDS = ['time', 'label', 'color', 'loop', 'playbackRate', 'stopAt'];
+
+function isTime(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_TIME;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate a single cue (number or cue object) and return its v2 form.
+// Problems are pushed onto errors as human-readable strings.
+function normalizeCue(key, value, errors) {
+  const prefix = `hotcues.${key}`;
+
+  // Version 1 cue: just the time in seconds
+  if (typeof value === 'number') {
+    if (!isTime(value)) {
+      errors.push(`${prefix} must be a number of seconds between 0 and ${MAX_TIME}`);
+      return null;
+    }
+    return { time: value };
+  }
+
+  if (!isPlainObject(value)) {
+    errors.push(`${prefix} must be a number of seconds or a cue object`);
+    return null;
+  }
+
+  const unknownFields = Object.keys(value).filter((field) => !CUE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push(`${prefix} has unknown fields: ${unknownFields.join(', ')}`);
+  }
+
+  const cue = {};
+  const errorCount = errors.length;
+
+  if (!isTime(value.time)) {
+    errors.push(`${prefix}.time must be a number of seconds between 0 and ${MAX_TIME}`);
+  } else {
+    cue.time = value.time;
+  }
+
+  if (value.label !== undefined && value.label !== null) {
+    if (typeof value.label !== 'string' || value.label.length > MAX_LABEL_LENGTH) {
+      errors.push(`${prefix}.label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+    } else if (value.label.trim()) {
+      cue.label = value.label.trim();
+    }
+  }
+
+  if (value.color !== undefined && value.color !== null) {
+    if (typeof value.color !== 'string' || !COLOR_PATTERN.test(value.color)) {
+      errors.push(`${prefix}.color must be a hex color like #ff0066`);
+    } else {
+      cue.color = value.color.toLowerCase();
+    }
+  }
+
+  if (value.loop !== undefined && value.loop !== null) {
+    const loop = value.loop;
+    if (!isPlainObject(loop) || !isTime(loop.in) || !isTime(loop.out)) {
+      errors.push(`${prefix}.loop must be { in, out } with times in seconds`);
+    } else if (loop.out <= loop.in) {
+      errors.push(`${prefix}.loop.out must be after loop.in`);
+    } else if (Object.keys(loop).some((field) => field !== 'in' && field !== 'out')) {
+      errors.push(`${prefix}.loop only accepts in and out`);
+    } else {
+      cue.loop = { in: loop.in, out: loop.out };
+    }
+  }
+
+  if (value.playbackRate !== undefined && value.playbackRate !== null) {
+    const rate = value.playbackRate;
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < MIN_PLAYBACK_RATE || rate > MAX_PLAYBACK_RATE) {
+      errors.push(`${prefix}.playbackRate must be a number between ${MIN_PLAYBACK_RATE} and ${MAX_PLAYBACK_RATE}`);
+    } else {
+      cue.playbackRate = rate;
+    }
+  }
+
+  if (value.stopAt !== undefined && value.stopAt !== null) {
+    if (!isTime(value.stopAt)) {
+      errors.push(`${prefix}.stopAt must be a number of seconds between 0 and ${MAX_TIME}`);
+    } else if (isTime(value.time) && value.stopAt <= value.time) {
+      errors.push(`${prefix}.stopAt must be after time`);
+    } else {
+      cue.stopAt = value.stopAt;
+    }
+  }
+
+  return errors.length === errorCount ? cue : null;
+}
+
+// Strictly validate hotcues from a request. Accepts version 1 (flat numbers)
+// and version 2 (cue objects), in any mix, and returns them as version 2.
+// Returns { errors, hotcues } - hotcues is null when there are errors.
+function validateHotcues(input) {
+  if (input === undefined || input === null) {
+    return { errors: [], hotcues: {} };
+  }
+
+  if (!isPlainObject(input)) {
+    return { errors: ['hotcues must be an object'], hotcues: null };
+  }
+
+  const errors = [];
+  const keys = Object.keys(input);
+
+  if (keys.length > MAX_HOTCUES) {
+    errors.push(`hotcues can have at most ${MAX_HOTCUES} entries`);
+  }
+
+  const hotcues = {};
+  keys.forEach((key) => {
+    if (!KEY_PATTERN.test(key)) {
+      errors.push(`hotcues key "${key}" must be ${KEY_RULE}`);
+      return;
+    }
+    const cue = normalizeCue(key, input[key], errors);
+    if (cue) hotcues[key] = cue;
+  });
+
+  return errors.length > 0 ? { errors, hotcues: null } : { errors, hotcues };
+}
+
+// Validate a partial hotcue update: key -> cue (v1 or v2) to set, or null to
+// remove. Returns { errors, changes } with cues in v2 form.
+function validateHotcueChanges(input) {
+  if (!isPlainObject(input) || Object.keys(input).length === 0) {
+    return { errors: ['hotcues must be an object with at least one key'], changes: null };
+  }
+
+  const toSet = {};
+  const changes = {};
+  const errors = [];
+  Object.keys(input).forEach((key) => {
+    if (input[key] === null) {
+      if (!KEY_PATTERN.test(key)) {
+        errors.push(`hotcues key "${key}" must be ${KEY_RULE}`);
+      } else {
+        changes[key] = null;
+      }
+    } else {
+      toSet[key] = input[key];
+    }
+  });
+
+  const result = validateHotcues(toSet);
+  errors.push(...result.errors);
+  if (errors.length > 0) {
+    return { errors, changes: null };
+  }
+  return { errors, changes: { ...changes, ...result.hotcues } };
+}
+
+// Leniently upgrade stored hotcues to version 2. Stored data was validated (or
+// predates validation), so anything unreadable is dropped rather than rejected.
+function upgradeHotcues(stored) {
+  if (!isPlainObject(stored)) return {};
+
+  const hotcues = {};
+  Object.keys(stored).forEach((key) => {
+    const value = stored[key];
+    if (typeof value === 'number') {
+      hotcues[key] = { time: value };
+    } else if (isPlainObject(value) && typeof value.time === 'number') {
+      hotcues[key] = value;
+    }
+  });
+  return hotcues;
+}
+
+// Return a copy of a stored video with its hotcues in the current schema
+function withUpgradedHotcues(video) {
+  if (!video) return video;
+  if (video.hotcuesVersion === HOTCUE_SCHEMA_VERSION) {
+    return { ...video, hotcues: video.hotcues || {} };
+  }
+  return {
+    ...video,
+    hotcues: upgradeHotcues(video.hotcues),
+    hotcuesVersion: HOTCUE_SCHEMA_VERSION
+  };
+}
+
+function sameValue(a, b) {
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every((key) => sameValue(a[key], b[key]));
+  }
+  return a === b;
+}
+
+// Compare two sets of hotcues (either schema version). Returns
+//   { added: { key: cue }, removed: { key: cue },
+//     changed: { key: { before, after, fields: [...] } }, unchangedCount }
+function diffHotcues(beforeHotcues, afterHotcues) {
+  const before = upgradeHotcues(beforeHotcues);
+  const after = upgradeHotcues(afterHotcues);
+  const diff = { added: {}, removed: {}, changed: {}, unchangedCount: 0 };
+
+  Object.keys(after).forEach((key) => {
+    if (!(key in before)) {
+      diff.added[key] = after[key];
+    }
+  });
+
+  Object.keys(before).forEach((key) => {
+    if (!(key in after)) {
+      diff.removed[key] = before[key];
+      return;
+    }
+    const fields = CUE_FIELDS.filter((field) => !sameValue(before[key][field], after[key][field]));
+    if (fields.length > 0) {
+      diff.changed[key] = { before: before[key], after: after[key], fields };
+    } else {
+      diff.unchangedCount++;
+    }
+  });
+
+  return diff;
+}
+
+// JSON Schemas for hotcues in requests and responses (see lib/schema.js).
+// They check the shape; validateHotcues adds the rules a schema can't
+// express (key names, loop.out after loop.in, stopAt after time).
+const TIME_SCHEMA = { type: 'number', minimum: 0, maximum: MAX_TIME, description: 'Seconds from the start of the video' };
+
+const CUE_SCHEMA = {
+  type: 'object',
+  properties: {
+    time: TIME_SCHEMA,
+    label: { type: ['string', 'null'], maxLength: MAX_LABEL_LENGTH },
+    color: { type: ['string', 'null'], pattern: COLOR_PATTERN.source, patternMessage: 'must be a hex color like #ff0066', example: '#ff0066' },
+    loop: {
+      type: ['object', 'null'],
+      properties: { in: TIME_SCHEMA, out: TIME_SCHEMA },
+      required: ['in', 'out'],
+      additionalProperties: false
+    },
+    playbackRate: { type: ['number', 'null'], minimum: MIN_PLAYBACK_RATE, maximum: MAX_PLAYBACK_RATE },
+    stopAt: { ...TIME_SCHEMA, type: ['number', 'null'] }
+  },
+  required: ['time'],
+  additionalProperties: false
+};
+
+// A cue in a request: a version 2 cue object, or a version 1 time in seconds
+const CUE_INPUT_SCHEMA = {
+  anyOf: [TIME_SCHEMA, CUE_SCHEMA],
+  anyOfMessage: 'must be a number of seconds or a cue object'
+};
+
+const HOTCUES_SCHEMA = {
+  type: ['object', 'null'],
+  additionalProperties: CUE_INPUT_SCHEMA,
+  maxProperties: MAX_HOTCUES,
+  description: `Cues by key (${KEY_RULE}), at most ${MAX_HOTCUES}`
+};
+
+// PATCH: null removes a cue
+const HOTCUE_CHANGES_SCHEMA = {
+  type: 'object',
+  additionalProperties: {
+    anyOf: [TIME_SCHEMA, CUE_SCHEMA, { type: 'null' }],
+    anyOfMessage: 'must be a number of seconds, a cue object or null'
+  },
+  minProperties: 1,
+  description: 'Cues to set by key; null removes a cue'
+};
+
+module.exports = {
+  HOTCUE_SCHEMA_VERSION,
+  MAX_HOTCUES,
+  MAX_TIME,
+  CUE_SCHEMA,
+  HOTCUES_SCHEMA,
+  HOTCUE_CHANGES_SCHEMA,
+  HOTCUE_KEY_PATTERN: KEY_PATTERN,
+  validateHotcues,
+  validateHotcueChanges,
+  upgradeHotcues,
+  withUpgradedHotcues,
+  diffHotcues
+};
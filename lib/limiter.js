@@ -0,0 +1,173 @@
+// Rate limits and login lockout for the auth and account routes.
+//
+// Limit state lives in a pluggable store so several server instances can share
+// it. A store implements:
+//   get(key)                  -> value or null
+//   set(key, value, ttlMs)    store a JSON-serializable value for ttlMs
+//   increment(key, windowMs)  -> { count, resetAt }; starts a new window of
+//                                windowMs when the key is missing or expired
+//   delete(key)
+// createMemoryLimitStore() is the default; it is per-process, so limits reset
+// on restart and aren't shared between instances.
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "90s", "15m", "1h", "1d" or a number of milliseconds
+function parseDuration(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    console.warn(`Invalid duration "${value}", using default of ${fallback}ms`);
+    return fallback;
+  }
+  return Number(match[1]) * UNITS[match[2] || 'ms'];
+}
+
+function parseCount(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    console.warn(`Invalid limit "${value}", using default of ${fallback}`);
+    return fallback;
+  }
+  return count;
+}
+
+// Limits, overridable through the environment. A limit of 0 turns that check off.
+function limitOptionsFromEnv(env = process.env) {
+  return {
+    login: {
+      limit: parseCount(env.LOGIN_RATE_LIMIT, 20),
+      windowMs: parseDuration(env.LOGIN_RATE_WINDOW, 15 * UNITS.m)
+    },
+    signup: {
+      limit: parseCount(env.SIGNUP_RATE_LIMIT, 5),
+      windowMs: parseDuration(env.SIGNUP_RATE_WINDOW, UNITS.h)
+    },
+    passwordReset: {
+      limit: parseCount(env.PASSWORD_RESET_RATE_LIMIT, 5),
+      windowMs: parseDuration(env.PASSWORD_RESET_RATE_WINDOW, UNITS.h)
+    },
+    lockout: {
+      threshold: parseCount(env.LOGIN_LOCKOUT_THRESHOLD, 5),
+      windowMs: parseDuration(env.LOGIN_LOCKOUT_WINDOW, 15 * UNITS.m),
+      baseMs: parseDuration(env.LOGIN_LOCKOUT_BASE, UNITS.m),
+      maxMs: parseDuration(env.LOGIN_LOCKOUT_MAX, UNITS.h)
+    }
+  };
+}
+
+function createMemoryLimitStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Drop expired entries now and then so the map doesn't grow forever
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async increment(key, windowMs) {
+      const entry = live(key);
+      if (!entry) {
+        const resetAt = Date.now() + windowMs;
+        entries.set(key, { value: 1, expiresAt: resetAt });
+        return { count: 1, resetAt };
+      }
+      entry.value += 1;
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// Per-IP request limits for login/signup, plus progressive lockout of an
+// account after repeated failed logins: once `threshold` failures happen
+// within `windowMs`, each further failure locks the account for baseMs,
+// then twice that, and so on up to maxMs. A successful login clears it.
+function createAuthLimiter({ store = createMemoryLimitStore(), options = limitOptionsFromEnv() } = {}) {
+  const lockoutKey = (username) => `lockout:${username}`;
+
+  return {
+    options,
+
+    // Count a request from ip against the action's limit ('login', 'signup' or 'passwordReset').
+    // Resolves to { allowed, retryAfterMs }.
+    async hit(action, ip) {
+      const { limit, windowMs } = options[action];
+      if (!limit) return { allowed: true, retryAfterMs: 0 };
+
+      const { count, resetAt } = await store.increment(`${action}:ip:${ip}`, windowMs);
+      return count > limit
+        ? { allowed: false, retryAfterMs: Math.max(resetAt - Date.now(), 0) }
+        : { allowed: true, retryAfterMs: 0 };
+    },
+
+    // Resolves to { locked, retryAfterMs } for an account
+    async lockStatus(username) {
+      const record = await store.get(lockoutKey(username));
+      const remaining = record && record.lockedUntil ? record.lockedUntil - Date.now() : 0;
+      return remaining > 0 ? { locked: true, retryAfterMs: remaining } : { locked: false, retryAfterMs: 0 };
+    },
+
+    // Record a failed login. Works the same whether or not the account
+    // exists, so lockouts don't reveal which usernames are taken.
+    // Resolves to { failures, lockedUntil }.
+    async recordFailure(username) {
+      const { threshold, windowMs, baseMs, maxMs } = options.lockout;
+      if (!threshold) return { failures: 0, lockedUntil: null };
+
+      const now = Date.now();
+      const record = await store.get(lockoutKey(username));
+      const failures = (record && record.windowEndsAt > now ? record.failures : 0) + 1;
+      const windowEndsAt = record && record.windowEndsAt > now ? record.windowEndsAt : now + windowMs;
+
+      let lockedUntil = null;
+      if (failures >= threshold) {
+        lockedUntil = now + Math.min(baseMs * 2 ** (failures - threshold), maxMs);
+      }
+
+      // Failures keep counting for a window after a lock ends, so the next
+      // failure locks for longer instead of starting over
+      const expiresAt = Math.max(windowEndsAt, lockedUntil ? lockedUntil + windowMs : 0);
+      await store.set(lockoutKey(username), { failures, windowEndsAt: expiresAt, lockedUntil }, expiresAt - now);
+      return { failures, lockedUntil };
+    },
+
+    async recordSuccess(username) {
+      await store.delete(lockoutKey(username));
+    }
+  };
+}
+
+module.exports = {
+  parseDuration,
+  limitOptionsFromEnv,
+  createMemoryLimitStore,
+  createAuthLimiter
+};
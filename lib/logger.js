@@ -0,0 +1,123 @@
+// Structured JSON logging: one JSON object per line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"request completed","requestId":"...","status":200}
+// Sensitive fields (passwords, tokens, secrets) are redacted before anything
+// is written, and lines logged while handling a request carry its requestId
+// (see middleware/requestLogger.js).
+
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Object keys whose values are never logged
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|api[-_]?key|credential/i;
+// key=value / key: value pairs inside strings (query strings, messages)
+const SENSITIVE_PAIR = /\b([\w-]*(?:password|secret|token|api[-_]?key)[\w-]*)(=|"?:\s*"?)([^&\s,;"']+)/gi;
+const BEARER = /\b(Bearer)\s+[\w.~+/=-]+/gi;
+
+// The request being handled, as { requestId }
+const requestContext = new AsyncLocalStorage();
+
+function redactString(value) {
+  return value
+    .replace(SENSITIVE_PAIR, (match, key, separator) => `${key}${separator}${REDACTED}`)
+    .replace(BEARER, `$1 ${REDACTED}`);
+}
+
+// Deep copy of value with sensitive keys and key=value pairs redacted
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.stack ? { stack: redactString(value.stack) } : {})
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(value[key], depth + 1, seen);
+  });
+  return result;
+}
+
+// Create a logger. Lines below `level` (default LOG_LEVEL, or info) are dropped.
+// write(line) receives each JSON line; it goes to stdout by default.
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  write = (line) => process.stdout.write(`${line}\n`),
+  fields = {}
+} = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function log(lineLevel, msg, extra) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: redactString(String(msg)),
+      ...(context ? { requestId: context.requestId } : {}),
+      ...redact({ ...fields, ...extra })
+    };
+    write(JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+
+    // A logger that adds `extra` to every line
+    child(extra) {
+      return createLogger({ level, write, fields: { ...fields, ...extra } });
+    }
+  };
+}
+
+// Send console.log/info/debug/warn/error through logger, so the existing
+// console logging comes out as redacted JSON lines too. Returns a function
+// that puts the original console methods back.
+function routeConsoleToLogger(logger) {
+  const methods = { log: 'info', info: 'info', debug: 'debug', warn: 'warn', error: 'error' };
+  const originals = {};
+
+  Object.keys(methods).forEach((method) => {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      const parts = args.map((arg) => {
+        if (typeof arg === 'string') return arg;
+        if (arg instanceof Error) return arg.stack || arg.message;
+        return redact(arg);
+      });
+      logger[methods[method]](util.formatWithOptions({ breakLength: Infinity, depth: 4 }, ...parts));
+    };
+  });
+
+  return function restore() {
+    Object.keys(originals).forEach((method) => { console[method] = originals[method]; });
+  };
+}
+
+module.exports = {
+  LEVELS,
+  requestContext,
+  redact,
+  redactString,
+  createLogger,
+  routeConsoleToLogger
+};
@@ -0,0 +1,150 @@
+const { HOTCUE_KEY_PATTERN } = require('./hotcues');
+const { objectSchema } = require('./schema');
+
+// Controller/keyboard mapping profiles: which MIDI notes, MIDI CCs or
+// keyboard keys trigger which hotcue slots and transport actions.
+//
+//   {
+//     name, description, device,
+//     mappings: [{
+//       input:  { type: 'note', channel, note }            MIDI note on (channel 1-16, note 0-127)
+//             | { type: 'cc', channel, controller }        MIDI control change
+//             | { type: 'key', key, modifiers }            keyboard key, e.g. "q" or "ArrowLeft"
+//       action: { type: 'hotcue', slot }                   slot is a hotcue key, e.g. "q"
+//             | { type: 'transport', command }             see TRANSPORT_COMMANDS
+//     }]
+//   }
+// An input can only be mapped once per profile.
+
+const MAX_PROFILES = 50;
+const MAX_MAPPINGS = 256;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const INPUT_TYPES = ['note', 'cc', 'key'];
+const ACTION_TYPES = ['hotcue', 'transport'];
+const MODIFIERS = ['shift', 'ctrl', 'alt', 'meta'];
+const TRANSPORT_COMMANDS = [
+  'play', 'pause', 'togglePlay', 'stop',
+  'seekForward', 'seekBackward',
+  'nextVideo', 'previousVideo',
+  'loopToggle', 'rateUp', 'rateDown', 'rateReset'
+];
+
+// Fields each input/action type takes, besides type
+const INPUT_FIELDS = {
+  note: ['channel', 'note'],
+  cc: ['channel', 'controller'],
+  key: ['key', 'modifiers']
+};
+const ACTION_FIELDS = {
+  hotcue: ['slot'],
+  transport: ['command']
+};
+const OPTIONAL_FIELDS = ['modifiers'];
+
+const PROFILE_FORMAT = 'viper-mapping-profile';
+const PROFILE_FORMAT_VERSION = 1;
+
+// Check that an input/action has exactly the fields its type takes
+function checkFields(value, fieldsByType, path, errors) {
+  const allowed = fieldsByType[value.type];
+  allowed.filter((field) => !OPTIONAL_FIELDS.includes(field) && value[field] === undefined)
+    .forEach((field) => errors.push(`${path}.${field} is required for ${value.type}`));
+  Object.keys(value)
+    .filter((field) => field !== 'type' && !allowed.includes(field))
+    .forEach((field) => errors.push(`${path}.${field} is not allowed for ${value.type}`));
+}
+
+// Identifies an input, so the same note/CC/key can't be mapped twice
+function inputKey(input) {
+  if (input.type === 'key') {
+    return `key:${input.key.length === 1 ? input.key.toLowerCase() : input.key}:${[...new Set(input.modifiers || [])].sort().join('+')}`;
+  }
+  return `${input.type}:${input.channel}:${input.type === 'note' ? input.note : input.controller}`;
+}
+
+// Check mappings that already passed MAPPINGS_SCHEMA: per-type fields and
+// inputs mapped more than once. Returns { errors, mappings } with key
+// modifiers deduplicated and sorted.
+function checkMappings(mappings) {
+  const errors = [];
+  const seen = new Map();
+
+  const normalized = mappings.map(({ input, action }, index) => {
+    const path = `mappings[${index}]`;
+    const before = errors.length;
+    checkFields(input, INPUT_FIELDS, `${path}.input`, errors);
+    checkFields(action, ACTION_FIELDS, `${path}.action`, errors);
+    if (errors.length > before) return null;
+
+    const key = inputKey(input);
+    if (seen.has(key)) {
+      errors.push(`${path}.input is already mapped by mappings[${seen.get(key)}]`);
+    } else {
+      seen.set(key, index);
+    }
+
+    const cleanInput = input.type === 'key' && input.modifiers
+      ? { ...input, modifiers: [...new Set(input.modifiers)].sort() }
+      : input;
+    return { input: cleanInput, action };
+  });
+
+  return { errors, mappings: errors.length > 0 ? null : normalized };
+}
+
+// The portable form of a profile, for sharing with a team
+function exportProfile(profile) {
+  const { name, description, device, mappings } = profile;
+  return {
+    format: PROFILE_FORMAT,
+    formatVersion: PROFILE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: { name, description, device, mappings }
+  };
+}
+
+// JSON Schemas for mapping profile requests (see lib/schema.js)
+const MIDI_CHANNEL = { type: 'integer', minimum: 1, maximum: 16 };
+const MIDI_VALUE = { type: 'integer', minimum: 0, maximum: 127 };
+
+const INPUT_SCHEMA = objectSchema({
+  type: { type: 'string', enum: INPUT_TYPES },
+  channel: { ...MIDI_CHANNEL, description: 'note and cc' },
+  note: { ...MIDI_VALUE, description: 'note only' },
+  controller: { ...MIDI_VALUE, description: 'cc only' },
+  key: { type: 'string', pattern: '^\\S{1,32}$', patternMessage: 'must be a key name without spaces, e.g. "q" or "ArrowLeft"', description: 'key only' },
+  modifiers: { type: 'array', items: { type: 'string', enum: MODIFIERS }, maxItems: MODIFIERS.length, description: 'key only' }
+}, ['type']);
+
+const ACTION_SCHEMA = objectSchema({
+  type: { type: 'string', enum: ACTION_TYPES },
+  slot: { type: 'string', pattern: HOTCUE_KEY_PATTERN.source, patternMessage: 'must be a hotcue key', description: 'hotcue only' },
+  command: { type: 'string', enum: TRANSPORT_COMMANDS, description: 'transport only' }
+}, ['type']);
+
+const MAPPING_SCHEMA = objectSchema({ input: INPUT_SCHEMA, action: ACTION_SCHEMA }, ['input', 'action']);
+
+const PROFILE_FIELDS_SCHEMA = {
+  name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, pattern: '\\S', patternMessage: 'must not be blank' },
+  description: { type: ['string', 'null'], maxLength: MAX_DESCRIPTION_LENGTH },
+  device: { type: ['string', 'null'], maxLength: MAX_NAME_LENGTH, description: 'The controller the profile is for' },
+  mappings: { type: 'array', items: MAPPING_SCHEMA, maxItems: MAX_MAPPINGS }
+};
+
+const PROFILE_FILE_SCHEMA = objectSchema({
+  format: { type: 'string', enum: [PROFILE_FORMAT] },
+  formatVersion: { type: 'integer', enum: [PROFILE_FORMAT_VERSION] },
+  exportedAt: { type: 'string' },
+  profile: objectSchema(PROFILE_FIELDS_SCHEMA, ['name', 'mappings'])
+}, ['format', 'formatVersion', 'profile']);
+
+module.exports = {
+  MAX_PROFILES,
+  TRANSPORT_COMMANDS,
+  MAPPING_SCHEMA,
+  PROFILE_FIELDS_SCHEMA,
+  PROFILE_FILE_SCHEMA,
+  checkMappings,
+  exportProfile
+};
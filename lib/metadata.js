@@ -0,0 +1,133 @@
+const axios = require('axios');
+
+const FALLBACK_TITLE = 'Untitled Video';
+const HOUR_MS = 60 * 60 * 1000;
+// A long-lived public video, looked up to check that oEmbed works
+const PROBE_VIDEO_ID = 'jNQXAC9IVRw';
+
+// Default fetcher: YouTube's oEmbed endpoint. Resolves to
+// { title, author, thumbnailUrl } or throws.
+async function fetchOEmbed(videoId) {
+  const response = await axios.get('https://www.youtube.com/oembed', {
+    params: { url: `https://www.youtube.com/watch?v=${videoId}`, format: 'json' },
+    timeout: 5000
+  });
+  return {
+    title: response.data.title || null,
+    author: response.data.author_name || null,
+    thumbnailUrl: response.data.thumbnail_url || null
+  };
+}
+
+// 4xx (other than rate limiting) means the video is private/removed - retrying won't help
+function isTransient(error) {
+  const status = error.response && error.response.status;
+  return !status || status === 429 || status >= 500;
+}
+
+// Video metadata (title, author, thumbnail) with a cache in front of the fetcher.
+//
+// Successful lookups are cached for ttlMs. Failed lookups are cached as a
+// fallback ("Untitled Video") for only failureTtlMs, so they are retried soon
+// instead of sticking forever. The cache lives in storage (store.metadata), so
+// it survives restarts and is shared by everyone.
+//
+// fetcher is injectable so the service can run offline (e.g. in tests).
+function createMetadataService({
+  store,
+  fetcher = fetchOEmbed,
+  ttlMs = 7 * 24 * HOUR_MS,
+  failureTtlMs = 10 * 60 * 1000,
+  retries = 1,
+  retryDelayMs = 500
+} = {}) {
+  const inFlight = new Map();
+
+  async function fetchWithRetry(videoId) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetcher(videoId);
+      } catch (error) {
+        if (attempt >= retries || !isTransient(error)) throw error;
+        await new Promise((resolve) => setTimeout(resolve, retryDelayMs * (attempt + 1)));
+      }
+    }
+  }
+
+  async function refresh(videoId) {
+    const fetchedAt = Date.now();
+    let entry;
+    try {
+      const fetched = await fetchWithRetry(videoId);
+      entry = {
+        title: fetched.title || FALLBACK_TITLE,
+        author: fetched.author || null,
+        thumbnailUrl: fetched.thumbnailUrl || null,
+        fallback: !fetched.title,
+        fetchedAt,
+        expiresAt: fetchedAt + (fetched.title ? ttlMs : failureTtlMs)
+      };
+    } catch (error) {
+      console.warn(`Could not fetch metadata for video ${videoId}:`, error.message);
+      entry = {
+        title: FALLBACK_TITLE,
+        author: null,
+        thumbnailUrl: null,
+        fallback: true,
+        error: error.message,
+        fetchedAt,
+        expiresAt: fetchedAt + failureTtlMs
+      };
+    }
+
+    try {
+      await store.metadata.set(videoId, entry);
+    } catch (error) {
+      // The cache is an optimisation - never fail a lookup because it can't be written
+      console.warn(`Could not cache metadata for video ${videoId}:`, error.message);
+    }
+    return entry;
+  }
+
+  return {
+    FALLBACK_TITLE,
+
+    // Resolves to the cached metadata, fetching it if missing or expired.
+    // With force, always fetches (used to retry "Untitled Video" entries).
+    async get(videoId, { force = false } = {}) {
+      if (!force) {
+        try {
+          const cached = await store.metadata.get(videoId);
+          if (cached && cached.expiresAt > Date.now()) {
+            return { ...cached, cached: true };
+          }
+        } catch (error) {
+          console.warn(`Could not read cached metadata for video ${videoId}:`, error.message);
+        }
+      }
+
+      // Share one fetch between concurrent lookups of the same video
+      if (!inFlight.has(videoId)) {
+        inFlight.set(videoId, refresh(videoId).finally(() => inFlight.delete(videoId)));
+      }
+      return { ...(await inFlight.get(videoId)), cached: false };
+    },
+
+    // Check that the fetcher can reach YouTube, bypassing the cache and
+    // retries. Rejects if it can't.
+    async ping() {
+      await fetcher(PROBE_VIDEO_ID);
+    },
+
+    // True if a stored video only has the placeholder title
+    hasFallbackTitle(video) {
+      return !video.title || video.title === FALLBACK_TITLE;
+    }
+  };
+}
+
+module.exports = {
+  FALLBACK_TITLE,
+  fetchOEmbed,
+  createMetadataService
+};
@@ -0,0 +1,97 @@
+// In-process metrics in the Prometheus text format, served at GET /metrics.
+//
+//   http_requests_total{method, route, status}          requests handled
+//   http_request_duration_seconds{method, route}        latency histogram
+//   http_errors_total{type}                             error responses by their `type` (see lib/errors.js)
+//   login_attempts_total{result, reason}                POST /login outcomes
+//
+// route is the matched route pattern (e.g. /videos/:videoId), or "unmatched"
+// for requests no route handled, so ids never become label values. Counts
+// start from zero when the process starts and only cover this process.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRICS = {
+  http_requests_total: { type: 'counter', help: 'HTTP requests handled' },
+  http_request_duration_seconds: { type: 'histogram', help: 'HTTP request latency in seconds' },
+  http_errors_total: { type: 'counter', help: 'Error responses by error type' },
+  login_attempts_total: { type: 'counter', help: 'Login attempts by result' }
+};
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return `{${names.map((name) => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function createMetrics() {
+  // Metric name -> Map of label string -> { labels, value } (or histogram state)
+  const series = new Map(Object.keys(METRICS).map((name) => [name, new Map()]));
+
+  function entry(name, labels, create) {
+    const key = formatLabels(labels);
+    const entries = series.get(name);
+    if (!entries.has(key)) entries.set(key, { labels, ...create() });
+    return entries.get(key);
+  }
+
+  function increment(name, labels) {
+    entry(name, labels, () => ({ value: 0 })).value++;
+  }
+
+  function observe(name, labels, seconds) {
+    const state = entry(name, labels, () => ({ buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) state.buckets[index]++;
+    });
+    state.sum += seconds;
+    state.count++;
+  }
+
+  return {
+    // Record a finished request. errorType is the response's error `type`, if any.
+    recordRequest({ method, route, status, durationSeconds, errorType }) {
+      increment('http_requests_total', { method, route, status });
+      observe('http_request_duration_seconds', { method, route }, durationSeconds);
+      if (errorType) {
+        increment('http_errors_total', { type: errorType });
+      }
+    },
+
+    // result is 'success' or 'failure'; reason is the error type of a failure
+    recordLogin(result, reason) {
+      increment('login_attempts_total', reason ? { result, reason } : { result });
+    },
+
+    // Everything, in the Prometheus text exposition format
+    render() {
+      const lines = [];
+      Object.keys(METRICS).forEach((name) => {
+        const { type, help } = METRICS[name];
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+        series.get(name).forEach((state) => {
+          if (type === 'counter') {
+            lines.push(`${name}${formatLabels(state.labels)} ${state.value}`);
+            return;
+          }
+          DURATION_BUCKETS.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...state.labels, le: bound })} ${state.buckets[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...state.labels, le: '+Inf' })} ${state.count}`);
+          lines.push(`${name}_sum${formatLabels(state.labels)} ${state.sum}`);
+          lines.push(`${name}_count${formatLabels(state.labels)} ${state.count}`);
+        });
+      });
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,459 @@
+// OpenAPI 3.1 document for the API, generated from the route specs given to
+// validateRequest (middleware/validate.js). Request schemas are the ones the
+// server validates with; response schemas below document what comes back.
+
+const { toOpenApiSchema } = require('./schema');
+const { CUE_SCHEMA, HOTCUE_SCHEMA_VERSION } = require('./hotcues');
+const { TRANSITION_SCHEMA } = require('./sets');
+const { SHARE_ROLES } = require('./sharing');
+const { MAPPING_SCHEMA } = require('./mappings');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (name) => ({ type: 'array', items: ref(name) });
+const timestamp = { type: 'integer', description: 'Milliseconds since the epoch' };
+const nullableString = { type: ['string', 'null'] };
+
+// Response bodies. Responses may carry more fields than listed here.
+const COMPONENTS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', description: 'What went wrong, for people. May change' },
+      type: { type: 'string', description: 'Stable error code, e.g. VALIDATION_ERROR or VIDEO_NOT_FOUND' },
+      details: { description: 'For VALIDATION_ERROR, a list of problems' }
+    },
+    required: ['error', 'type'],
+    description: 'Every error has this envelope. Some add context fields such as videoId'
+  },
+  Success: {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, message: { type: 'string' } }
+  },
+  Tokens: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      username: { type: 'string' },
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      tokenType: { type: 'string', enum: ['Bearer'] },
+      expiresIn: { type: 'integer', description: 'Seconds until the access token expires' },
+      refreshExpiresAt: timestamp
+    }
+  },
+  Hotcue: CUE_SCHEMA,
+  Hotcues: {
+    type: 'object',
+    additionalProperties: ref('Hotcue'),
+    description: `Cues by key, in hotcue schema version ${HOTCUE_SCHEMA_VERSION}`
+  },
+  Video: {
+    type: 'object',
+    properties: {
+      videoId: { type: 'string' },
+      youtubeUrl: { type: 'string' },
+      title: { type: 'string' },
+      author: nullableString,
+      thumbnailUrl: nullableString,
+      startSeconds: { type: ['integer', 'null'] },
+      playlistId: nullableString,
+      hotcues: ref('Hotcues'),
+      hotcuesVersion: { type: 'integer' },
+      version: { type: 'integer', description: 'Goes up by one on every save; also sent as the ETag' },
+      folderId: nullableString,
+      tags: { type: 'object', additionalProperties: { type: 'boolean' }, description: 'Tag ids as keys' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  TrashItem: {
+    type: 'object',
+    properties: {
+      videoId: { type: 'string' },
+      title: { type: 'string' },
+      youtubeUrl: { type: 'string' },
+      thumbnailUrl: nullableString,
+      hotcues: ref('Hotcues'),
+      version: { type: 'integer' },
+      removedFromSets: { type: 'array', items: { type: 'string' }, description: 'Sets it was taken out of, and goes back into on restore' },
+      deletedAt: timestamp,
+      expiresAt: { type: ['integer', 'null'], description: 'When it will be purged; null if the trash is kept until emptied' }
+    }
+  },
+  VideoPage: {
+    type: 'object',
+    properties: {
+      videos: arrayOf('Video'),
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      nextCursor: { type: ['string', 'null'], description: 'Pass as cursor for the next page' }
+    }
+  },
+  SavedVideo: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      videoId: { type: 'string' },
+      version: { type: 'integer' },
+      hotcues: ref('Hotcues'),
+      hotcuesVersion: { type: 'integer' }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer', description: 'Position of the operation in the request' },
+      op: { type: 'string', enum: ['create', 'update', 'delete'] },
+      videoId: nullableString,
+      ok: { type: 'boolean' },
+      status: { type: 'string', enum: ['created', 'updated', 'deleted'], description: 'If applied' },
+      version: { type: 'integer', description: 'The saved version, for create and update' },
+      removedFromSets: { type: 'array', items: { type: 'string' }, description: 'For delete' },
+      error: ref('Error')
+    }
+  },
+  MetadataRefresh: {
+    type: 'object',
+    properties: {
+      videoId: { type: 'string' },
+      title: { type: 'string' },
+      updated: { type: 'boolean' },
+      fallback: { type: 'boolean', description: 'The lookup failed; the title is a placeholder' }
+    }
+  },
+  Revision: {
+    type: 'object',
+    properties: {
+      revisionId: { type: 'string' },
+      title: { type: 'string' },
+      youtubeUrl: { type: 'string' },
+      hotcues: ref('Hotcues'),
+      hotcuesVersion: { type: 'integer' },
+      savedAt: timestamp,
+      archivedAt: timestamp,
+      reason: { type: 'string', description: 'What replaced this state: save, restore, import, metadata, template, copy, ...' }
+    }
+  },
+  SetEntry: {
+    type: 'object',
+    properties: {
+      entryId: { type: 'string' },
+      videoId: { type: 'string' },
+      notes: nullableString,
+      transition: TRANSITION_SCHEMA
+    }
+  },
+  Set: {
+    type: 'object',
+    properties: {
+      setId: { type: 'string' },
+      name: { type: 'string' },
+      description: nullableString,
+      entries: arrayOf('SetEntry'),
+      duplicatedFrom: { type: 'string' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  SetSummary: {
+    type: 'object',
+    properties: {
+      setId: { type: 'string' },
+      name: { type: 'string' },
+      description: nullableString,
+      entryCount: { type: 'integer' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  Folder: {
+    type: 'object',
+    properties: {
+      folderId: { type: 'string' },
+      name: { type: 'string' },
+      parentId: nullableString,
+      videoCount: { type: 'integer' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  Tag: {
+    type: 'object',
+    properties: {
+      tagId: { type: 'string' },
+      name: { type: 'string' },
+      color: nullableString,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  Share: {
+    type: 'object',
+    properties: {
+      shareId: { type: 'string' },
+      grantee: { type: 'string', description: 'Username the share was granted to' },
+      owner: { type: 'string', description: 'In shared-with-me lists: whose library it is' },
+      role: { type: 'string', enum: SHARE_ROLES },
+      scope: { type: 'string', enum: ['library', 'video'] },
+      videoId: { type: 'string' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  Link: {
+    type: 'object',
+    properties: {
+      token: { type: 'string' },
+      owner: { type: 'string' },
+      scope: { type: 'string', enum: ['library', 'video'] },
+      videoId: { type: 'string' },
+      createdAt: timestamp
+    }
+  },
+  Performance: {
+    type: 'object',
+    properties: {
+      performanceId: { type: 'string' },
+      name: { type: 'string' },
+      status: { type: 'string', enum: ['recording', 'stopped'] },
+      startedAt: timestamp,
+      endedAt: { type: ['integer', 'null'], description: 'null while recording' },
+      eventCount: { type: 'integer' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  PerformanceEvent: {
+    type: 'object',
+    properties: {
+      seq: { type: 'integer', description: 'Order the event arrived in' },
+      type: { type: 'string', enum: ['load', 'trigger'] },
+      videoId: { type: 'string' },
+      key: { type: 'string' },
+      at: timestamp,
+      title: { type: 'string', description: 'Video title when the event was recorded' },
+      cue: { type: 'object', properties: { time: { type: 'number' }, label: { type: 'string' } }, description: 'The hotcue when it was triggered' }
+    }
+  },
+  CueSheet: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['viper-cuesheet'] },
+      exportedAt: { type: 'string' },
+      performance: { type: 'object' },
+      events: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            time: { type: 'string', description: 'ISO 8601 wall-clock time' },
+            offset: { type: 'string', description: 'HH:MM:SS.mmm from the start' },
+            offsetMs: { type: 'integer' },
+            type: { type: 'string' },
+            videoId: { type: 'string' },
+            title: { type: 'string' },
+            key: nullableString,
+            cueTime: { type: ['number', 'null'] },
+            label: nullableString
+          }
+        }
+      }
+    }
+  },
+  HotcueTemplate: {
+    type: 'object',
+    properties: {
+      templateId: { type: 'string' },
+      name: { type: 'string' },
+      description: nullableString,
+      hotcues: ref('Hotcues'),
+      sourceVideoId: { ...nullableString, description: 'The video the cues were taken from' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  AppliedHotcues: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      videoId: { type: 'string' },
+      version: { type: 'integer' },
+      mode: { type: 'string', enum: ['merge', 'replace'] },
+      hotcues: ref('Hotcues'),
+      hotcuesVersion: { type: 'integer' },
+      added: { type: 'array', items: { type: 'string' }, description: 'Keys the video didn\'t have' },
+      replaced: { type: 'array', items: { type: 'string' }, description: 'Keys whose cue was replaced (replace mode)' },
+      removed: { type: 'array', items: { type: 'string' }, description: 'Keys removed from the video (replace mode)' },
+      skipped: { type: 'array', items: { type: 'string' }, description: 'Keys the video already had, left alone (merge mode)' },
+      clamped: { type: 'array', items: { type: 'string' }, description: 'Applied cues that had to be changed to fit the video' }
+    }
+  },
+  Mapping: MAPPING_SCHEMA,
+  MappingProfile: {
+    type: 'object',
+    properties: {
+      profileId: { type: 'string' },
+      name: { type: 'string' },
+      description: nullableString,
+      device: nullableString,
+      mappings: arrayOf('Mapping'),
+      active: { type: 'boolean' },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    }
+  },
+  MappingProfileFile: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['viper-mapping-profile'] },
+      formatVersion: { type: 'integer' },
+      exportedAt: { type: 'string' },
+      profile: {
+        type: 'object',
+        properties: { name: { type: 'string' }, description: nullableString, device: nullableString, mappings: arrayOf('Mapping') }
+      }
+    }
+  },
+  LibraryBundle: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: ['viper-library'] },
+      bundleVersion: { type: 'integer', description: 'Exports are version 3; version 1 (videos and sets only) and 2 (no performances) bundles can still be imported' },
+      exportedAt: { type: 'string' },
+      username: { type: 'string' },
+      hotcuesVersion: { type: 'integer' },
+      videos: { type: 'array', items: { type: 'object' }, description: 'Each with folderId and tags (tag ids) from this bundle' },
+      sets: { type: 'array', items: { type: 'object' } },
+      folders: { type: 'array', items: { type: 'object' } },
+      tags: { type: 'array', items: { type: 'object' } },
+      mappingProfiles: { type: 'array', items: { type: 'object' }, description: 'The one in use has active: true' },
+      hotcueTemplates: { type: 'array', items: { type: 'object' } },
+      performances: { type: 'array', items: { type: 'object' }, description: 'Stopped performances, each with its events' }
+    }
+  }
+};
+
+// Errors every route can send, on top of the ones its spec lists
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Not authenticated',
+  403: 'Not allowed',
+  404: 'Not found',
+  409: 'Conflict',
+  413: 'Request body too large',
+  429: 'Too many requests',
+  500: 'Server or storage error'
+};
+
+function errorResponse(status) {
+  return {
+    description: ERROR_DESCRIPTIONS[status] || 'Error',
+    content: { 'application/json': { schema: ref('Error') } }
+  };
+}
+
+// The routes of an app (or router) with their specs, as
+// [{ method, path, spec, auth }]. Walks Express' router stack.
+function collectRoutes(stack, prefix = '') {
+  const routes = [];
+  stack.forEach((layer) => {
+    if (layer.route) {
+      const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+      const validator = handlers.find((handle) => handle.spec);
+      if (!validator) return;
+      Object.keys(layer.route.methods).forEach((method) => {
+        routes.push({
+          method,
+          path: prefix + layer.route.path,
+          spec: validator.spec,
+          auth: handlers.some((handle) => handle.name === 'requireAuth')
+        });
+      });
+    } else if (layer.handle && layer.handle.stack) {
+      routes.push(...collectRoutes(layer.handle.stack, prefix));
+    }
+  });
+  return routes;
+}
+
+function parametersFor(schema, location) {
+  if (!schema || !schema.properties) return [];
+  return Object.keys(schema.properties).map((name) => {
+    const { description, deprecated, ...property } = schema.properties[name];
+    return {
+      name,
+      in: location,
+      required: location === 'path' || (schema.required || []).includes(name),
+      ...(description ? { description } : {}),
+      ...(deprecated ? { deprecated } : {}),
+      schema: toOpenApiSchema(property)
+    };
+  });
+}
+
+function operationFor({ method, path, spec, auth }) {
+  const responses = {};
+  Object.keys(spec.responses || {}).forEach((status) => {
+    const { description, schema, contentType = 'application/json' } = spec.responses[status];
+    responses[status] = {
+      description,
+      ...(schema ? { content: { [contentType]: { schema: toOpenApiSchema(schema) } } } : {})
+    };
+  });
+
+  const errorStatuses = new Set([400, 500, ...(spec.errors || [])]);
+  if (auth) {
+    errorStatuses.add(401);
+  }
+  [...errorStatuses].sort().forEach((status) => {
+    responses[status] = responses[status] || errorResponse(status);
+  });
+
+  const operation = {
+    operationId: spec.operationId || `${method}${path.replace(/[/:]+(\w)/g, (match, char) => char.toUpperCase()).replace(/\W/g, '')}`,
+    summary: spec.summary,
+    ...(spec.description ? { description: spec.description } : {}),
+    tags: spec.tags || [path.split('/')[1]],
+    parameters: [...parametersFor(spec.params, 'path'), ...parametersFor(spec.query, 'query')],
+    ...(spec.body ? {
+      requestBody: {
+        required: (spec.body.required || []).length > 0,
+        content: { 'application/json': { schema: toOpenApiSchema(spec.body) } }
+      }
+    } : {}),
+    responses,
+    ...(auth ? {} : { security: [] })
+  };
+  if (operation.parameters.length === 0) delete operation.parameters;
+  return operation;
+}
+
+// Build the OpenAPI document for an Express app
+function buildOpenApi(app, { title = 'Viper Soundboard API', version = '1.0.0' } = {}) {
+  const paths = {};
+  collectRoutes(app._router.stack).forEach((route) => {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = operationFor(route);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    paths,
+    components: {
+      schemas: toOpenApiSchema(COMPONENTS),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    },
+    security: [{ bearerAuth: [] }]
+  };
+}
+
+module.exports = {
+  ref,
+  arrayOf,
+  buildOpenApi
+};
@@ -0,0 +1,116 @@
+// Validation for tags and folders
+
+const MAX_NAME_LENGTH = 50;
+const MAX_TAGS = 200;
+const MAX_TAGS_PER_VIDEO = 20;
+const MAX_FOLDERS = 500;
+const MAX_FOLDER_DEPTH = 8;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function validateName(input, errors) {
+  if (typeof input !== 'string' || !input.trim() || input.trim().length > MAX_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    return undefined;
+  }
+  return input.trim();
+}
+
+// Validate name/parentId. parentId null (or missing) puts the folder at the top level.
+// With partial, both are optional (for updates). Returns { errors, fields }.
+function validateFolderFields(input, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (input.name !== undefined || !partial) {
+    fields.name = validateName(input.name, errors);
+  }
+
+  if (input.parentId === null) {
+    fields.parentId = null;
+  } else if (input.parentId !== undefined) {
+    if (typeof input.parentId !== 'string' || !ID_PATTERN.test(input.parentId)) {
+      errors.push('parentId must be a folder id or null');
+    } else {
+      fields.parentId = input.parentId;
+    }
+  } else if (!partial) {
+    fields.parentId = null;
+  }
+
+  return { errors, fields };
+}
+
+// Validate name/color (color is #rrggbb, or null to clear it).
+// With partial, name is optional (for updates). Returns { errors, fields }.
+function validateTagFields(input, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (input.name !== undefined || !partial) {
+    fields.name = validateName(input.name, errors);
+  }
+
+  if (input.color === null) {
+    fields.color = null;
+  } else if (input.color !== undefined) {
+    if (typeof input.color !== 'string' || !COLOR_PATTERN.test(input.color)) {
+      errors.push('color must be a #rrggbb hex color');
+    } else {
+      fields.color = input.color.toLowerCase();
+    }
+  }
+
+  return { errors, fields };
+}
+
+// Validate a list of tag/folder/video ids. Returns { errors, ids } with duplicates removed.
+function validateIdList(input, field, { max } = {}) {
+  const errors = [];
+
+  if (!Array.isArray(input)) {
+    errors.push(`${field} must be an array`);
+    return { errors, ids: [] };
+  }
+
+  const ids = [...new Set(input)];
+  const invalid = ids.filter((id) => typeof id !== 'string' || !ID_PATTERN.test(id));
+  if (invalid.length > 0) {
+    errors.push(`${field} must only contain ids (letters, numbers, "_" or "-")`);
+  }
+  if (max !== undefined && ids.length > max) {
+    errors.push(`${field} can have at most ${max} entries`);
+  }
+
+  return { errors, ids };
+}
+
+// Names are unique case-insensitively (among siblings, for folders)
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// JSON Schemas for ids, names and colors in requests (see lib/schema.js)
+const ID_SCHEMA = { type: 'string', pattern: ID_PATTERN.source, patternMessage: 'must be an id (letters, numbers, "_" or "-")' };
+const NAME_SCHEMA = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+const COLOR_SCHEMA = { type: ['string', 'null'], pattern: COLOR_PATTERN.source, patternMessage: 'must be a #rrggbb hex color', example: '#3366ff' };
+
+function idListSchema(max) {
+  return { type: 'array', items: ID_SCHEMA, ...(max !== undefined ? { maxItems: max } : {}) };
+}
+
+module.exports = {
+  ID_PATTERN,
+  ID_SCHEMA,
+  NAME_SCHEMA,
+  COLOR_SCHEMA,
+  idListSchema,
+  MAX_TAGS,
+  MAX_TAGS_PER_VIDEO,
+  MAX_FOLDERS,
+  MAX_FOLDER_DEPTH,
+  validateFolderFields,
+  validateTagFields,
+  validateIdList,
+  sameName
+};
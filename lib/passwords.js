@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 6;
+// bcrypt only looks at the first 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+
+// Returns an error message, or null if the password is acceptable
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} bytes long`;
+  }
+  return null;
+}
+
+async function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+async function checkPassword(password, hash) {
+  if (typeof password !== 'string' || !hash) return false;
+  return bcrypt.compare(password, hash);
+}
+
+// Password reset tokens are random and only their hash is stored
+function createResetToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Default password reset delivery: print the token so it can be used in
+// development (NODE_ENV=development only - anyone who can read the logs could
+// use it). Anywhere else the token isn't logged and the reset can't be
+// completed. Replace it (createApp({ deliverPasswordReset })) with something
+// that emails or otherwise sends the token to the user.
+async function logPasswordReset({ username, token, expiresAt }) {
+  if (process.env.NODE_ENV !== 'development') {
+    console.warn(`Password reset requested for ${username}, but no delivery is configured; the token was not sent`);
+    return;
+  }
+  console.log(`Password reset requested for ${username}. Token (valid until ${new Date(expiresAt).toISOString()}): ${token}`);
+}
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+  checkPassword,
+  createResetToken,
+  logPasswordReset
+};
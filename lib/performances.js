@@ -0,0 +1,154 @@
+const { HOTCUE_KEY_PATTERN, upgradeHotcues } = require('./hotcues');
+const { ID_SCHEMA } = require('./organize');
+const { FALLBACK_TITLE } = require('./metadata');
+
+// Performance recording: what was actually played during a gig.
+//
+// A performance is started, gets trigger events appended in batches while it
+// runs, and is stopped. Each event is one of
+//   load    - a video was loaded        { type, videoId, at }
+//   trigger - a hotcue key was pressed  { type, videoId, key, at }
+// where `at` is the wall-clock time on the client in ms since the epoch.
+// Events are stored with the video title and the cue as they were at the
+// time, so the cue sheet still reads right after the library changes.
+
+const MAX_NAME_LENGTH = 100;
+const MAX_EVENTS = 5000;
+const MAX_BATCH = 500;
+const EVENT_TYPES = ['load', 'trigger'];
+// How far event times may fall outside the performance, for client clocks
+// that are a little off
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const CUE_SHEET_FORMAT = 'viper-cuesheet';
+const CSV_COLUMNS = ['index', 'time', 'offset', 'type', 'videoId', 'title', 'key', 'cueTime', 'label'];
+
+// Check a batch of events against the user's videos (keyed by videoId) and
+// the performance's time span. Returns { errors, missingVideoIds, events },
+// events being the records to store.
+function checkEvents(input, videos, { startedAt, now = Date.now() }) {
+  const errors = [];
+  const missingVideoIds = new Set();
+  const events = [];
+
+  input.forEach((event, index) => {
+    const prefix = `events[${index}]`;
+    const video = videos[event.videoId];
+
+    if (!video) {
+      missingVideoIds.add(event.videoId);
+      return;
+    }
+    if (event.at < startedAt - CLOCK_SKEW_MS || event.at > now + CLOCK_SKEW_MS) {
+      errors.push(`${prefix}.at must be between the start of the performance and now`);
+      return;
+    }
+
+    const record = { type: event.type, videoId: event.videoId, at: event.at, title: video.title || FALLBACK_TITLE };
+    if (event.type === 'trigger') {
+      if (event.key === undefined) {
+        errors.push(`${prefix}.key is required for trigger events`);
+        return;
+      }
+      const cue = upgradeHotcues(video.hotcues)[event.key];
+      if (!cue) {
+        errors.push(`${prefix}.key ${event.key} is not a hotcue of video ${event.videoId}`);
+        return;
+      }
+      record.key = event.key;
+      record.cue = { time: cue.time, ...(cue.label ? { label: cue.label } : {}) };
+    } else if (event.key !== undefined) {
+      errors.push(`${prefix}.key is only allowed on trigger events`);
+      return;
+    }
+
+    events.push(record);
+  });
+
+  return { errors, missingVideoIds: [...missingVideoIds], events };
+}
+
+// Events in the order they were played. Batches can arrive out of order
+// (a client that was offline), so sort by time, then by arrival.
+function playedOrder(events) {
+  return [...events].sort((a, b) => a.at - b.at || a.seq - b.seq);
+}
+
+// 1:02:03.456 style offset from the start of the performance
+function formatOffset(ms) {
+  const sign = ms < 0 ? '-' : '';
+  const total = Math.abs(ms);
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${sign}${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(millis, 3)}`;
+}
+
+// Build the JSON cue sheet for a performance and its stored events
+function buildCueSheet(performance, events) {
+  const { performanceId, name, startedAt, endedAt } = performance;
+  return {
+    format: CUE_SHEET_FORMAT,
+    exportedAt: new Date().toISOString(),
+    performance: {
+      performanceId,
+      name,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: endedAt ? new Date(endedAt).toISOString() : null,
+      eventCount: events.length
+    },
+    events: playedOrder(events).map((event, index) => ({
+      index,
+      time: new Date(event.at).toISOString(),
+      offset: formatOffset(event.at - startedAt),
+      offsetMs: event.at - startedAt,
+      type: event.type,
+      videoId: event.videoId,
+      title: event.title,
+      key: event.key || null,
+      cueTime: event.cue ? event.cue.time : null,
+      label: event.cue && event.cue.label ? event.cue.label : null
+    }))
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  // Titles and labels come from elsewhere; keep spreadsheets from running them as formulas
+  const text = typeof value === 'string' && /^[=+@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The cue sheet as CSV, one row per event
+function cueSheetCsv(sheet) {
+  const rows = sheet.events.map((event) => CSV_COLUMNS.map((column) => csvField(event[column])).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+// JSON Schemas for performance requests (see lib/schema.js)
+const PERFORMANCE_NAME_SCHEMA = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, pattern: '\\S', patternMessage: 'must not be blank' };
+
+const EVENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: EVENT_TYPES },
+    videoId: ID_SCHEMA,
+    key: { type: 'string', pattern: HOTCUE_KEY_PATTERN.source, patternMessage: 'must be a hotcue key', description: 'Trigger events only' },
+    at: { type: 'integer', minimum: 0, description: 'Wall-clock time on the client, ms since the epoch' }
+  },
+  required: ['type', 'videoId', 'at'],
+  additionalProperties: false
+};
+
+module.exports = {
+  MAX_EVENTS,
+  MAX_BATCH,
+  PERFORMANCE_NAME_SCHEMA,
+  EVENT_SCHEMA,
+  checkEvents,
+  playedOrder,
+  buildCueSheet,
+  cueSheetCsv
+};
@@ -0,0 +1,279 @@
+// Search, filtering, sorting and cursor pagination for GET /videos
+
+const crypto = require('crypto');
+const { HOTCUE_KEY_PATTERN } = require('./hotcues');
+const { ID_PATTERN } = require('./organize');
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title'];
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_SEARCH_LENGTH = 200;
+
+// Any of these in the query string switches GET /videos to paged results
+const QUERY_PARAMS = ['q', 'from', 'to', 'dateField', 'hotcue', 'tag', 'folder', 'subfolders', 'sort', 'order', 'limit', 'cursor'];
+
+function hasVideoQuery(query) {
+  return QUERY_PARAMS.some((param) => query[param] !== undefined);
+}
+
+// Dates are ISO strings or millisecond timestamps
+function parseDate(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// The value a video is sorted by. Titles compare case-insensitively;
+// createdAt falls back to updatedAt for old records, as GET /videos always did.
+function sortValue(video, sort) {
+  if (sort === 'title') return String(video.title || '').toLowerCase();
+  if (sort === 'createdAt') return video.createdAt || video.updatedAt || 0;
+  return video.updatedAt || 0;
+}
+
+// Order by the sort value, then by videoId so that videos with the same
+// value still have a fixed position - that is what keeps cursors stable.
+function compareKeys(a, b, order) {
+  let result = 0;
+  if (a.value < b.value) result = -1;
+  else if (a.value > b.value) result = 1;
+  if (order === 'desc') result = -result;
+  if (result === 0) {
+    result = a.videoId < b.videoId ? -1 : (a.videoId > b.videoId ? 1 : 0);
+  }
+  return result;
+}
+
+// A cursor only makes sense for the query that produced it
+function fingerprint(options) {
+  const { search, from, to, dateField, hotcueKeys, tagIds, folderId, subfolders, sort, order } = options;
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([search, from, to, dateField, hotcueKeys, tagIds, folderId, subfolders, sort, order]))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+function encodeCursor(video, options) {
+  return Buffer.from(JSON.stringify({
+    v: sortValue(video, options.sort),
+    id: video.videoId,
+    f: fingerprint(options)
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.id !== 'string' || !['string', 'number'].includes(typeof decoded.v)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse and validate the GET /videos query string.
+// Returns { errors, options } where options is
+// { search, from, to, dateField, hotcueKeys, tagIds, folderId, subfolders, sort, order, limit, after }.
+// folderId is 'none' for unfiled videos; the caller turns it into folderIds
+// (the folder, plus its subfolders if asked) before running the query.
+function parseVideoQuery(query) {
+  const errors = [];
+  const single = (param) => {
+    const value = query[param];
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string') {
+      errors.push(`${param} must be given once`);
+      return undefined;
+    }
+    return value;
+  };
+
+  const options = {
+    search: undefined,
+    from: undefined,
+    to: undefined,
+    dateField: 'createdAt',
+    hotcueKeys: [],
+    tagIds: [],
+    folderId: undefined,
+    subfolders: false,
+    folderIds: undefined,
+    sort: 'createdAt',
+    order: undefined,
+    limit: DEFAULT_LIMIT,
+    after: null
+  };
+
+  const search = single('q');
+  if (search !== undefined) {
+    if (search.length > MAX_SEARCH_LENGTH) {
+      errors.push(`q must be at most ${MAX_SEARCH_LENGTH} characters`);
+    } else {
+      options.search = search.toLowerCase();
+    }
+  }
+
+  ['from', 'to'].forEach((param) => {
+    const value = single(param);
+    if (value === undefined) return;
+    const time = parseDate(value);
+    if (time === null) {
+      errors.push(`${param} must be an ISO date or a timestamp in milliseconds`);
+    } else {
+      options[param] = time;
+    }
+  });
+  if (options.from !== undefined && options.to !== undefined && options.from > options.to) {
+    errors.push('from must not be after to');
+  }
+
+  const dateField = single('dateField');
+  if (dateField !== undefined) {
+    if (!DATE_FIELDS.includes(dateField)) {
+      errors.push(`dateField must be one of: ${DATE_FIELDS.join(', ')}`);
+    } else {
+      options.dateField = dateField;
+    }
+  }
+
+  // hotcue=q, hotcue=q,w or hotcue=q&hotcue=w - the video needs all of them.
+  // tag works the same way with tag ids.
+  const list = (param, pattern, description) => {
+    if (query[param] === undefined) return [];
+    const values = Array.isArray(query[param]) ? query[param] : [query[param]];
+    if (values.some((value) => typeof value !== 'string')) {
+      errors.push(`${param} must be a list of ${description}`);
+      return [];
+    }
+    const items = [...new Set(values.flatMap((value) => value.split(',')).filter(Boolean))];
+    const invalid = items.filter((item) => !pattern.test(item));
+    if (invalid.length > 0) {
+      errors.push(`${param} has invalid ${description}: ${invalid.join(', ')}`);
+      return [];
+    }
+    return items.sort();
+  };
+  options.hotcueKeys = list('hotcue', HOTCUE_KEY_PATTERN, 'hotcue keys');
+  options.tagIds = list('tag', ID_PATTERN, 'tag ids');
+
+  const folderId = single('folder');
+  if (folderId !== undefined) {
+    if (folderId !== 'none' && !ID_PATTERN.test(folderId)) {
+      errors.push('folder must be a folder id or "none"');
+    } else {
+      options.folderId = folderId;
+    }
+  }
+
+  const subfolders = single('subfolders');
+  if (subfolders !== undefined) {
+    if (!['true', 'false'].includes(subfolders)) {
+      errors.push('subfolders must be true or false');
+    } else {
+      options.subfolders = subfolders === 'true';
+    }
+  }
+
+  const sort = single('sort');
+  if (sort !== undefined) {
+    if (!SORT_FIELDS.includes(sort)) {
+      errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')}`);
+    } else {
+      options.sort = sort;
+    }
+  }
+
+  const order = single('order');
+  if (order !== undefined && !SORT_ORDERS.includes(order)) {
+    errors.push(`order must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  // Newest first for dates, A-Z for titles
+  options.order = SORT_ORDERS.includes(order) ? order : (options.sort === 'title' ? 'asc' : 'desc');
+
+  const limit = single('limit');
+  if (limit !== undefined) {
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+      errors.push(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+    } else {
+      options.limit = parsed;
+    }
+  }
+
+  const cursor = single('cursor');
+  if (cursor !== undefined && errors.length === 0) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded || decoded.f !== fingerprint(options)) {
+      errors.push('cursor is invalid or belongs to a different query');
+    } else {
+      options.after = { value: decoded.v, videoId: decoded.id };
+    }
+  }
+
+  return { errors, options };
+}
+
+// Filter, sort and page an array of videos (with videoId and upgraded hotcues).
+// Returns { videos, total, nextCursor } - total counts every match, not just this page,
+// and nextCursor is null on the last page.
+function runVideoQuery(videos, options) {
+  const { search, from, to, dateField, hotcueKeys, tagIds, folderIds, sort, order, limit, after } = options;
+
+  const matches = videos.filter((video) => {
+    if (search !== undefined && !String(video.title || '').toLowerCase().includes(search)) {
+      return false;
+    }
+    const date = video[dateField];
+    if (from !== undefined && !(date >= from)) return false;
+    if (to !== undefined && !(date <= to)) return false;
+    // folderIds contains null to match unfiled videos
+    if (folderIds && !folderIds.includes(video.folderId || null)) return false;
+    const tags = video.tags || {};
+    if (!tagIds.every((tagId) => tags[tagId])) return false;
+    const hotcues = video.hotcues || {};
+    return hotcueKeys.every((key) => hotcues[key] !== undefined);
+  });
+
+  const keyed = matches.map((video) => ({ video, key: { value: sortValue(video, sort), videoId: video.videoId } }));
+  keyed.sort((a, b) => compareKeys(a.key, b.key, order));
+
+  // Everything strictly after the cursor position. Videos added or removed
+  // since the previous page don't shift the rest of the results.
+  const remaining = after ? keyed.filter(({ key }) => compareKeys(key, after, order) > 0) : keyed;
+  const page = remaining.slice(0, limit).map(({ video }) => video);
+  const nextCursor = remaining.length > limit ? encodeCursor(page[page.length - 1], options) : null;
+
+  return { videos: page, total: matches.length, nextCursor };
+}
+
+// The query parameters as JSON Schema properties (see lib/schema.js).
+// parseVideoQuery still does the real parsing.
+const listParam = (description) => ({
+  anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+  description
+});
+const VIDEO_QUERY_PROPERTIES = {
+  q: { type: 'string', maxLength: MAX_SEARCH_LENGTH, description: 'Case-insensitive title substring' },
+  from: { type: 'string', description: 'ISO date or timestamp in milliseconds' },
+  to: { type: 'string', description: 'ISO date or timestamp in milliseconds' },
+  dateField: { type: 'string', enum: DATE_FIELDS, description: 'What from and to filter on' },
+  hotcue: listParam('Hotcue keys the video must all have (comma-separated or repeated)'),
+  tag: listParam('Tag ids the video must all have (comma-separated or repeated)'),
+  folder: { type: 'string', description: 'Folder id, or "none" for unfiled videos' },
+  subfolders: { type: 'boolean', description: 'Include videos in subfolders of folder' },
+  sort: { type: 'string', enum: SORT_FIELDS },
+  order: { type: 'string', enum: SORT_ORDERS },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT },
+  cursor: { type: 'string', description: 'nextCursor from the previous page' }
+};
+
+module.exports = {
+  VIDEO_QUERY_PROPERTIES,
+  hasVideoQuery,
+  parseVideoQuery,
+  runVideoQuery
+};
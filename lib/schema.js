@@ -0,0 +1,189 @@
+// A small JSON Schema validator for request bodies, query strings and path
+// parameters. Route schemas are plain JSON Schema objects, so the same objects
+// go into the OpenAPI document (see lib/openapi.js).
+//
+// Supported keywords: type (a name or a list, e.g. ['string', 'null']), enum,
+// pattern, minLength, maxLength, minimum, maximum, minItems, maxItems, items,
+// properties, required, additionalProperties (false, true or a schema),
+// minProperties, maxProperties and anyOf. Keywords that only document
+// (description, example, format, default, deprecated, title) are ignored.
+//
+// Objects reject fields they don't list unless additionalProperties says
+// otherwise - unknown fields are usually typos or stale clients.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeTypes(types) {
+  const names = types.map((type) => (type === 'integer' ? 'an integer' : type === 'array' || type === 'object' ? `an ${type}` : type === 'null' ? 'null' : `a ${type}`));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Validate value against schema. Problems are pushed onto errors as
+// human-readable strings starting with the field's path (label for the top level).
+function check(schema, value, path, label, errors) {
+  const name = path || label;
+
+  if (schema.anyOf) {
+    // When only one option has the value's type, its errors are the useful ones
+    const candidates = schema.anyOf.filter((option) => !option.type
+      || [].concat(option.type).some((type) => matchesType(value, type)));
+    if (candidates.length === 1) {
+      check(candidates[0], value, path, label, errors);
+      return;
+    }
+    const matched = candidates.some((option) => {
+      const optionErrors = [];
+      check(option, value, path, label, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) {
+      errors.push(`${name} ${schema.anyOfMessage || 'does not match any of the allowed forms'}`);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${name} must be ${describeTypes(types)}`);
+      return;
+    }
+  }
+  if (value === null) return;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters`);
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${name} ${schema.patternMessage || `must match ${schema.pattern}`}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push(`${name} must be a finite number`);
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${name} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${name} must have at least ${schema.minItems} ${schema.minItems === 1 ? 'entry' : 'entries'}`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} can have at most ${schema.maxItems} entries`);
+    } else if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, join(path || label, index), label, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${join(path, key)} is required`);
+    });
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${name} must have at least ${schema.minProperties} ${schema.minProperties === 1 ? 'field' : 'fields'}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push(`${name} can have at most ${schema.maxProperties} entries`);
+    }
+
+    keys.forEach((key) => {
+      if (value[key] === undefined) return;
+      if (properties[key]) {
+        check(properties[key], value[key], join(path, key), label, errors);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[key], join(path, key), label, errors);
+      } else if (schema.additionalProperties !== true) {
+        errors.push(path ? `${path} has unknown field: ${key}` : `unknown ${label === 'body' ? 'field' : label}: ${key}`);
+      }
+    });
+  }
+}
+
+// Validate value against schema. label names the top level in messages
+// ('body', 'query parameter' or 'path parameter'). Returns a list of errors.
+function validate(schema, value, label = 'body') {
+  const errors = [];
+  check(schema, value, '', label, errors);
+  return errors;
+}
+
+// Query strings and path parameters are always strings - turn the ones whose
+// schema says integer, number or boolean into that type so they validate
+function coerceParams(schema, params) {
+  const properties = (schema && schema.properties) || {};
+  const result = { ...params };
+  Object.keys(result).forEach((key) => {
+    const property = properties[key];
+    const value = result[key];
+    if (!property || typeof value !== 'string') return;
+    const types = Array.isArray(property.type) ? property.type : [property.type];
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      result[key] = Number(value);
+    } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+      result[key] = value === 'true';
+    }
+  });
+  return result;
+}
+
+// An object schema that rejects unknown fields
+function objectSchema(properties, required = [], extra = {}) {
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: false,
+    ...extra
+  };
+}
+
+// Strip validator-only keywords (the custom messages) for the OpenAPI document
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (schema === null || typeof schema !== 'object') return schema;
+
+  const result = {};
+  Object.keys(schema).forEach((key) => {
+    if (key === 'anyOfMessage' || key === 'patternMessage') return;
+    result[key] = key === 'enum' || key === 'required' || key === 'example' || key === 'default'
+      ? schema[key]
+      : toOpenApiSchema(schema[key]);
+  });
+  return result;
+}
+
+module.exports = {
+  validate,
+  coerceParams,
+  objectSchema,
+  toOpenApiSchema
+};
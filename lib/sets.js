@@ -0,0 +1,161 @@
+// Validation for VJ sets and their entries
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_NOTES_LENGTH = 500;
+const MAX_ENTRIES = 500;
+const TRANSITION_TYPES = ['cut', 'fade', 'crossfade', 'dip'];
+const MAX_TRANSITION_DURATION = 30;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate name/description. With partial, both are optional (for updates).
+// Returns { errors, fields }.
+function validateSetFields(input, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+      fields.name = input.name.trim();
+    }
+  }
+
+  if (input.description !== undefined && input.description !== null) {
+    if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    } else {
+      fields.description = input.description;
+    }
+  } else if (input.description === null) {
+    fields.description = null;
+  }
+
+  return { errors, fields };
+}
+
+function validateTransition(transition, prefix, errors) {
+  if (!isPlainObject(transition)) {
+    errors.push(`${prefix} must be an object`);
+    return null;
+  }
+  if (!TRANSITION_TYPES.includes(transition.type)) {
+    errors.push(`${prefix}.type must be one of: ${TRANSITION_TYPES.join(', ')}`);
+    return null;
+  }
+
+  const result = { type: transition.type };
+  if (transition.duration !== undefined) {
+    const duration = transition.duration;
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0 || duration > MAX_TRANSITION_DURATION) {
+      errors.push(`${prefix}.duration must be between 0 and ${MAX_TRANSITION_DURATION} seconds`);
+      return null;
+    }
+    result.duration = duration;
+  }
+  return result;
+}
+
+// Validate one entry ({ videoId, notes, transition }). With partial, videoId
+// is not required and can't be changed (for entry updates).
+// Returns { errors, entry }.
+function validateEntry(input, { prefix = 'entry', partial = false } = {}) {
+  const errors = [];
+  const entry = {};
+
+  if (!isPlainObject(input)) {
+    return { errors: [`${prefix} must be an object`], entry: null };
+  }
+
+  if (!partial) {
+    if (typeof input.videoId !== 'string' || !input.videoId) {
+      errors.push(`${prefix}.videoId is required`);
+    } else {
+      entry.videoId = input.videoId;
+    }
+  }
+
+  if (input.notes !== undefined && input.notes !== null) {
+    if (typeof input.notes !== 'string' || input.notes.length > MAX_NOTES_LENGTH) {
+      errors.push(`${prefix}.notes must be a string of at most ${MAX_NOTES_LENGTH} characters`);
+    } else {
+      entry.notes = input.notes;
+    }
+  } else if (input.notes === null) {
+    entry.notes = null;
+  }
+
+  if (input.transition !== undefined && input.transition !== null) {
+    const transition = validateTransition(input.transition, `${prefix}.transition`, errors);
+    if (transition) entry.transition = transition;
+  } else if (input.transition === null) {
+    entry.transition = null;
+  }
+
+  return { errors, entry: errors.length > 0 ? null : entry };
+}
+
+// Validate an array of entries for a new set. Returns { errors, entries }.
+function validateEntries(input) {
+  if (input === undefined || input === null) {
+    return { errors: [], entries: [] };
+  }
+  if (!Array.isArray(input)) {
+    return { errors: ['entries must be an array'], entries: null };
+  }
+  if (input.length > MAX_ENTRIES) {
+    return { errors: [`a set can have at most ${MAX_ENTRIES} entries`], entries: null };
+  }
+
+  const errors = [];
+  const entries = input.map((item, index) => {
+    const result = validateEntry(item, { prefix: `entries[${index}]` });
+    errors.push(...result.errors);
+    return result.entry;
+  });
+  return { errors, entries: errors.length > 0 ? null : entries };
+}
+
+// JSON Schemas for sets in requests (see lib/schema.js); the validators
+// above still trim names and normalize entries
+const SET_NAME_SCHEMA = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+const SET_DESCRIPTION_SCHEMA = { type: ['string', 'null'], maxLength: MAX_DESCRIPTION_LENGTH };
+
+const TRANSITION_SCHEMA = {
+  type: ['object', 'null'],
+  properties: {
+    type: { type: 'string', enum: TRANSITION_TYPES },
+    duration: { type: 'number', minimum: 0, maximum: MAX_TRANSITION_DURATION, description: 'Seconds' }
+  },
+  required: ['type'],
+  additionalProperties: false
+};
+
+const ENTRY_FIELDS_SCHEMA = {
+  notes: { type: ['string', 'null'], maxLength: MAX_NOTES_LENGTH },
+  transition: TRANSITION_SCHEMA
+};
+
+const ENTRY_SCHEMA = {
+  type: 'object',
+  properties: { videoId: { type: 'string', minLength: 1 }, ...ENTRY_FIELDS_SCHEMA },
+  required: ['videoId'],
+  additionalProperties: false
+};
+
+module.exports = {
+  MAX_ENTRIES,
+  SET_NAME_SCHEMA,
+  SET_DESCRIPTION_SCHEMA,
+  TRANSITION_SCHEMA,
+  ENTRY_FIELDS_SCHEMA,
+  ENTRY_SCHEMA,
+  TRANSITION_TYPES,
+  validateSetFields,
+  validateEntry,
+  validateEntries
+};
@@ -0,0 +1,77 @@
+// Roles and validation for sharing
+
+const { ID_PATTERN } = require('./organize');
+
+// Roles that can be granted, weakest first. The owner outranks both.
+const SHARE_ROLES = ['viewer', 'editor'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const MAX_SHARES = 200;
+const MAX_LINKS = 100;
+
+// True if `role` is allowed to do what `required` is needed for
+function roleAllows(role, required) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+// The stronger of two roles (either may be missing)
+function strongerRole(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return ROLE_RANK[a] >= ROLE_RANK[b] ? a : b;
+}
+
+// Validate a share request: { grantee, role, videoId? } where grantee is a username
+// (not `username`, which requireAuth reads as the caller). Without videoId the
+// whole library is shared. Returns { errors, share }.
+function validateShare(input) {
+  const errors = [];
+
+  if (typeof input.grantee !== 'string' || !input.grantee) {
+    errors.push('grantee is required');
+  }
+  if (!SHARE_ROLES.includes(input.role)) {
+    errors.push(`role must be one of: ${SHARE_ROLES.join(', ')}`);
+  }
+  if (input.videoId !== undefined && input.videoId !== null && (typeof input.videoId !== 'string' || !ID_PATTERN.test(input.videoId))) {
+    errors.push('videoId must be a video id');
+  }
+
+  if (errors.length > 0) return { errors, share: null };
+
+  const hasVideo = input.videoId !== undefined && input.videoId !== null;
+  return {
+    errors,
+    share: {
+      grantee: input.grantee,
+      role: input.role,
+      scope: hasVideo ? 'video' : 'library',
+      ...(hasVideo ? { videoId: input.videoId } : {})
+    }
+  };
+}
+
+// What a public link reader gets to see of a video - no owner-private fields
+// like folders, tags or the owner's username
+const PUBLIC_VIDEO_FIELDS = [
+  'videoId', 'youtubeUrl', 'title', 'author', 'thumbnailUrl', 'startSeconds', 'playlistId',
+  'hotcues', 'hotcuesVersion', 'createdAt', 'updatedAt'
+];
+
+function publicVideo(video) {
+  const result = {};
+  PUBLIC_VIDEO_FIELDS.forEach((field) => {
+    if (video[field] !== undefined) result[field] = video[field];
+  });
+  return result;
+}
+
+module.exports = {
+  SHARE_ROLES,
+  MAX_SHARES,
+  MAX_LINKS,
+  roleAllows,
+  strongerRole,
+  validateShare,
+  publicVideo
+};
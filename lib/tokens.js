@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Access tokens are short-lived and sent on every request; refresh tokens are
+// long-lived and only ever exchanged at POST /token/refresh.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '30d';
+const ISSUER = 'viper-soundboard-backend';
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  // Without a configured secret every restart invalidates all issued tokens,
+  // which is fine locally but never what you want in a deployment.
+  console.warn('WARNING: JWT_SECRET is not set - using a random secret. All sessions will be lost on restart.');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function createSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Refresh tokens are never stored in plain text, only their hash
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signToken(type, username, sessionId, expiresIn) {
+  return jwt.sign(
+    { type, sid: sessionId },
+    secret,
+    { subject: username, expiresIn, issuer: ISSUER, jwtid: crypto.randomBytes(8).toString('hex') }
+  );
+}
+
+// Issue a fresh access/refresh token pair for a session
+function issueTokens(username, sessionId) {
+  const accessToken = signToken('access', username, sessionId, ACCESS_TOKEN_TTL);
+  const refreshToken = signToken('refresh', username, sessionId, REFRESH_TOKEN_TTL);
+  const { exp: accessExp } = jwt.decode(accessToken);
+  const { exp: refreshExp } = jwt.decode(refreshToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: accessExp - Math.floor(Date.now() / 1000),
+    refreshExpiresAt: refreshExp * 1000
+  };
+}
+
+// Verify a token's signature, expiry and type. Throws on any failure.
+function verifyToken(token, expectedType) {
+  const payload = jwt.verify(token, secret, { issuer: ISSUER });
+  if (payload.type !== expectedType || !payload.sub || !payload.sid) {
+    const error = new Error(`Expected a ${expectedType} token`);
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+  return { username: payload.sub, sessionId: payload.sid, expiresAt: payload.exp * 1000 };
+}
+
+module.exports = {
+  createSessionId,
+  hashToken,
+  issueTokens,
+  verifyToken
+};
@@ -0,0 +1,101 @@
+// YouTube URL parsing
+//
+// Understands every link form people paste:
+//   https://www.youtube.com/watch?v=ID&t=1m30s&list=PL...
+//   https://m.youtube.com/watch?v=ID, https://music.youtube.com/watch?v=ID
+//   https://youtu.be/ID?t=90
+//   https://www.youtube.com/shorts/ID
+//   https://www.youtube.com/embed/ID?start=90, https://www.youtube-nocookie.com/embed/ID
+//   https://www.youtube.com/live/ID, https://www.youtube.com/v/ID
+// plus a bare 11-character video id.
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,64}$/;
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com', 'www.youtube-nocookie.com'];
+const PATH_PREFIXES = ['shorts', 'embed', 'live', 'v', 'e'];
+
+function isValidVideoId(videoId) {
+  return typeof videoId === 'string' && VIDEO_ID_PATTERN.test(videoId);
+}
+
+// Parse a start offset: "90", "90s", "1m30s", "1h2m3s" or "01:30"
+function parseStartTime(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?s?$/.test(text)) {
+    return Math.floor(parseFloat(text));
+  }
+
+  const units = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text);
+  if (units && (units[1] || units[2] || units[3])) {
+    return (parseInt(units[1] || '0', 10) * 3600) + (parseInt(units[2] || '0', 10) * 60) + parseInt(units[3] || '0', 10);
+  }
+
+  const clock = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(text);
+  if (clock) {
+    return (parseInt(clock[1] || '0', 10) * 3600) + (parseInt(clock[2], 10) * 60) + parseInt(clock[3], 10);
+  }
+
+  return null;
+}
+
+// Parse a YouTube URL (or bare video id). Returns null if it isn't one, else
+//   { videoId, startSeconds, playlistId, canonicalUrl }
+// where startSeconds and playlistId are null when the link doesn't have them.
+function parseYouTubeUrl(input) {
+  if (typeof input !== 'string') return null;
+  const text = input.trim();
+
+  if (isValidVideoId(text)) {
+    return { videoId: text, startSeconds: null, playlistId: null, canonicalUrl: canonicalUrl(text) };
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean);
+  let videoId = null;
+
+  if (host === 'youtu.be' || host === 'www.youtu.be') {
+    videoId = segments[0];
+  } else if (YOUTUBE_HOSTS.includes(host)) {
+    if (segments[0] === 'watch') {
+      videoId = url.searchParams.get('v');
+    } else if (PATH_PREFIXES.includes(segments[0])) {
+      videoId = segments[1];
+    }
+  } else {
+    return null;
+  }
+
+  if (!isValidVideoId(videoId)) return null;
+
+  // t= can also live in the fragment (#t=90)
+  const hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+  const startSeconds = parseStartTime(url.searchParams.get('t') || url.searchParams.get('start') || hashParams.get('t'));
+  const playlistId = url.searchParams.get('list');
+
+  return {
+    videoId,
+    startSeconds: startSeconds || null,
+    playlistId: playlistId && PLAYLIST_ID_PATTERN.test(playlistId) ? playlistId : null,
+    canonicalUrl: canonicalUrl(videoId)
+  };
+}
+
+function canonicalUrl(videoId) {
+  return `https://www.youtube.com/watch?v=${videoId}`;
+}
+
+module.exports = {
+  isValidVideoId,
+  parseStartTime,
+  parseYouTubeUrl,
+  canonicalUrl
+};
@@ -0,0 +1,74 @@
+const { roleAllows, strongerRole } = require('../lib/sharing');
+const { sendAuthError } = require('./auth');
+const { sendError, sendStorageError } = require('../lib/errors');
+const { objectSchema } = require('../lib/schema');
+
+// Query schema for routes behind requireRole: ?owner= plus the route's own parameters
+function ownerQuery(properties = {}) {
+  return objectSchema({
+    owner: { type: 'string', minLength: 1, description: 'Whose library to use, if not your own (needs a share)' },
+    ...properties
+  });
+}
+
+// Resolves whose library a request acts on and checks the caller's role there.
+// Library routes take an optional ?owner=<username>. Without it (or with the
+// caller's own username) the request acts on the caller's own library as owner;
+// otherwise the caller needs a share from that owner (see storage/shares.js).
+//
+// requireRole(required) returns middleware that sets
+//   req.library = { owner, role, self, videoIds }
+// where role is the caller's role for this request - for /:videoId routes the
+// stronger of their library and video shares. With { partial: true } (listing
+// routes) callers with only video shares get through too, and videoIds lists
+// the videos they may see; it is null when they can see the whole library.
+function createLibraryAccess(store) {
+  return function requireRole(required, { partial = false } = {}) {
+    return async function checkAccess(req, res, next) {
+      const { username, legacy } = req.user;
+      const owner = typeof req.query.owner === 'string' && req.query.owner ? req.query.owner : username;
+
+      if (owner === username) {
+        req.library = { owner, role: 'owner', self: true, videoIds: null };
+        return next();
+      }
+
+      if (legacy) {
+        return sendAuthError(res, 'Authentication required', 'AUTH_REQUIRED', 'Shared libraries require an access token');
+      }
+
+      let access;
+      try {
+        access = await store.shares.accessFor(owner, username);
+      } catch (error) {
+        return sendStorageError(res, 'Failed to check access', error);
+      }
+
+      const { videoId } = req.params;
+      const videoIds = Object.keys(access.videoRoles);
+      const role = videoId ? strongerRole(access.libraryRole, access.videoRoles[videoId]) : access.libraryRole;
+
+      const allowed = roleAllows(role, required)
+        || (partial && required === 'viewer' && !videoId && videoIds.length > 0);
+      if (!allowed) {
+        console.warn(`${req.method} ${req.path} - ${username} denied ${required} access to library of ${owner}`);
+        return sendError(res, 403, 'ACCESS_DENIED', required === 'owner'
+          ? 'Only the owner can do this'
+          : `You need ${required} access to this ${videoId ? 'video' : 'library'}`, { owner, required });
+      }
+
+      req.library = {
+        owner,
+        role: role || 'viewer',
+        self: false,
+        videoIds: access.libraryRole ? null : videoIds
+      };
+      next();
+    };
+  };
+}
+
+module.exports = {
+  ownerQuery,
+  createLibraryAccess
+};
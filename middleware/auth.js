@@ -0,0 +1,80 @@
+const { verifyToken } = require('../lib/tokens');
+const { sendError, sendStorageError } = require('../lib/errors');
+
+// Legacy clients identify themselves with a plain `username` body/query field.
+// That proves nothing, so it is off unless LEGACY_USERNAME_AUTH=true.
+const LEGACY_USERNAME_AUTH = process.env.LEGACY_USERNAME_AUTH === 'true';
+
+// Even then, a username parameter can only read, or save and delete videos as
+// legacy clients always did. Every other write needs a token.
+const LEGACY_WRITE_ROUTES = [
+  { method: 'POST', pattern: /^\/videos\/?$/ },
+  { method: 'DELETE', pattern: /^\/videos\/[^/]+\/?$/ }
+];
+
+function legacyAllowed(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return true;
+  return LEGACY_WRITE_ROUTES.some(({ method, pattern }) => req.method === method && pattern.test(req.path));
+}
+
+function sendAuthError(res, error, type, details) {
+  return sendError(res, 401, type, error, { details });
+}
+
+// Auth middleware - resolves req.user from the bearer access token.
+// The session must still exist, so logout revokes access tokens immediately.
+function createRequireAuth(store) {
+  return async function requireAuth(req, res, next) {
+    const authHeader = req.get('authorization') || '';
+    const [scheme, token] = authHeader.split(' ');
+    const claimedUsername = (req.body && req.body.username) || req.query.username;
+
+    if (!token || scheme.toLowerCase() !== 'bearer') {
+      if (LEGACY_USERNAME_AUTH && claimedUsername) {
+        if (!legacyAllowed(req)) {
+          return sendAuthError(res, 'Authentication required', 'AUTH_REQUIRED', 'This endpoint requires an access token');
+        }
+        console.warn(`${req.method} ${req.path} - DEPRECATED: unauthenticated request using username parameter for user: ${claimedUsername}`);
+        res.set('Deprecation', 'true');
+        req.user = { username: claimedUsername, legacy: true };
+        return next();
+      }
+      return sendAuthError(res, 'Authentication required', 'AUTH_REQUIRED', 'Send an access token in the Authorization header: Bearer <token>');
+    }
+
+    let claims;
+    try {
+      claims = verifyToken(token, 'access');
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      return sendAuthError(
+        res,
+        expired ? 'Access token expired' : 'Invalid access token',
+        expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+        error.message
+      );
+    }
+
+    try {
+      const session = await store.sessions.get(claims.username, claims.sessionId);
+      if (!session) {
+        return sendAuthError(res, 'Session has been revoked', 'SESSION_REVOKED', 'Please log in again');
+      }
+    } catch (error) {
+      return sendStorageError(res, 'Failed to verify session', error);
+    }
+
+    // A token always wins over a username parameter, but a mismatch is a client bug worth surfacing
+    if (claimedUsername && claimedUsername !== claims.username) {
+      return sendError(res, 403, 'USERNAME_MISMATCH', 'Username does not match the authenticated user');
+    }
+
+    req.user = { username: claims.username, sessionId: claims.sessionId, legacy: false };
+    next();
+  };
+}
+
+module.exports = {
+  createRequireAuth,
+  sendAuthError
+};
@@ -0,0 +1,27 @@
+// Records every request in metrics (see lib/metrics.js) once its response is
+// finished. Error responses set res.locals.errorType (see lib/errors.js).
+function createMetricsMiddleware(metrics) {
+  return function recordMetrics(req, res, next) {
+    const started = process.hrtime.bigint();
+    let recorded = false;
+
+    function record() {
+      if (recorded) return;
+      recorded = true;
+      metrics.recordRequest({
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode,
+        durationSeconds: Number(process.hrtime.bigint() - started) / 1e9,
+        errorType: res.locals.errorType
+      });
+    }
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+}
+
+module.exports = {
+  createMetricsMiddleware
+};
@@ -0,0 +1,39 @@
+const { sendError } = require('../lib/errors');
+
+// 429 with a Retry-After header (in whole seconds, as the header requires)
+function sendRateLimited(res, { error, type, retryAfterMs }) {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, type, error, { retryAfter });
+}
+
+// Per-IP rate limit middleware for an auth action ('login', 'signup' or 'passwordReset'),
+// backed by a limiter from lib/limiter.js.
+// If the limit store is unreachable the request is let through - locking
+// everyone out of login is worse than briefly not limiting it.
+function createRateLimit(limiter, action) {
+  return async function rateLimit(req, res, next) {
+    let result;
+    try {
+      result = await limiter.hit(action, req.ip);
+    } catch (error) {
+      console.error(`Rate limit check failed for ${action}, allowing request:`, error);
+      return next();
+    }
+
+    if (!result.allowed) {
+      console.warn(`Rate limit exceeded for ${action} from ${req.ip}`);
+      return sendRateLimited(res, {
+        error: 'Too many requests. Please try again later.',
+        type: 'RATE_LIMITED',
+        retryAfterMs: result.retryAfterMs
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimit,
+  sendRateLimited
+};
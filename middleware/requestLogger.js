@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { requestContext, redactString } = require('../lib/logger');
+
+// Client-supplied request ids are kept if they look sane, so a request can be
+// followed from the client (or a proxy) into these logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Path segments that are secrets themselves (public link tokens)
+const TOKEN_PATHS = [/^(\/public\/)[^/?]+/, /^(\/links\/)[^/?]+/];
+
+function redactUrl(url) {
+  const redacted = TOKEN_PATHS.reduce((path, pattern) => path.replace(pattern, '$1[REDACTED]'), url);
+  return redactString(redacted);
+}
+
+// Gives every request an id, echoed in the X-Request-Id response header and
+// added to every line logged while handling it, and logs one line when it
+// completes with its status and latency. Request bodies are never logged.
+function createRequestLogger(logger) {
+  return function requestLogger(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.set('X-Request-Id', requestId);
+
+    let logged = false;
+    function logCompletion() {
+      if (logged) return;
+      logged = true;
+
+      const status = res.statusCode;
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      req.log[level]('request completed', {
+        method: req.method,
+        path: redactUrl(req.originalUrl),
+        status,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        ip: req.ip,
+        ...(req.user ? { user: req.user.username } : {}),
+        // The client went away before the response was finished (or an event stream closed)
+        ...(res.writableFinished ? {} : { aborted: true })
+      });
+    }
+    res.on('finish', logCompletion);
+    res.on('close', logCompletion);
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+// Body parsing can lose track of the request context, so bind it again
+// afterwards for the route handlers
+function restoreRequestContext(req, res, next) {
+  requestContext.run({ requestId: req.id }, next);
+}
+
+module.exports = {
+  createRequestLogger,
+  restoreRequestContext
+};
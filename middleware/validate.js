@@ -0,0 +1,57 @@
+const { validate, coerceParams, objectSchema } = require('../lib/schema');
+const { sendValidationError } = require('../lib/errors');
+const { ID_SCHEMA } = require('../lib/organize');
+
+const NO_FIELDS = objectSchema({});
+
+// Path parameter schema for routes like /sets/:setId/entries/:entryId
+function idParams(...names) {
+  const properties = {};
+  names.forEach((name) => { properties[name] = ID_SCHEMA; });
+  return objectSchema(properties, names);
+}
+
+function withoutUsername(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+  const { username, ...rest } = value;
+  return rest;
+}
+
+// Request validation middleware for a route, from its spec:
+//   {
+//     summary, description,       // for the OpenAPI document
+//     params, query, body,        // JSON Schemas (lib/schema.js); a missing one allows nothing
+//     responses: { 200: { description, schema } },
+//     errors: [404, 409]          // error statuses the route can send, besides the usual ones
+//   }
+// Failing requests get a 400 VALIDATION_ERROR listing every problem. The spec
+// is kept on the middleware so lib/openapi.js can document the route.
+//
+// Goes after requireAuth: once a request is authenticated, the `username`
+// field legacy clients send (see middleware/auth.js) is allowed everywhere.
+function validateRequest(spec) {
+  function validateRequestMiddleware(req, res, next) {
+    const errors = [];
+    const query = req.user ? withoutUsername(req.query) : req.query;
+    const body = req.user ? withoutUsername(req.body || {}) : req.body || {};
+
+    if (spec.params) {
+      errors.push(...validate(spec.params, coerceParams(spec.params, req.params), 'path parameter'));
+    }
+    errors.push(...validate(spec.query || NO_FIELDS, coerceParams(spec.query, query), 'query parameter'));
+    errors.push(...validate(spec.body || NO_FIELDS, body, 'body'));
+
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid request', errors);
+    }
+    next();
+  }
+
+  validateRequestMiddleware.spec = spec;
+  return validateRequestMiddleware;
+}
+
+module.exports = {
+  idParams,
+  validateRequest
+};
@@ -0,0 +1,73 @@
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const { createMigrator } = require('./storage/migrations');
+
+// Run data migrations against the configured database (see storage/migrations).
+// Stop the server first, so nothing writes while records move.
+//
+//   node migrate.js status           show the schema version and pending migrations
+//   node migrate.js up [--dry-run]   run pending migrations (--dry-run writes nothing)
+//   node migrate.js up --to <n>      only run up to version n
+const USAGE = 'Usage: node migrate.js status | up [--dry-run] [--to <version>]';
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, dryRun: false, to: undefined };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (rest[i] === '--to' && /^\d+$/.test(rest[i + 1] || '')) {
+      options.to = parseInt(rest[++i], 10);
+    } else {
+      return null;
+    }
+  }
+  return ['status', 'up'].includes(command) ? options : null;
+}
+
+function printReport(report) {
+  console.log(`${report.dryRun ? 'Dry run: ' : ''}schema version ${report.from} -> ${report.to}`);
+  if (report.migrations.length === 0) {
+    console.log('Nothing to migrate');
+  }
+  report.migrations.forEach((migration) => {
+    console.log(`\nMigration ${migration.version} (${migration.name}): ${migration.changes.length} changes, ${migration.conflicts.length} conflicts`);
+    migration.changes.forEach((change) => console.log('  change:', JSON.stringify(change)));
+    migration.conflicts.forEach((conflict) => console.log('  conflict:', JSON.stringify(conflict)));
+  });
+  if (report.rolledBack.length > 0) {
+    console.log(`\nRolled back migrations: ${report.rolledBack.join(', ')}`);
+  }
+  if (report.error) {
+    console.log(`\nFailed: ${report.error}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const store = createStorage(process.env);
+  const migrator = createMigrator(store.adapter);
+
+  if (options.command === 'status') {
+    const status = await migrator.status();
+    console.log(`Schema version ${status.current} (latest ${status.latest})`);
+    status.pending.forEach((migration) => console.log(`  pending: ${migration.version} ${migration.name} - ${migration.description}`));
+    return 0;
+  }
+
+  const report = await migrator.run({ dryRun: options.dryRun, to: options.to });
+  printReport(report);
+  return report.error ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,208 @@
+const express = require('express');
+const { hashToken } = require('../lib/tokens');
+const { validatePassword, hashPassword, checkPassword, createResetToken } = require('../lib/passwords');
+const { parseDuration } = require('../lib/limiter');
+const { sendAuthError } = require('../middleware/auth');
+const { createRateLimit } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/validate');
+const { sendError, sendStorageError, sendValidationError } = require('../lib/errors');
+const { objectSchema } = require('../lib/schema');
+const { ref } = require('../lib/openapi');
+
+const PASSWORD_RESET_TTL_MS = parseDuration(process.env.PASSWORD_RESET_TTL, 60 * 60 * 1000);
+
+const PASSWORD_SCHEMA = { type: 'string', minLength: 1 };
+const NEW_PASSWORD_SCHEMA = { type: 'string', description: '6 characters to 72 bytes' };
+
+function invalidPassword(res) {
+  return sendError(res, 401, 'INVALID_PASSWORD', 'Password is incorrect');
+}
+
+// Changing the password or deleting the account needs a real token -
+// a legacy username parameter proves nothing about who is asking
+function requireTokenUser(req, res) {
+  if (req.user.legacy) {
+    sendAuthError(res, 'Authentication required', 'AUTH_REQUIRED', 'This endpoint requires an access token');
+    return false;
+  }
+  return true;
+}
+
+// Account management: change password, password reset and account deletion.
+// deliverPasswordReset({ username, token, expiresAt }) sends a reset token to
+// the user (see logPasswordReset in lib/passwords.js for the default).
+function createAccountRouter({ store, requireAuth, limiter, deliverPasswordReset }) {
+  const router = express.Router();
+
+  // POST /account/password - Change the password of the logged-in user
+  // Body: { currentPassword, newPassword }. Every other session is logged out.
+  router.post('/account/password', requireAuth, validateRequest({
+    summary: 'Change the password',
+    body: objectSchema({ currentPassword: PASSWORD_SCHEMA, newPassword: NEW_PASSWORD_SCHEMA }, ['currentPassword', 'newPassword']),
+    responses: { 200: { description: 'Password changed; other sessions revoked', schema: ref('Success') } }
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username, sessionId } = req.user;
+      const { currentPassword, newPassword } = req.body;
+
+      const passwordError = validatePassword(newPassword);
+      if (passwordError) {
+        return sendValidationError(res, 'Invalid password', passwordError);
+      }
+
+      const userData = await store.users.get(username);
+      if (!userData || !(await checkPassword(currentPassword, userData.password))) {
+        console.warn(`Password change with incorrect current password for user: ${username}`);
+        return invalidPassword(res);
+      }
+
+      await store.users.update(username, {
+        password: await hashPassword(newPassword),
+        passwordChangedAt: Date.now()
+      });
+
+      const sessions = await store.sessions.list(username);
+      const otherSessions = Object.keys(sessions).filter((id) => id !== sessionId);
+      await store.sessions.removeMany(username, otherSessions);
+
+      console.log(`Password changed for user ${username} (${otherSessions.length} other sessions revoked)`);
+      res.json({
+        success: true,
+        message: 'Password changed successfully',
+        revokedSessions: otherSessions.length
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to change password', error);
+    }
+  });
+
+  // POST /password/reset/request - Start a password reset
+  // Body: { username }. Always answers 202 so it can't be used to find out
+  // which usernames exist; the token goes out through deliverPasswordReset.
+  router.post('/password/reset/request', createRateLimit(limiter, 'passwordReset'), validateRequest({
+    summary: 'Request a password reset token',
+    body: objectSchema({ username: { type: 'string', minLength: 1 } }, ['username']),
+    responses: { 202: { description: 'Accepted, whether or not the account exists', schema: ref('Success') } },
+    errors: [429]
+  }), async (req, res) => {
+    try {
+      const { username } = req.body;
+
+      if (await store.users.exists(username)) {
+        const token = createResetToken();
+        const now = Date.now();
+        const expiresAt = now + PASSWORD_RESET_TTL_MS;
+
+        await store.passwordResets.save(username, {
+          tokenHash: hashToken(token),
+          createdAt: now,
+          expiresAt
+        });
+
+        try {
+          await deliverPasswordReset({ username, token, expiresAt });
+          console.log(`Password reset token issued for user: ${username}`);
+        } catch (error) {
+          console.error(`Failed to deliver password reset for user ${username}:`, error);
+        }
+      } else {
+        console.warn(`Password reset requested for non-existent username: ${username}`);
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'If the account exists, a password reset has been sent'
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to request password reset', error);
+    }
+  });
+
+  // POST /password/reset - Set a new password with a reset token
+  // Body: { username, token, newPassword }. The token works once; afterwards
+  // every session is logged out.
+  router.post('/password/reset', createRateLimit(limiter, 'passwordReset'), validateRequest({
+    summary: 'Set a new password with a reset token',
+    body: objectSchema({
+      username: { type: 'string', minLength: 1 },
+      token: { type: 'string', minLength: 1 },
+      newPassword: NEW_PASSWORD_SCHEMA
+    }, ['username', 'token', 'newPassword']),
+    responses: { 200: { description: 'Password reset; every session revoked', schema: ref('Success') } },
+    errors: [429]
+  }), async (req, res) => {
+    try {
+      const { username, token, newPassword } = req.body;
+
+      const passwordError = validatePassword(newPassword);
+      if (passwordError) {
+        return sendValidationError(res, 'Invalid password', passwordError);
+      }
+
+      const outcome = await store.passwordResets.consume(username, hashToken(token));
+      if (outcome !== 'ok') {
+        console.warn(`Password reset with ${outcome} token for user: ${username}`);
+        return outcome === 'expired'
+          ? sendError(res, 400, 'RESET_TOKEN_EXPIRED', 'Reset token has expired')
+          : sendError(res, 400, 'INVALID_RESET_TOKEN', 'Reset token is invalid or has already been used');
+      }
+
+      await store.users.update(username, {
+        password: await hashPassword(newPassword),
+        passwordChangedAt: Date.now()
+      });
+      await store.sessions.removeAll(username);
+      // A reset proves who the user is, so lift any login lockout as well
+      await limiter.recordSuccess(username).catch((error) => {
+        console.error('Failed to clear failed logins:', error);
+      });
+
+      console.log(`Password reset completed for user: ${username}`);
+      res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.'
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to reset password', error);
+    }
+  });
+
+  // DELETE /account - Delete the logged-in user and everything they saved
+  // Body: { password } to confirm.
+  router.delete('/account', requireAuth, validateRequest({
+    summary: 'Delete the account and everything in it',
+    body: objectSchema({ password: PASSWORD_SCHEMA }, ['password']),
+    responses: { 200: { description: 'Account deleted', schema: ref('Success') } }
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+      const { password } = req.body;
+
+      const userData = await store.users.get(username);
+      if (!userData || !(await checkPassword(password, userData.password))) {
+        console.warn(`Account deletion with incorrect password for user: ${username}`);
+        return invalidPassword(res);
+      }
+
+      const videoCount = Object.keys(userData.videos || {}).length;
+      await store.users.remove(username);
+
+      console.log(`Account deleted for user ${username} (${videoCount} videos)`);
+      res.json({
+        success: true,
+        message: 'Account deleted successfully',
+        deletedVideos: videoCount
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete account', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAccountRouter
+};
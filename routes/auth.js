@@ -0,0 +1,300 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { createSessionId, hashToken, issueTokens, verifyToken } = require('../lib/tokens');
+const { validatePassword, hashPassword } = require('../lib/passwords');
+const { sendAuthError } = require('../middleware/auth');
+const { createRateLimit, sendRateLimited } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/validate');
+const { sendError, sendStorageError, sendServerError, sendValidationError } = require('../lib/errors');
+const { objectSchema } = require('../lib/schema');
+const { ref } = require('../lib/openapi');
+
+const CREDENTIALS_SCHEMA = objectSchema({
+  username: { type: 'string', minLength: 1 },
+  password: { type: 'string', minLength: 1 }
+}, ['username', 'password']);
+
+// Letters, numbers and underscores, 3-20 characters
+const NEW_USERNAME_SCHEMA = {
+  type: 'string',
+  pattern: '^[a-zA-Z0-9_]{3,20}$',
+  patternMessage: 'must be 3-20 characters and contain only letters, numbers, and underscores'
+};
+
+// With LOGIN_GENERIC_ERRORS=true, a wrong username and a wrong password get the
+// same response, so login can't be used to find out which usernames exist.
+const GENERIC_LOGIN_ERRORS = process.env.LOGIN_GENERIC_ERRORS === 'true';
+
+// Compared against when the user doesn't exist, so that takes as long as a wrong password
+let dummyHash = null;
+async function getDummyHash() {
+  if (!dummyHash) dummyHash = bcrypt.hash(createSessionId(), 10);
+  return dummyHash;
+}
+
+function usernameTaken(res, username) {
+  console.warn(`Signup attempt with existing username: ${username}`);
+  return sendError(res, 409, 'USERNAME_EXISTS', 'Username already taken');
+}
+
+// Account and session routes: signup, login, token refresh and logout.
+// limiter (lib/limiter.js) rate limits login/signup per IP and locks accounts
+// after repeated failed logins. Login outcomes are counted in metrics (lib/metrics.js).
+function createAuthRouter({ store, requireAuth, limiter, metrics }) {
+  const router = express.Router();
+
+  // Count a failed login towards the account's lockout, then send the 401
+  async function loginFailed(res, username, { error, type }) {
+    metrics.recordLogin('failure', type);
+    try {
+      const { lockedUntil } = await limiter.recordFailure(username);
+      if (lockedUntil) {
+        console.warn(`Account locked after repeated failed logins: ${username} (until ${new Date(lockedUntil).toISOString()})`);
+      }
+    } catch (lockoutError) {
+      console.error('Failed to record failed login:', lockoutError);
+    }
+
+    if (GENERIC_LOGIN_ERRORS) {
+      return sendError(res, 401, 'INVALID_CREDENTIALS', 'Invalid username or password. Please try again!');
+    }
+    return sendError(res, 401, type, error);
+  }
+
+  // Helper function to create a login session and issue its tokens
+  async function createSession(username, req) {
+    const sessionId = createSessionId();
+    const tokens = issueTokens(username, sessionId);
+    const now = Date.now();
+
+    await store.sessions.save(username, sessionId, {
+      refreshTokenHash: hashToken(tokens.refreshToken),
+      userAgent: req.get('user-agent') || null,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: tokens.refreshExpiresAt
+    });
+
+    return tokens;
+  }
+
+  // Helper function to drop sessions whose refresh token has expired
+  async function pruneExpiredSessions(username) {
+    const sessions = await store.sessions.list(username);
+    const now = Date.now();
+    const expired = Object.keys(sessions).filter((sessionId) => {
+      const session = sessions[sessionId];
+      return !session.expiresAt || session.expiresAt < now;
+    });
+    await store.sessions.removeMany(username, expired);
+  }
+
+  // POST /login - Authenticate a user
+  router.post('/login', createRateLimit(limiter, 'login'), validateRequest({
+    summary: 'Log in',
+    body: CREDENTIALS_SCHEMA,
+    responses: { 200: { description: 'Logged in', schema: ref('Tokens') } },
+    errors: [401, 429]
+  }), async (req, res) => {
+    try {
+      console.log('POST /login - Request received');
+      const { username, password } = req.body;
+
+      // Refuse outright while the account is locked out
+      const lock = await limiter.lockStatus(username).catch((error) => {
+        console.error('Failed to check account lockout:', error);
+        return { locked: false };
+      });
+      if (lock.locked) {
+        console.warn(`Login attempt for locked account: ${username}`);
+        metrics.recordLogin('failure', 'ACCOUNT_LOCKED');
+        return sendRateLimited(res, {
+          error: 'Too many failed login attempts. Please try again later.',
+          type: 'ACCOUNT_LOCKED',
+          retryAfterMs: lock.retryAfterMs
+        });
+      }
+
+      // Check if user exists
+      const userData = await store.users.get(username);
+    
+      if (!userData) {
+        console.warn(`Login attempt with non-existent username: ${username}`);
+        if (GENERIC_LOGIN_ERRORS) {
+          await bcrypt.compare(password, await getDummyHash());
+        }
+        return loginFailed(res, username, {
+          error: 'No account exists for this user. Please try again!',
+          type: 'USER_NOT_FOUND'
+        });
+      }
+
+      // Verify password
+      const passwordMatch = await bcrypt.compare(password, userData.password);
+    
+      if (!passwordMatch) {
+        console.warn(`Login attempt with incorrect password for username: ${username}`);
+        return loginFailed(res, username, {
+          error: 'Invalid password. Please try again!',
+          type: 'INVALID_PASSWORD'
+        });
+      }
+
+      // Login successful - start a new session
+      await limiter.recordSuccess(username).catch((error) => {
+        console.error('Failed to clear failed logins:', error);
+      });
+      await pruneExpiredSessions(username);
+      const tokens = await createSession(username, req);
+
+      console.log('Login successful for user:', username);
+      metrics.recordLogin('success');
+      res.json({ 
+        success: true, 
+        message: 'Login successful',
+        username: username,
+        ...tokens
+      });
+    } catch (error) {
+      sendServerError(res, 'Unexpected error during login', error);
+    }
+  });
+
+  // POST /signup - Create a new user
+  router.post('/signup', createRateLimit(limiter, 'signup'), validateRequest({
+    summary: 'Create an account',
+    body: objectSchema({
+      username: NEW_USERNAME_SCHEMA,
+      password: { type: 'string', description: '6 characters to 72 bytes' }
+    }, ['username', 'password']),
+    responses: { 201: { description: 'Account created and logged in', schema: ref('Tokens') } },
+    errors: [409, 429]
+  }), async (req, res) => {
+    try {
+      console.log('POST /signup - Request received');
+    
+      const { username, password } = req.body;
+
+      // Password length is counted in bytes, which a schema can't express
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return sendValidationError(res, 'Invalid password', [passwordError]);
+      }
+
+      // Check if username already exists
+      if (await store.users.exists(username)) {
+        return usernameTaken(res, username);
+      }
+
+      // Hash the password
+      const hashedPassword = await hashPassword(password);
+
+      // Create the user record (the store adds username and timestamps).
+      // create() checks again atomically, in case of a concurrent signup.
+      const created = await store.users.create(username, {
+        password: hashedPassword // Store hashed password, never plain text
+      });
+
+      if (!created) {
+        return usernameTaken(res, username);
+      }
+
+      const tokens = await createSession(username, req);
+
+      console.log('User created successfully:', username);
+      res.status(201).json({ 
+        success: true, 
+        message: 'User created successfully',
+        username: username,
+        ...tokens
+      });
+    } catch (error) {
+      sendServerError(res, 'Unexpected error creating user', error);
+    }
+  });
+
+  // POST /token/refresh - Exchange a refresh token for a new token pair
+  // Refresh tokens are single-use: each refresh rotates the stored hash, and
+  // presenting an already-used token revokes the whole session.
+  router.post('/token/refresh', validateRequest({
+    summary: 'Get a new token pair with a refresh token',
+    body: objectSchema({ refreshToken: { type: 'string', minLength: 1 } }, ['refreshToken']),
+    responses: { 200: { description: 'New tokens', schema: ref('Tokens') } },
+    errors: [401]
+  }), async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      let claims;
+      try {
+        claims = verifyToken(refreshToken, 'refresh');
+      } catch (error) {
+        return sendAuthError(res, 'Invalid refresh token', 'INVALID_TOKEN', error.message);
+      }
+
+      const session = await store.sessions.get(claims.username, claims.sessionId);
+
+      if (!session) {
+        return sendAuthError(res, 'Session has been revoked', 'SESSION_REVOKED', 'Please log in again');
+      }
+
+      if (session.refreshTokenHash !== hashToken(refreshToken)) {
+        console.warn(`Refresh token reuse detected for user ${claims.username}, revoking session ${claims.sessionId}`);
+        await store.sessions.remove(claims.username, claims.sessionId);
+        return sendAuthError(res, 'Refresh token has already been used', 'TOKEN_REUSED', 'Please log in again');
+      }
+
+      const tokens = issueTokens(claims.username, claims.sessionId);
+      await store.sessions.update(claims.username, claims.sessionId, {
+        refreshTokenHash: hashToken(tokens.refreshToken),
+        lastUsedAt: Date.now(),
+        expiresAt: tokens.refreshExpiresAt
+      });
+
+      res.json({
+        success: true,
+        username: claims.username,
+        ...tokens
+      });
+    } catch (error) {
+      sendServerError(res, 'Unexpected error refreshing token', error);
+    }
+  });
+
+  // POST /logout - Revoke the current session (or every session with { all: true })
+  router.post('/logout', requireAuth, validateRequest({
+    summary: 'Log out',
+    body: objectSchema({ all: { type: 'boolean', description: 'Revoke every session, not just this one' } }),
+    responses: { 200: { description: 'Logged out', schema: ref('Success') } }
+  }), async (req, res) => {
+    try {
+      const { username, sessionId, legacy } = req.user;
+
+      if (legacy) {
+        return sendAuthError(res, 'Authentication required', 'AUTH_REQUIRED', 'Logout requires an access token');
+      }
+
+      const revokeAll = req.body.all === true;
+
+      if (revokeAll) {
+        await store.sessions.removeAll(username);
+      } else {
+        await store.sessions.remove(username, sessionId);
+      }
+
+      console.log(`Logged out user ${username} (${revokeAll ? 'all sessions' : `session ${sessionId}`})`);
+      res.json({
+        success: true,
+        message: revokeAll ? 'All sessions revoked' : 'Logged out successfully'
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to log out', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAuthRouter
+};
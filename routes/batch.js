@@ -0,0 +1,178 @@
+const express = require('express');
+const { sendError, sendStorageError } = require('../lib/errors');
+const { withUpgradedHotcues } = require('../lib/hotcues');
+const { publishVideoSaved } = require('../lib/events');
+const { roleAllows } = require('../lib/sharing');
+const { mapWithLimit } = require('../lib/concurrency');
+const {
+  MAX_OPERATIONS, LOOKUP_CONCURRENCY, OPERATION_SCHEMA,
+  checkOperations, rejectionStatus, versionConflict
+} = require('../lib/batch');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest } = require('../middleware/validate');
+const { ownerQuery } = require('../middleware/access');
+
+const STATUS_BY_OP = { create: 'created', update: 'updated', delete: 'deleted' };
+
+// The result reported for an operation that couldn't be applied
+function failedResult(item) {
+  return { index: item.index, op: item.op, videoId: item.videoId, ok: false, error: item.error };
+}
+
+// Batch changes to a library (see lib/batch.js). By default a batch is all or
+// nothing: every operation is checked first and, if they all pass, written in
+// one transaction (see store.videos.writeBatch). With allowPartial the operations that pass are
+// applied one by one and each gets its own result.
+function createBatchRouter({ store, events, metadata, requireAuth, requireRole }) {
+  const router = express.Router();
+
+  // Look up titles for the creates of a batch, a few at a time, and add them
+  // to their videoData (cached - see lib/metadata.js)
+  async function lookUpTitles(items) {
+    const creates = items.filter((item) => item.op === 'create');
+    await mapWithLimit(creates, LOOKUP_CONCURRENCY, async (item) => {
+      const info = await metadata.get(item.videoId);
+      item.videoData = { ...item.videoData, title: info.title, author: info.author, thumbnailUrl: info.thumbnailUrl };
+    });
+    if (creates.length > 0) {
+      console.log(`Looked up ${creates.length} video titles (at most ${LOOKUP_CONCURRENCY} at a time)`);
+    }
+  }
+
+  // Write checked items with store.videos.writeBatch and publish the changes.
+  // Resolves to { results } with one result per item, or { conflicts } with a
+  // failed result for each item whose video changed after it was checked
+  // (then nothing was written).
+  async function applyItems(owner, items) {
+    const written = await store.videos.writeBatch(owner, {
+      saves: items.filter((item) => item.op !== 'delete')
+        .map((item) => ({ videoId: item.videoId, videoData: item.videoData, previous: item.current })),
+      deletes: items.filter((item) => item.op === 'delete')
+        .map((item) => ({ videoId: item.videoId, video: item.current }))
+    });
+
+    if (written.conflicts) {
+      const currentById = new Map(written.conflicts.map(({ videoId, current }) => [videoId, current]));
+      return {
+        conflicts: items.filter((item) => currentById.has(item.videoId))
+          .map((item) => failedResult({ ...item, error: versionConflict(currentById.get(item.videoId)) }))
+      };
+    }
+
+    const { saved, deleted } = written;
+    saved.forEach(({ video, previous }) => publishVideoSaved(events, owner, withUpgradedHotcues(video), previous));
+    deleted.forEach(({ videoId, removedFromSets }) => events.publish(owner, 'video.deleted', { videoId, removedFromSets }));
+
+    const savedById = new Map(saved.map((result) => [result.video.videoId, result.video]));
+    const deletedById = new Map(deleted.map((result) => [result.videoId, result]));
+    return {
+      results: items.map((item) => ({
+        index: item.index,
+        op: item.op,
+        videoId: item.videoId,
+        ok: true,
+        status: STATUS_BY_OP[item.op],
+        ...(item.op === 'delete'
+          ? { removedFromSets: deletedById.get(item.videoId).removedFromSets }
+          : { version: savedById.get(item.videoId).version })
+      }))
+    };
+  }
+
+  // POST /videos/batch - Create, update and delete many videos at once
+  // Body: { operations: [...], allowPartial: false }
+  router.post('/videos/batch', requireAuth, validateRequest({
+    summary: 'Create, update and delete many videos at once',
+    description: 'Every operation is checked before anything is written. By default the batch is all or nothing: '
+      + 'if any operation fails, none is applied (400 if one was malformed, 409 if the library didn\'t match). '
+      + 'With allowPartial, the operations that pass are applied and each gets a result. Deletes need owner access.',
+    query: ownerQuery(),
+    body: objectSchema({
+      operations: { type: 'array', items: OPERATION_SCHEMA, minItems: 1, maxItems: MAX_OPERATIONS },
+      allowPartial: { type: 'boolean', default: false, description: 'Apply the operations that pass even if others fail' }
+    }, ['operations']),
+    responses: {
+      200: {
+        description: 'A result for every operation, in order',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', description: 'Every operation was applied' },
+            atomic: { type: 'boolean' },
+            summary: { type: 'object', properties: { applied: { type: 'integer' }, failed: { type: 'integer' } } },
+            results: arrayOf('BatchResult')
+          }
+        }
+      },
+      409: { description: 'Nothing was applied; failures lists the operations that failed', schema: ref('Error') }
+    },
+    errors: [403]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { owner, role } = req.library;
+      const { operations, allowPartial = false } = req.body;
+
+      console.log(`POST /videos/batch - ${operations.length} operations for library of ${owner}${allowPartial ? ' (partial allowed)' : ''}`);
+
+      if (operations.some((operation) => operation.op === 'delete') && !roleAllows(role, 'owner')) {
+        return sendError(res, 403, 'ACCESS_DENIED', 'Only the owner can delete videos', { owner, required: 'owner' });
+      }
+
+      const library = await store.videos.list(owner);
+      const items = checkOperations(operations, library);
+      const failed = items.filter((item) => item.error);
+      const valid = items.filter((item) => !item.error);
+
+      if (!allowPartial && failed.length > 0) {
+        console.error(`Batch rejected for ${owner}: ${failed.length} of ${items.length} operations failed`);
+        return sendError(res, rejectionStatus(failed), 'BATCH_REJECTED', 'No operations were applied', {
+          failures: failed.map(failedResult)
+        });
+      }
+
+      await lookUpTitles(valid);
+
+      let applied;
+      if (!allowPartial) {
+        const { results, conflicts } = await applyItems(owner, valid);
+        if (conflicts) {
+          console.error(`Batch rejected for ${owner}: ${conflicts.length} videos changed while it was checked`);
+          return sendError(res, 409, 'BATCH_REJECTED', 'No operations were applied', { failures: conflicts });
+        }
+        applied = results;
+      } else {
+        // One write per operation, so a storage failure only affects its own result
+        applied = [];
+        for (const item of valid) {
+          try {
+            const { results, conflicts } = await applyItems(owner, [item]);
+            applied.push(...(conflicts || results));
+          } catch (error) {
+            console.error(`Batch operation ${item.index} failed for ${owner}:`, error.message);
+            applied.push(failedResult({ ...item, error: { type: 'FIREBASE_ERROR', error: 'Failed to apply operation' } }));
+          }
+        }
+      }
+
+      const results = [...applied, ...failed.map(failedResult)].sort((a, b) => a.index - b.index);
+      const failedCount = results.filter((result) => !result.ok).length;
+      console.log(`Batch for ${owner}: ${results.length - failedCount} applied, ${failedCount} failed`);
+
+      res.json({
+        success: failedCount === 0,
+        atomic: !allowPartial,
+        summary: { applied: results.length - failedCount, failed: failedCount },
+        results
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to apply batch', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createBatchRouter
+};
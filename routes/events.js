@@ -0,0 +1,111 @@
+const express = require('express');
+const { sendAuthError } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { objectSchema } = require('../lib/schema');
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Browsers' EventSource can't set headers, so the stream also accepts the
+// access token as ?access_token=...
+function tokenFromQuery(req, res, next) {
+  if (!req.get('authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+}
+
+// Realtime library updates over Server-Sent Events (see lib/events.js)
+function createEventsRouter({ store, events, requireAuth }) {
+  const router = express.Router();
+
+  // GET /events - Stream the authenticated user's library changes
+  // Event types: video.created, video.updated, video.deleted, hotcues.changed.
+  // Reconnect with the Last-Event-ID header (EventSource does this for you) or
+  // ?lastEventId= to replay what was missed. If that isn't possible a "resync"
+  // event is sent and the client should refetch GET /videos.
+  router.get('/events', tokenFromQuery, requireAuth, validateRequest({
+    summary: "Stream the library's changes",
+    description: 'Server-sent events: video.created, video.updated, video.deleted and hotcues.changed. '
+      + 'Reconnect with Last-Event-ID (or ?lastEventId=) to replay what was missed; a "resync" event means refetch GET /videos.',
+    query: objectSchema({
+      access_token: { type: 'string', description: 'For EventSource, which cannot send an Authorization header' },
+      lastEventId: { type: 'string', maxLength: 128 }
+    }),
+    responses: { 200: { description: 'The event stream', contentType: 'text/event-stream', schema: { type: 'string' } } }
+  }), (req, res) => {
+    const { username, sessionId, legacy } = req.user;
+
+    if (legacy) {
+      return sendAuthError(res, 'Authentication required', 'AUTH_REQUIRED', 'The event stream requires an access token');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop proxies (e.g. nginx) from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Subscribe before replaying so nothing published in between is lost
+    const pending = [];
+    let replaying = true;
+    const unsubscribe = events.subscribe(username, (event) => {
+      if (replaying) {
+        pending.push(event);
+      } else {
+        writeEvent(res, event);
+      }
+    });
+
+    const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+    let replayedIds = new Set();
+    if (lastEventId) {
+      const missed = events.since(username, lastEventId);
+      if (missed === null) {
+        console.log(`Event stream for ${username} can't replay from ${lastEventId} - asking client to resync`);
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'History not available for last event id' })}\n\n`);
+      } else {
+        missed.forEach((event) => writeEvent(res, event));
+        replayedIds = new Set(missed.map((event) => event.id));
+        console.log(`Event stream for ${username} replayed ${missed.length} missed events`);
+      }
+    }
+    pending.filter((event) => !replayedIds.has(event.id)).forEach((event) => writeEvent(res, event));
+    replaying = false;
+
+    console.log(`Event stream opened for ${username} (${events.subscriberCount(username)} connected)`);
+
+    // Heartbeat keeps proxies from closing the idle connection, and ends the
+    // stream if the session was revoked (logout) since it was opened
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await store.sessions.get(username, sessionId))) {
+          res.write(`event: session.revoked\ndata: {}\n\n`);
+          res.end();
+          return;
+        }
+        res.write(': heartbeat\n\n');
+      } catch (error) {
+        console.error('Error checking session for event stream:', error.message);
+      }
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      console.log(`Event stream closed for ${username}`);
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventsRouter
+};
@@ -0,0 +1,337 @@
+const express = require('express');
+const { sendError, sendStorageError, sendValidationError, sendMissingVideos, sendVideoNotFound } = require('../lib/errors');
+const {
+  MAX_FOLDERS, MAX_FOLDER_DEPTH, ID_SCHEMA, NAME_SCHEMA,
+  validateFolderFields, validateIdList, idListSchema, sameName
+} = require('../lib/organize');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+const { publishVideosUpdated } = require('../lib/events');
+
+const PARENT_ID_SCHEMA = { ...ID_SCHEMA, type: ['string', 'null'], description: 'null (or missing) for the top level' };
+
+const FOLDER_WITH_PATH = {
+  allOf: [ref('Folder')],
+  type: 'object',
+  properties: {
+    path: { type: 'array', items: { type: 'object', properties: { folderId: { type: 'string' }, name: { type: 'string' } } } },
+    children: arrayOf('Folder')
+  }
+};
+
+function folderNotFound(res, folderId) {
+  return sendError(res, 404, 'FOLDER_NOT_FOUND', 'Folder not found', { folderId });
+}
+
+function folderExists(res, name) {
+  console.error('Folder name already in use:', name);
+  return sendError(res, 409, 'FOLDER_EXISTS', 'A folder with this name already exists here', { name });
+}
+
+// Count the videos filed directly in each folder
+function countVideos(videos) {
+  const counts = {};
+  Object.keys(videos).forEach((videoId) => {
+    const { folderId } = videos[videoId];
+    if (folderId) counts[folderId] = (counts[folderId] || 0) + 1;
+  });
+  return counts;
+}
+
+// Nested folders for organizing the library. A video is in at most one folder.
+function createFoldersRouter({ store, events, requireAuth }) {
+  const router = express.Router();
+
+  // Check that a folder can live under parentId with the given name.
+  // moving is the folder being moved (or renamed), if any.
+  // Returns null if it can, or a function that sends the error response.
+  function checkPlacement(folders, { name, parentId, moving }) {
+    if (parentId && !folders.some((folder) => folder.folderId === parentId)) {
+      return (res) => folderNotFound(res, parentId);
+    }
+
+    const subtree = moving ? store.folders.descendants(folders, moving) : [];
+    if (parentId && subtree.includes(parentId)) {
+      return (res) => sendValidationError(res, 'Invalid folder', ['a folder cannot be moved into itself or one of its subfolders']);
+    }
+
+    // Depth of the deepest folder once this one (and anything under it) is in place
+    const parentDepth = parentId ? store.folders.ancestry(folders, parentId).length : 0;
+    const ownDepth = moving ? store.folders.ancestry(folders, moving).length : 0;
+    const height = moving
+      ? Math.max(...subtree.map((id) => store.folders.ancestry(folders, id).length - ownDepth + 1))
+      : 1;
+    if (parentDepth + height > MAX_FOLDER_DEPTH) {
+      return (res) => sendValidationError(res, 'Invalid folder', [`folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`]);
+    }
+
+    const clash = folders.some((folder) =>
+      folder.folderId !== moving && folder.parentId === (parentId || null) && sameName(folder.name, name)
+    );
+    if (clash) {
+      return (res) => folderExists(res, name);
+    }
+
+    return null;
+  }
+
+  // GET /folders - List the user's folders with how many videos each holds directly
+  router.get('/folders', requireAuth, validateRequest({
+    summary: 'List folders',
+    responses: { 200: { description: 'Every folder, with how many videos it holds directly', schema: arrayOf('Folder') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const [folders, videos] = await Promise.all([
+        store.folders.list(username),
+        store.videos.list(username)
+      ]);
+      const counts = countVideos(videos);
+
+      console.log(`Found ${folders.length} folders for user: ${username}`);
+      res.json(folders.map((folder) => ({ ...folder, videoCount: counts[folder.folderId] || 0 })));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch folders', error);
+    }
+  });
+
+  // POST /folders - Create a folder, at the top level or under parentId
+  router.post('/folders', requireAuth, validateRequest({
+    summary: 'Create a folder',
+    body: objectSchema({ name: NAME_SCHEMA, parentId: PARENT_ID_SCHEMA }, ['name']),
+    responses: { 201: { description: 'Created', schema: ref('Folder') } },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const { errors, fields } = validateFolderFields(req.body);
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid folder', errors);
+      }
+
+      const folders = await store.folders.list(username);
+      if (folders.length >= MAX_FOLDERS) {
+        return sendValidationError(res, 'Invalid folder', [`you can have at most ${MAX_FOLDERS} folders`]);
+      }
+      const placementError = checkPlacement(folders, fields);
+      if (placementError) {
+        return placementError(res);
+      }
+
+      const folder = await store.folders.create(username, fields);
+      console.log(`Folder created for user ${username}:`, folder.folderId);
+      res.status(201).json(folder);
+    } catch (error) {
+      sendStorageError(res, 'Failed to create folder', error);
+    }
+  });
+
+  // GET /folders/:folderId - Get a folder with its path from the top level and its subfolders
+  router.get('/folders/:folderId', requireAuth, validateRequest({
+    summary: 'Get a folder with its path and subfolders',
+    params: idParams('folderId'),
+    responses: { 200: { description: 'The folder', schema: FOLDER_WITH_PATH } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { folderId } = req.params;
+      const { username } = req.user;
+      const [folders, videos] = await Promise.all([
+        store.folders.list(username),
+        store.videos.list(username)
+      ]);
+      const folder = folders.find((candidate) => candidate.folderId === folderId);
+
+      if (!folder) {
+        return folderNotFound(res, folderId);
+      }
+
+      const counts = countVideos(videos);
+      const byId = new Map(folders.map((candidate) => [candidate.folderId, candidate]));
+      res.json({
+        ...folder,
+        videoCount: counts[folderId] || 0,
+        path: store.folders.ancestry(folders, folderId).map((id) => ({ folderId: id, name: byId.get(id).name })),
+        children: folders
+          .filter((candidate) => candidate.parentId === folderId)
+          .map((child) => ({ ...child, videoCount: counts[child.folderId] || 0 }))
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch folder', error);
+    }
+  });
+
+  // PATCH /folders/:folderId - Rename a folder and/or move it (parentId null = top level)
+  router.patch('/folders/:folderId', requireAuth, validateRequest({
+    summary: 'Rename or move a folder',
+    params: idParams('folderId'),
+    body: objectSchema({ name: NAME_SCHEMA, parentId: PARENT_ID_SCHEMA }, [], { minProperties: 1 }),
+    responses: { 200: { description: 'Updated', schema: ref('Folder') } },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { folderId } = req.params;
+      const { username } = req.user;
+      const { errors, fields } = validateFolderFields(req.body, { partial: true });
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid folder', errors);
+      }
+
+      const folders = await store.folders.list(username);
+      const current = folders.find((folder) => folder.folderId === folderId);
+      if (!current) {
+        return folderNotFound(res, folderId);
+      }
+
+      const placementError = checkPlacement(folders, {
+        name: fields.name !== undefined ? fields.name : current.name,
+        parentId: fields.parentId !== undefined ? fields.parentId : current.parentId,
+        moving: folderId
+      });
+      if (placementError) {
+        return placementError(res);
+      }
+
+      const folder = await store.folders.update(username, folderId, fields);
+      if (!folder) {
+        return folderNotFound(res, folderId);
+      }
+
+      console.log(`Folder updated for user ${username}:`, folderId);
+      res.json(folder);
+    } catch (error) {
+      sendStorageError(res, 'Failed to update folder', error);
+    }
+  });
+
+  // DELETE /folders/:folderId - Delete a folder and all of its subfolders.
+  // The videos in them are kept and become unfiled.
+  router.delete('/folders/:folderId', requireAuth, validateRequest({
+    summary: 'Delete a folder and its subfolders',
+    description: 'The videos in them are kept and become unfiled.',
+    params: idParams('folderId'),
+    responses: {
+      200: {
+        description: 'Deleted',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            folderId: { type: 'string' },
+            removedFolderIds: { type: 'array', items: { type: 'string' } },
+            unfiledVideoIds: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { folderId } = req.params;
+      const { username } = req.user;
+
+      if (!(await store.folders.get(username, folderId))) {
+        return folderNotFound(res, folderId);
+      }
+
+      const { folderIds, videoIds } = await store.folders.remove(username, folderId);
+      console.log(`Folder deleted for user ${username}: ${folderId} (${folderIds.length} folders, ${videoIds.length} videos unfiled)`);
+      await publishVideosUpdated(events, store, username, videoIds);
+
+      res.json({
+        success: true,
+        message: 'Folder deleted successfully',
+        folderId,
+        removedFolderIds: folderIds,
+        unfiledVideoIds: videoIds
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete folder', error);
+    }
+  });
+
+  // POST /folders/:folderId/videos - Move videos into a folder
+  // Body: { videoIds: [...] }
+  router.post('/folders/:folderId/videos', requireAuth, validateRequest({
+    summary: 'Move videos into a folder',
+    params: idParams('folderId'),
+    body: objectSchema({ videoIds: idListSchema() }, ['videoIds']),
+    responses: {
+      200: {
+        description: 'Filed',
+        schema: { type: 'object', properties: { success: { type: 'boolean' }, folderId: { type: 'string' }, videoIds: { type: 'array', items: { type: 'string' } } } }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { folderId } = req.params;
+      const { username } = req.user;
+      const { errors, ids } = validateIdList(req.body.videoIds, 'videoIds');
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid folder assignment', errors);
+      }
+      if (!(await store.folders.get(username, folderId))) {
+        return folderNotFound(res, folderId);
+      }
+
+      const missingVideoIds = await store.videos.missing(username, ids);
+      if (missingVideoIds.length > 0) {
+        return sendMissingVideos(res, missingVideoIds);
+      }
+
+      const videoIds = await store.folders.assign(username, ids, folderId);
+      console.log(`Filed ${videoIds.length} videos in folder ${folderId} for user ${username}`);
+      await publishVideosUpdated(events, store, username, videoIds);
+      res.json({ success: true, folderId, videoIds });
+    } catch (error) {
+      sendStorageError(res, 'Failed to file videos', error);
+    }
+  });
+
+  // PUT /videos/:videoId/folder - File one video
+  // Body: { folderId } - null takes the video out of its folder
+  router.put('/videos/:videoId/folder', requireAuth, validateRequest({
+    summary: 'File a video in a folder, or take it out of its folder',
+    params: idParams('videoId'),
+    body: objectSchema({ folderId: { ...PARENT_ID_SCHEMA, description: 'null takes the video out of its folder' } }, ['folderId']),
+    responses: {
+      200: {
+        description: 'Filed',
+        schema: { type: 'object', properties: { success: { type: 'boolean' }, videoId: { type: 'string' }, folderId: { type: ['string', 'null'] } } }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { username } = req.user;
+      const { folderId } = req.body;
+
+      if (folderId !== null && !(await store.folders.get(username, folderId))) {
+        return folderNotFound(res, folderId);
+      }
+
+      const filed = await store.folders.assign(username, [videoId], folderId);
+      if (filed.length === 0) {
+        return sendVideoNotFound(res, videoId);
+      }
+
+      console.log(`Video ${videoId} ${folderId ? `filed in folder ${folderId}` : 'unfiled'} for user ${username}`);
+      await publishVideosUpdated(events, store, username, filed);
+      res.json({ success: true, videoId, folderId });
+    } catch (error) {
+      sendStorageError(res, 'Failed to file video', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createFoldersRouter
+};
@@ -0,0 +1,296 @@
+const express = require('express');
+const { MAX_HOTCUES, upgradeHotcues } = require('../lib/hotcues');
+const {
+  MAX_TEMPLATES, TEMPLATE_FIELDS_SCHEMA, APPLY_OPTIONS_SCHEMA,
+  transformHotcues, combineHotcues
+} = require('../lib/hotcueTemplates');
+const { formatETag, parseIfMatch, sendVersionConflict } = require('../lib/etag');
+const { sendError, sendStorageError, sendValidationError, sendVideoNotFound } = require('../lib/errors');
+const { publishVideoSaved } = require('../lib/events');
+const { ID_SCHEMA, sameName } = require('../lib/organize');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+const { ownerQuery } = require('../middleware/access');
+
+const TEMPLATE_PARAMS = idParams('templateId');
+
+const APPLY_RESPONSE = {
+  description: 'Applied; the lists say which cue keys were added, replaced, removed, skipped (merge) or clamped',
+  schema: ref('AppliedHotcues')
+};
+
+function templateNotFound(res, templateId) {
+  return sendError(res, 404, 'HOTCUE_TEMPLATE_NOT_FOUND', 'Hotcue template not found', { templateId });
+}
+
+function templateExists(res, name) {
+  console.error('Hotcue template name already in use:', name);
+  return sendError(res, 409, 'HOTCUE_TEMPLATE_EXISTS', 'A hotcue template with this name already exists', { name });
+}
+
+// Per-user hotcue templates (see lib/hotcueTemplates.js), and putting a
+// template's cues - or another video's - on a video
+function createHotcueTemplatesRouter({ store, events, requireAuth, requireRole }) {
+  const router = express.Router();
+
+  // Check a new or renamed template against the user's others: the limit on
+  // templates and unique names. Returns null if it's fine, or a function that
+  // sends the error response.
+  async function checkTemplate(username, { name, templateId }) {
+    const templates = await store.hotcueTemplates.list(username);
+    if (!templateId && templates.length >= MAX_TEMPLATES) {
+      return (res) => sendValidationError(res, 'Invalid hotcue template', [`you can have at most ${MAX_TEMPLATES} hotcue templates`]);
+    }
+    if (name !== undefined && templates.some((template) => template.templateId !== templateId && sameName(template.name, name))) {
+      return (res) => templateExists(res, name);
+    }
+    return null;
+  }
+
+  // Move/stretch hotcues onto a video of the request's library and save them
+  // (honours If-Match). Sends the response.
+  async function applyHotcues(req, res, videoId, hotcues, { source, reason }) {
+    const { owner } = req.library;
+    const { offset = 0, scale = 1, duration, mode = 'merge' } = req.body;
+    const { hotcues: incoming, clamped } = transformHotcues(hotcues, { offset, scale, duration });
+
+    // rewrite() may build the hotcues more than once, so keep the last report
+    let report = null;
+    const result = await store.hotcues.rewrite(owner, videoId, (current) => {
+      const { hotcues: combined, ...keys } = combineHotcues(current, incoming, mode);
+      report = keys;
+      return combined;
+    }, { ifMatch: parseIfMatch(req.get('if-match')), reason });
+
+    if (result.conflict) {
+      return sendVersionConflict(res, videoId, result.current);
+    }
+    if (result.notFound) {
+      return sendVideoNotFound(res, videoId);
+    }
+    if (result.tooMany) {
+      return sendValidationError(res, 'Invalid hotcues format', [`hotcues can have at most ${MAX_HOTCUES} entries`]);
+    }
+
+    const { video, previous } = result;
+    console.log(`Applied ${Object.keys(incoming).length} hotcues from ${source} to video ${videoId} for user ${owner} (${mode}, version ${video.version})`);
+    publishVideoSaved(events, owner, video, previous);
+
+    res.set('ETag', formatETag(video.version));
+    res.json({
+      success: true,
+      videoId,
+      version: video.version,
+      mode,
+      hotcues: video.hotcues,
+      hotcuesVersion: video.hotcuesVersion,
+      ...report,
+      clamped: clamped.filter((key) => mode === 'replace' || report.added.includes(key))
+    });
+  }
+
+  // GET /hotcue-templates - List the user's hotcue templates
+  router.get('/hotcue-templates', requireAuth, validateRequest({
+    summary: 'List hotcue templates',
+    responses: { 200: { description: 'Templates sorted by name', schema: arrayOf('HotcueTemplate') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const templates = await store.hotcueTemplates.list(username);
+
+      console.log(`Found ${templates.length} hotcue templates for user: ${username}`);
+      res.json(templates);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch hotcue templates', error);
+    }
+  });
+
+  // POST /hotcue-templates - Save a video's hotcues as a template
+  // Body: { name, description?, videoId } - with ?owner=, the video can be in a shared library
+  router.post('/hotcue-templates', requireAuth, validateRequest({
+    summary: 'Create a hotcue template from a video',
+    description: 'Copies the video\'s current hotcues. The template belongs to the caller, even when the video is '
+      + 'in a library shared with them.',
+    query: ownerQuery(),
+    body: objectSchema({ ...TEMPLATE_FIELDS_SCHEMA, videoId: ID_SCHEMA }, ['name', 'videoId']),
+    responses: { 201: { description: 'Created', schema: ref('HotcueTemplate') } },
+    errors: [403, 404, 409]
+  }), requireRole('viewer'), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const { owner } = req.library;
+      const { description, videoId } = req.body;
+      const name = req.body.name.trim();
+
+      const video = await store.videos.get(owner, videoId);
+      if (!video) {
+        return sendVideoNotFound(res, videoId);
+      }
+
+      const hotcues = upgradeHotcues(video.hotcues);
+      if (Object.keys(hotcues).length === 0) {
+        return sendValidationError(res, 'Invalid hotcue template', ['the video has no hotcues']);
+      }
+
+      const templateError = await checkTemplate(username, { name });
+      if (templateError) {
+        return templateError(res);
+      }
+
+      const template = await store.hotcueTemplates.create(username, {
+        name,
+        description: description || null,
+        hotcues,
+        sourceVideoId: videoId
+      });
+      console.log(`Hotcue template created for user ${username} from video ${videoId}:`, template.templateId);
+      res.status(201).json(template);
+    } catch (error) {
+      sendStorageError(res, 'Failed to create hotcue template', error);
+    }
+  });
+
+  // GET /hotcue-templates/:templateId - Get a template with its hotcues
+  router.get('/hotcue-templates/:templateId', requireAuth, validateRequest({
+    summary: 'Get a hotcue template',
+    params: TEMPLATE_PARAMS,
+    responses: { 200: { description: 'The template', schema: ref('HotcueTemplate') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      const template = await store.hotcueTemplates.get(req.user.username, templateId);
+
+      if (!template) {
+        return templateNotFound(res, templateId);
+      }
+
+      res.json(template);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch hotcue template', error);
+    }
+  });
+
+  // PATCH /hotcue-templates/:templateId - Rename a template or change its description
+  router.patch('/hotcue-templates/:templateId', requireAuth, validateRequest({
+    summary: 'Change a hotcue template',
+    description: 'Only the name and description can change; create a new template to capture other cues.',
+    params: TEMPLATE_PARAMS,
+    body: objectSchema(TEMPLATE_FIELDS_SCHEMA, [], { minProperties: 1 }),
+    responses: { 200: { description: 'Updated', schema: ref('HotcueTemplate') } },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      const { username } = req.user;
+      const fields = {};
+      if (req.body.name !== undefined) fields.name = req.body.name.trim();
+      if (req.body.description !== undefined) fields.description = req.body.description;
+
+      const templateError = await checkTemplate(username, { name: fields.name, templateId });
+      if (templateError) {
+        return templateError(res);
+      }
+
+      const template = await store.hotcueTemplates.update(username, templateId, fields);
+      if (!template) {
+        return templateNotFound(res, templateId);
+      }
+
+      console.log(`Hotcue template updated for user ${username}:`, templateId);
+      res.json(template);
+    } catch (error) {
+      sendStorageError(res, 'Failed to update hotcue template', error);
+    }
+  });
+
+  // DELETE /hotcue-templates/:templateId - Delete a template (videos keep their cues)
+  router.delete('/hotcue-templates/:templateId', requireAuth, validateRequest({
+    summary: 'Delete a hotcue template',
+    description: 'Videos the template was applied to keep their cues.',
+    params: TEMPLATE_PARAMS,
+    responses: { 200: { description: 'Deleted', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      const { username } = req.user;
+
+      if (!(await store.hotcueTemplates.get(username, templateId))) {
+        return templateNotFound(res, templateId);
+      }
+
+      await store.hotcueTemplates.remove(username, templateId);
+      console.log(`Hotcue template deleted for user ${username}:`, templateId);
+
+      res.json({
+        success: true,
+        message: 'Hotcue template deleted successfully',
+        templateId
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete hotcue template', error);
+    }
+  });
+
+  // POST /hotcue-templates/:templateId/apply - Put a template's cues on a video
+  // Body: { videoId, offset?, scale?, duration?, mode? } - see lib/hotcueTemplates.js
+  router.post('/hotcue-templates/:templateId/apply', requireAuth, validateRequest({
+    summary: 'Apply a hotcue template to a video',
+    description: 'Cue times become time * scale + offset, clamped to 0..duration. mode merge (the default) keeps the '
+      + 'video\'s cues and only adds cues for unused keys; replace swaps all of them. Honours If-Match.',
+    params: TEMPLATE_PARAMS,
+    query: ownerQuery(),
+    body: objectSchema({ videoId: ID_SCHEMA, ...APPLY_OPTIONS_SCHEMA }, ['videoId']),
+    responses: { 200: APPLY_RESPONSE },
+    errors: [403, 404, 409]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      const template = await store.hotcueTemplates.get(req.user.username, templateId);
+
+      if (!template) {
+        return templateNotFound(res, templateId);
+      }
+
+      await applyHotcues(req, res, req.body.videoId, template.hotcues, { source: `template ${templateId}`, reason: 'template' });
+    } catch (error) {
+      sendStorageError(res, 'Failed to apply hotcue template', error);
+    }
+  });
+
+  // POST /videos/:videoId/hotcues/copy - Copy the cues of another video in the same library
+  // Body: { sourceVideoId, offset?, scale?, duration?, mode? }
+  router.post('/videos/:videoId/hotcues/copy', requireAuth, validateRequest({
+    summary: 'Copy hotcues from another video',
+    description: 'The source video must be in the same library. Offset, scale, duration and mode work as for '
+      + 'POST /hotcue-templates/{templateId}/apply. Honours If-Match.',
+    params: idParams('videoId'),
+    query: ownerQuery(),
+    body: objectSchema({ sourceVideoId: ID_SCHEMA, ...APPLY_OPTIONS_SCHEMA }, ['sourceVideoId']),
+    responses: { 200: APPLY_RESPONSE },
+    errors: [403, 404, 409]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { owner, videoIds } = req.library;
+      const { sourceVideoId } = req.body;
+
+      // Callers with only video shares can copy from the videos shared with them
+      const source = (!videoIds || videoIds.includes(sourceVideoId)) && await store.videos.get(owner, sourceVideoId);
+      if (!source) {
+        return sendVideoNotFound(res, sourceVideoId);
+      }
+
+      await applyHotcues(req, res, req.params.videoId, upgradeHotcues(source.hotcues), { source: `video ${sourceVideoId}`, reason: 'copy' });
+    } catch (error) {
+      sendStorageError(res, 'Failed to copy hotcues', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createHotcueTemplatesRouter
+};
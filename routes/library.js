@@ -0,0 +1,439 @@
+const express = require('express');
+const { sendStorageError, sendValidationError } = require('../lib/errors');
+const { objectSchema } = require('../lib/schema');
+const { ref } = require('../lib/openapi');
+const { validateRequest } = require('../middleware/validate');
+const { HOTCUE_SCHEMA_VERSION, upgradeHotcues, diffHotcues } = require('../lib/hotcues');
+const { publishVideoSaved } = require('../lib/events');
+const { IMPORT_STRATEGIES, buildBundle, validateBundle } = require('../lib/bundle');
+const { MAX_TAGS, MAX_TAGS_PER_VIDEO, MAX_FOLDERS, MAX_FOLDER_DEPTH, sameName } = require('../lib/organize');
+const { MAX_PROFILES } = require('../lib/mappings');
+const { MAX_TEMPLATES } = require('../lib/hotcueTemplates');
+
+function isEmptyDiff(diff) {
+  return Object.keys(diff.added).length === 0
+    && Object.keys(diff.removed).length === 0
+    && Object.keys(diff.changed).length === 0;
+}
+
+function sameTags(a, b) {
+  return a.length === b.length && a.every((tagId) => b.includes(tagId));
+}
+
+// Work out what importing one video would do, without writing anything.
+// incoming.folderId and incoming.tags must already be library ids.
+// Returns { action, hotcues, folderId, tags, report } - what would be saved.
+function planVideo(existing, incoming, strategy) {
+  if (!existing) {
+    return { action: 'created', hotcues: incoming.hotcues, folderId: incoming.folderId, tags: incoming.tags, report: {} };
+  }
+
+  const existingHotcues = upgradeHotcues(existing.hotcues);
+  const existingFolderId = existing.folderId || null;
+  const existingTags = Object.keys(existing.tags || {});
+
+  if (strategy === 'skip') {
+    return { action: 'skipped', hotcues: null, report: { reason: 'Video already exists' } };
+  }
+
+  if (strategy === 'overwrite') {
+    const diff = diffHotcues(existingHotcues, incoming.hotcues);
+    const same = isEmptyDiff(diff) && existing.youtubeUrl === incoming.youtubeUrl && existing.title === incoming.title
+      && existingFolderId === incoming.folderId && sameTags(existingTags, incoming.tags);
+    return {
+      action: same ? 'unchanged' : 'overwritten',
+      hotcues: incoming.hotcues,
+      folderId: incoming.folderId,
+      tags: incoming.tags,
+      report: { hotcues: { added: Object.keys(diff.added), removed: Object.keys(diff.removed), changed: Object.keys(diff.changed) } }
+    };
+  }
+
+  // merge: keep every existing cue, add cues for keys the library doesn't have yet.
+  // The video stays in its folder (if it has one) and gets the bundle's tags too.
+  const added = Object.keys(incoming.hotcues).filter((key) => !(key in existingHotcues));
+  const diff = diffHotcues(existingHotcues, incoming.hotcues);
+  const merged = { ...existingHotcues };
+  added.forEach((key) => { merged[key] = incoming.hotcues[key]; });
+  const folderId = existingFolderId || incoming.folderId;
+  const tags = [...new Set([...existingTags, ...incoming.tags])].slice(0, MAX_TAGS_PER_VIDEO);
+  const organized = folderId !== existingFolderId || !sameTags(existingTags, tags);
+
+  return {
+    action: added.length > 0 || organized ? 'merged' : 'unchanged',
+    hotcues: merged,
+    folderId,
+    tags,
+    report: { hotcues: { added, conflicts: Object.keys(diff.changed) } }
+  };
+}
+
+// Work out what importing a folder, tag, mapping profile or hotcue template
+// would do. They are matched to the library's by name (same(existing, incoming)
+// says whether anything else differs); merge keeps the library's version, as skip does.
+function planNamed(existing, incoming, strategy, same) {
+  if (!existing) return 'created';
+  if (same(existing, incoming)) return 'unchanged';
+  return strategy === 'overwrite' ? 'overwritten' : 'skipped';
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Import folders, tags, mapping profiles or hotcue templates one at a time, in
+// order, through their store (collection). prepare(incoming, ids) returns
+// { fields } in library terms or { error }; match(existing, fields) finds the
+// library's entry; canCreate(fields, library) returns an error if a new entry
+// isn't allowed. New entries keep their bundle id unless the library already
+// uses it. Resolves to { reports, ids } - ids maps bundle ids to library ids
+// for the entries that are (or, on a dry run, would be) in the library.
+async function importNamed(items, { username, collection, idField, label, max, existing, strategy, dryRun, prepare, match, same, canCreate = () => null }) {
+  const library = [...existing];
+  const ids = new Map();
+  const reports = [];
+
+  for (const incoming of items) {
+    const bundleId = incoming[idField];
+    const { fields, error } = prepare(incoming, ids);
+    const found = fields && library.find((entry) => match(entry, fields));
+    const report = { [idField]: found ? found[idField] : bundleId, name: incoming.name, action: error ? 'failed' : planNamed(found, fields, strategy, same) };
+
+    const problem = error || (report.action === 'created'
+      && (library.length >= max ? `you can have at most ${max} ${label}` : canCreate(fields, library)));
+    if (problem) {
+      report.action = 'failed';
+      report.error = problem;
+    }
+
+    if (!dryRun && (report.action === 'created' || report.action === 'overwritten')) {
+      try {
+        const saved = report.action === 'overwritten'
+          ? await collection.update(username, found[idField], fields)
+          : library.some((entry) => entry[idField] === bundleId)
+            ? await collection.create(username, fields)
+            : await collection.put(username, bundleId, fields);
+        report[idField] = saved[idField];
+      } catch (writeError) {
+        console.error(`Failed to import ${label} ${incoming.name}:`, writeError.message);
+        report.action = 'failed';
+        report.error = writeError.message;
+      }
+    }
+
+    if (report.action === 'created') {
+      library.push({ ...fields, [idField]: report[idField] });
+    }
+    if (report.action !== 'failed') {
+      ids.set(bundleId, report[idField]);
+    }
+    reports.push(report);
+  }
+
+  return { reports, ids };
+}
+
+// Library backup and transfer as a portable JSON bundle (see lib/bundle.js)
+function createLibraryRouter({ store, events, requireAuth }) {
+  const router = express.Router();
+
+  // GET /library/export - Download the whole library as a bundle
+  router.get('/library/export', requireAuth, validateRequest({
+    summary: 'Download the whole library as a bundle',
+    responses: { 200: { description: 'The bundle, as an attachment', schema: ref('LibraryBundle') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const [videos, sets, folders, tags, mappingProfiles, activeMappingProfileId, hotcueTemplates, allPerformances] = await Promise.all([
+        store.videos.list(username),
+        store.sets.list(username),
+        store.folders.list(username),
+        store.tags.list(username),
+        store.mappingProfiles.list(username),
+        store.mappingProfiles.getActiveId(username),
+        store.hotcueTemplates.list(username),
+        store.performances.list(username)
+      ]);
+      // A performance that is still recording isn't exported
+      const performances = await Promise.all(allPerformances
+        .filter((performance) => performance.status === 'stopped')
+        .map(async (performance) => ({ ...performance, events: await store.performances.events(username, performance.performanceId) })));
+
+      const bundle = buildBundle(username, { videos, sets, folders, tags, mappingProfiles, activeMappingProfileId, hotcueTemplates, performances });
+      console.log(`Exported library for ${username}: ${bundle.videos.length} videos, ${bundle.sets.length} sets, `
+        + `${bundle.folders.length} folders, ${bundle.tags.length} tags, ${bundle.mappingProfiles.length} mapping profiles, `
+        + `${bundle.hotcueTemplates.length} hotcue templates, ${bundle.performances.length} performances`);
+
+      const date = bundle.exportedAt.slice(0, 10);
+      res.set('Content-Disposition', `attachment; filename="viper-library-${date}.json"`);
+      res.json(bundle);
+    } catch (error) {
+      sendStorageError(res, 'Failed to export library', error);
+    }
+  });
+
+  // POST /library/import - Import a bundle into the library
+  // Body: { bundle, strategy: "skip" | "overwrite" | "merge", dryRun: false }
+  //   skip      - leave videos that already exist alone
+  //   overwrite - replace existing videos with the bundle's version
+  //   merge     - keep existing cues and add the bundle's cues for unused keys
+  // Folders, tags, mapping profiles and hotcue templates are matched to the
+  // library's by name; only overwrite replaces them. Videos are filed and
+  // tagged with the library's matches.
+  // Performances are matched by id, like sets.
+  // Returns a report per video, set, folder, tag, profile, template and performance. With dryRun nothing is written.
+  router.post('/library/import', requireAuth, validateRequest({
+    summary: 'Import a bundle into the library',
+    description: 'skip leaves existing videos alone, overwrite replaces them and merge adds the bundle\'s cues for unused keys. '
+      + 'Folders, tags, mapping profiles and hotcue templates are matched by name and only replaced by overwrite. '
+      + 'With dryRun nothing is written.',
+    body: objectSchema({
+      bundle: { type: 'object', additionalProperties: true, description: 'A LibraryBundle from GET /library/export' },
+      strategy: { type: 'string', enum: IMPORT_STRATEGIES, default: 'skip' },
+      dryRun: { type: 'boolean', default: false }
+    }, ['bundle']),
+    responses: {
+      200: {
+        description: 'A report for each video, set, folder, tag, mapping profile, hotcue template and performance; summary counts the videos',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            dryRun: { type: 'boolean' },
+            strategy: { type: 'string' },
+            summary: { type: 'object' },
+            videos: { type: 'array' },
+            sets: { type: 'array' },
+            folders: { type: 'array' },
+            tags: { type: 'array' },
+            mappingProfiles: { type: 'array' },
+            hotcueTemplates: { type: 'array' },
+            performances: { type: 'array' }
+          }
+        }
+      }
+    }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const { bundle, strategy = 'skip', dryRun = false } = req.body;
+
+      const validation = validateBundle(bundle);
+      if (validation.errors.length > 0) {
+        return sendValidationError(res, 'Invalid library bundle', validation.errors);
+      }
+
+      console.log(`${dryRun ? 'Dry run: importing' : 'Importing'} ${validation.videos.length} videos, ${validation.sets.length} sets, `
+        + `${validation.folders.length} folders, ${validation.tags.length} tags, ${validation.mappingProfiles.length} mapping profiles `
+        + `${validation.hotcueTemplates.length} hotcue templates and ${validation.performances.length} performances `
+        + `for ${username} (strategy: ${strategy})`);
+
+      const [library, existingSets, existingFolders, existingTags, existingProfiles, activeProfileId, existingTemplates, existingPerformances] = await Promise.all([
+        store.videos.list(username),
+        store.sets.list(username),
+        store.folders.list(username),
+        store.tags.list(username),
+        store.mappingProfiles.list(username),
+        store.mappingProfiles.getActiveId(username),
+        store.hotcueTemplates.list(username),
+        store.performances.list(username)
+      ]);
+      const summary = { created: 0, overwritten: 0, merged: 0, skipped: 0, unchanged: 0, failed: 0 };
+      const options = { username, strategy, dryRun };
+
+      // Folders come parents first, so a folder's parent is always imported before it
+      const folders = await importNamed(validation.folders, {
+        ...options,
+        collection: store.folders,
+        idField: 'folderId',
+        label: 'folders',
+        max: MAX_FOLDERS,
+        existing: existingFolders,
+        prepare: ({ name, parentId }, ids) => (parentId && !ids.has(parentId)
+          ? { error: 'Its parent folder was not imported' }
+          : { fields: { name, parentId: parentId ? ids.get(parentId) : null } }),
+        match: (folder, fields) => folder.parentId === fields.parentId && sameName(folder.name, fields.name),
+        same: (folder, fields) => folder.name === fields.name,
+        canCreate: (fields, all) => (store.folders.ancestry(all, fields.parentId).length >= MAX_FOLDER_DEPTH
+          ? `folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`
+          : null)
+      });
+
+      const tags = await importNamed(validation.tags, {
+        ...options,
+        collection: store.tags,
+        idField: 'tagId',
+        label: 'tags',
+        max: MAX_TAGS,
+        existing: existingTags,
+        prepare: ({ name, color }) => ({ fields: { name, color } }),
+        match: (tag, fields) => sameName(tag.name, fields.name),
+        same: (tag, fields) => tag.name === fields.name && tag.color === fields.color
+      });
+
+      // Videos are written one at a time so a failure only affects its own entry
+      const videoReports = [];
+      for (const incoming of validation.videos) {
+        // Folders and tags that weren't imported are left off
+        const organized = {
+          ...incoming,
+          folderId: folders.ids.get(incoming.folderId) || null,
+          tags: incoming.tags.filter((tagId) => tags.ids.has(tagId)).map((tagId) => tags.ids.get(tagId))
+        };
+        const plan = planVideo(library[incoming.videoId], organized, strategy);
+        const report = { videoId: incoming.videoId, action: plan.action, ...plan.report };
+
+        if (!dryRun && ['created', 'overwritten', 'merged'].includes(plan.action)) {
+          try {
+            const existing = library[incoming.videoId];
+            const { videoId, createdAt, hotcues, folderId, tags: tagIds, ...details } = incoming;
+            const result = await store.videos.save(username, incoming.videoId, {
+              ...(plan.action === 'merged' ? existing : details),
+              hotcues: plan.hotcues,
+              hotcuesVersion: HOTCUE_SCHEMA_VERSION,
+              createdAt: incoming.createdAt
+            }, { reason: 'import' });
+
+            // save() keeps the stored folder and tags, so file and tag the video afterwards
+            await store.folders.assign(username, [videoId], plan.folderId);
+            await store.tags.setVideoTags(username, videoId, plan.tags);
+            const video = await store.videos.get(username, videoId);
+            publishVideoSaved(events, username, video, result.previous);
+          } catch (error) {
+            console.error(`Failed to import video ${incoming.videoId}:`, error.message);
+            report.action = 'failed';
+            report.error = error.message;
+          }
+        }
+
+        summary[report.action]++;
+        videoReports.push(report);
+      }
+
+      // Sets can only reference videos that are in the library after the import
+      const importedVideoIds = new Set(videoReports.filter((report) => report.action !== 'failed').map((report) => report.videoId));
+      const availableVideoIds = new Set([...Object.keys(library), ...importedVideoIds]);
+      const existingSetIds = new Set(existingSets.map((set) => set.setId));
+
+      const setReports = [];
+      for (const incoming of validation.sets) {
+        const exists = incoming.setId && existingSetIds.has(incoming.setId);
+        const entries = incoming.entries.filter((entry) => availableVideoIds.has(entry.videoId));
+        const report = {
+          setId: incoming.setId,
+          name: incoming.name,
+          action: !exists ? 'created' : strategy === 'overwrite' ? 'overwritten' : 'skipped',
+          droppedEntries: incoming.entries.length - entries.length
+        };
+
+        if (!dryRun && report.action !== 'skipped') {
+          try {
+            const setData = {
+              name: incoming.name,
+              ...(incoming.description ? { description: incoming.description } : {}),
+              entries: entries.map((entry) => ({ entryId: store.sets.createEntryId(), ...entry }))
+            };
+            const set = incoming.setId
+              ? await store.sets.put(username, incoming.setId, setData)
+              : await store.sets.create(username, setData);
+            report.setId = set.setId;
+          } catch (error) {
+            console.error(`Failed to import set ${incoming.name}:`, error.message);
+            report.action = 'failed';
+            report.error = error.message;
+          }
+        }
+
+        setReports.push(report);
+      }
+
+      const mappingProfiles = await importNamed(validation.mappingProfiles, {
+        ...options,
+        collection: store.mappingProfiles,
+        idField: 'profileId',
+        label: 'mapping profiles',
+        max: MAX_PROFILES,
+        existing: existingProfiles,
+        prepare: ({ profileId, active, ...fields }) => ({ fields }),
+        match: (profile, fields) => sameName(profile.name, fields.name),
+        same: (profile, fields) => profile.name === fields.name && profile.description === fields.description
+          && profile.device === fields.device && sameJSON(profile.mappings, fields.mappings)
+      });
+
+      // The bundle's active profile only becomes active if the user has none
+      const active = validation.mappingProfiles.find((profile) => profile.active);
+      if (active && !activeProfileId && mappingProfiles.ids.has(active.profileId)) {
+        const activeId = mappingProfiles.ids.get(active.profileId);
+        if (!dryRun) {
+          await store.mappingProfiles.setActive(username, activeId);
+        }
+        mappingProfiles.reports.find((report) => report.profileId === activeId).active = true;
+      }
+
+      const hotcueTemplates = await importNamed(validation.hotcueTemplates, {
+        ...options,
+        collection: store.hotcueTemplates,
+        idField: 'templateId',
+        label: 'hotcue templates',
+        max: MAX_TEMPLATES,
+        existing: existingTemplates,
+        prepare: ({ templateId, ...fields }) => ({ fields }),
+        match: (template, fields) => sameName(template.name, fields.name),
+        same: (template, fields) => template.name === fields.name && template.description === fields.description
+          && sameJSON(upgradeHotcues(template.hotcues), fields.hotcues)
+      });
+
+      // Performances are matched by id - unlike the others, their names needn't be unique
+      const existingPerformanceIds = new Set(existingPerformances.map((performance) => performance.performanceId));
+      const performanceReports = [];
+      for (const incoming of validation.performances) {
+        const { performanceId, name, events } = incoming;
+        const exists = existingPerformanceIds.has(performanceId);
+        const report = {
+          performanceId,
+          name,
+          action: !exists ? 'created' : strategy === 'overwrite' ? 'overwritten' : 'skipped',
+          eventCount: events.length
+        };
+
+        if (!dryRun && report.action !== 'skipped') {
+          try {
+            await store.performances.put(username, performanceId, incoming);
+          } catch (error) {
+            console.error(`Failed to import performance ${performanceId}:`, error.message);
+            report.action = 'failed';
+            report.error = error.message;
+          }
+        }
+
+        performanceReports.push(report);
+      }
+
+      const otherReports = [setReports, folders.reports, tags.reports, mappingProfiles.reports, hotcueTemplates.reports, performanceReports];
+      const failed = summary.failed + otherReports.reduce((count, reports) => count + reports.filter((report) => report.action === 'failed').length, 0);
+
+      console.log(`Import ${dryRun ? 'dry run ' : ''}finished for ${username}:`, summary);
+      res.json({
+        success: failed === 0,
+        dryRun,
+        strategy,
+        summary,
+        videos: videoReports,
+        sets: setReports,
+        folders: folders.reports,
+        tags: tags.reports,
+        mappingProfiles: mappingProfiles.reports,
+        hotcueTemplates: hotcueTemplates.reports,
+        performances: performanceReports
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to import library', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createLibraryRouter
+};
@@ -0,0 +1,301 @@
+const express = require('express');
+const { sendError, sendStorageError, sendValidationError } = require('../lib/errors');
+const {
+  MAX_PROFILES, PROFILE_FIELDS_SCHEMA, PROFILE_FILE_SCHEMA,
+  checkMappings, exportProfile
+} = require('../lib/mappings');
+const { ID_SCHEMA, sameName } = require('../lib/organize');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+
+const PROFILE_PARAMS = idParams('profileId');
+
+function profileNotFound(res, profileId) {
+  return sendError(res, 404, 'MAPPING_PROFILE_NOT_FOUND', 'Mapping profile not found', { profileId });
+}
+
+function profileExists(res, name) {
+  console.error('Mapping profile name already in use:', name);
+  return sendError(res, 409, 'MAPPING_PROFILE_EXISTS', 'A mapping profile with this name already exists', { name });
+}
+
+// Per-user controller/keyboard mapping profiles (see lib/mappings.js), one of
+// which can be the active profile
+function createMappingsRouter({ store, requireAuth }) {
+  const router = express.Router();
+
+  // Check a new or changed profile against the user's others: the limit on
+  // profiles and unique names. Returns null if it's fine, or a function that
+  // sends the error response.
+  async function checkProfile(username, { name, profileId }) {
+    const profiles = await store.mappingProfiles.list(username);
+    if (!profileId && profiles.length >= MAX_PROFILES) {
+      return (res) => sendValidationError(res, 'Invalid mapping profile', [`you can have at most ${MAX_PROFILES} mapping profiles`]);
+    }
+    if (name !== undefined && profiles.some((profile) => profile.profileId !== profileId && sameName(profile.name, name))) {
+      return (res) => profileExists(res, name);
+    }
+    return null;
+  }
+
+  // Validate mappings (if given) and create the profile
+  async function createProfile(req, res, fields) {
+    const { username } = req.user;
+    const { errors, mappings } = checkMappings(fields.mappings || []);
+
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid mapping profile', errors);
+    }
+
+    const profileError = await checkProfile(username, { name: fields.name.trim() });
+    if (profileError) {
+      return profileError(res);
+    }
+
+    const profile = await store.mappingProfiles.create(username, {
+      name: fields.name.trim(),
+      description: fields.description || null,
+      device: fields.device || null,
+      mappings
+    });
+    console.log(`Mapping profile created for user ${username}:`, profile.profileId);
+    res.status(201).json({ ...profile, active: false });
+  }
+
+  // GET /mapping-profiles - List the user's mapping profiles
+  router.get('/mapping-profiles', requireAuth, validateRequest({
+    summary: 'List mapping profiles',
+    responses: { 200: { description: 'Profiles sorted by name, the active one marked', schema: arrayOf('MappingProfile') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const [profiles, activeId] = await Promise.all([
+        store.mappingProfiles.list(username),
+        store.mappingProfiles.getActiveId(username)
+      ]);
+
+      console.log(`Found ${profiles.length} mapping profiles for user: ${username}`);
+      res.json(profiles.map((profile) => ({ ...profile, active: profile.profileId === activeId })));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch mapping profiles', error);
+    }
+  });
+
+  // POST /mapping-profiles - Create a mapping profile
+  router.post('/mapping-profiles', requireAuth, validateRequest({
+    summary: 'Create a mapping profile',
+    description: 'Each input (MIDI note, MIDI CC or key with modifiers) can only be mapped once.',
+    body: objectSchema(PROFILE_FIELDS_SCHEMA, ['name']),
+    responses: { 201: { description: 'Created', schema: ref('MappingProfile') } },
+    errors: [409]
+  }), async (req, res) => {
+    try {
+      const { name, description, device, mappings } = req.body;
+      await createProfile(req, res, { name, description, device, mappings });
+    } catch (error) {
+      sendStorageError(res, 'Failed to create mapping profile', error);
+    }
+  });
+
+  // GET /mapping-profiles/active - The profile in use ({ profileId: null } if none)
+  router.get('/mapping-profiles/active', requireAuth, validateRequest({
+    summary: 'Get the active mapping profile',
+    responses: {
+      200: {
+        description: 'The active profile; both fields are null if there is none',
+        schema: { type: 'object', properties: { profileId: { type: ['string', 'null'] }, profile: { anyOf: [ref('MappingProfile'), { type: 'null' }] } } }
+      }
+    }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const profileId = await store.mappingProfiles.getActiveId(username);
+      const profile = profileId && await store.mappingProfiles.get(username, profileId);
+
+      res.json(profile ? { profileId, profile: { ...profile, active: true } } : { profileId: null, profile: null });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch active mapping profile', error);
+    }
+  });
+
+  // PUT /mapping-profiles/active - Choose the active profile
+  // Body: { profileId } - null to use none
+  router.put('/mapping-profiles/active', requireAuth, validateRequest({
+    summary: 'Set the active mapping profile',
+    body: objectSchema({ profileId: { ...ID_SCHEMA, type: ['string', 'null'], description: 'null to use none' } }, ['profileId']),
+    responses: {
+      200: {
+        description: 'Set',
+        schema: { type: 'object', properties: { success: { type: 'boolean' }, profileId: { type: ['string', 'null'] } } }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const { profileId } = req.body;
+
+      if (profileId !== null && !(await store.mappingProfiles.get(username, profileId))) {
+        return profileNotFound(res, profileId);
+      }
+
+      await store.mappingProfiles.setActive(username, profileId);
+      console.log(`Active mapping profile for user ${username}:`, profileId);
+      res.json({ success: true, profileId });
+    } catch (error) {
+      sendStorageError(res, 'Failed to set active mapping profile', error);
+    }
+  });
+
+  // POST /mapping-profiles/import - Create a profile from an exported file
+  // Body: { file, name? } - name overrides the file's name, e.g. on a clash
+  router.post('/mapping-profiles/import', requireAuth, validateRequest({
+    summary: 'Import a mapping profile',
+    description: 'Takes a file from GET /mapping-profiles/{profileId}/export. Pass name to import it under another name.',
+    body: objectSchema({
+      file: PROFILE_FILE_SCHEMA,
+      name: PROFILE_FIELDS_SCHEMA.name
+    }, ['file']),
+    responses: { 201: { description: 'Imported', schema: ref('MappingProfile') } },
+    errors: [409]
+  }), async (req, res) => {
+    try {
+      const { profile } = req.body.file;
+      const { description, device, mappings } = profile;
+      await createProfile(req, res, { name: req.body.name || profile.name, description, device, mappings });
+    } catch (error) {
+      sendStorageError(res, 'Failed to import mapping profile', error);
+    }
+  });
+
+  // GET /mapping-profiles/:profileId - Get a mapping profile
+  router.get('/mapping-profiles/:profileId', requireAuth, validateRequest({
+    summary: 'Get a mapping profile',
+    params: PROFILE_PARAMS,
+    responses: { 200: { description: 'The profile', schema: ref('MappingProfile') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { profileId } = req.params;
+      const { username } = req.user;
+      const [profile, activeId] = await Promise.all([
+        store.mappingProfiles.get(username, profileId),
+        store.mappingProfiles.getActiveId(username)
+      ]);
+
+      if (!profile) {
+        return profileNotFound(res, profileId);
+      }
+
+      res.json({ ...profile, active: profileId === activeId });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch mapping profile', error);
+    }
+  });
+
+  // PATCH /mapping-profiles/:profileId - Change a profile. mappings replaces
+  // every mapping of the profile.
+  router.patch('/mapping-profiles/:profileId', requireAuth, validateRequest({
+    summary: 'Change a mapping profile',
+    description: 'mappings, if sent, replaces all of the profile\'s mappings.',
+    params: PROFILE_PARAMS,
+    body: objectSchema(PROFILE_FIELDS_SCHEMA, [], { minProperties: 1 }),
+    responses: { 200: { description: 'Updated', schema: ref('MappingProfile') } },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { profileId } = req.params;
+      const { username } = req.user;
+      const fields = {};
+      ['name', 'description', 'device'].forEach((field) => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+      });
+      if (fields.name !== undefined) fields.name = fields.name.trim();
+
+      if (req.body.mappings !== undefined) {
+        const { errors, mappings } = checkMappings(req.body.mappings);
+        if (errors.length > 0) {
+          return sendValidationError(res, 'Invalid mapping profile', errors);
+        }
+        fields.mappings = mappings;
+      }
+
+      const profileError = await checkProfile(username, { name: fields.name, profileId });
+      if (profileError) {
+        return profileError(res);
+      }
+
+      const profile = await store.mappingProfiles.update(username, profileId, fields);
+      if (!profile) {
+        return profileNotFound(res, profileId);
+      }
+
+      console.log(`Mapping profile updated for user ${username}:`, profileId);
+      res.json({ ...profile, active: profileId === await store.mappingProfiles.getActiveId(username) });
+    } catch (error) {
+      sendStorageError(res, 'Failed to update mapping profile', error);
+    }
+  });
+
+  // DELETE /mapping-profiles/:profileId - Delete a profile (if it was active, none is)
+  router.delete('/mapping-profiles/:profileId', requireAuth, validateRequest({
+    summary: 'Delete a mapping profile',
+    description: 'If it was the active profile, no profile is active afterwards.',
+    params: PROFILE_PARAMS,
+    responses: { 200: { description: 'Deleted', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { profileId } = req.params;
+      const { username } = req.user;
+
+      if (!(await store.mappingProfiles.get(username, profileId))) {
+        return profileNotFound(res, profileId);
+      }
+
+      await store.mappingProfiles.remove(username, profileId);
+      console.log(`Mapping profile deleted for user ${username}:`, profileId);
+
+      res.json({
+        success: true,
+        message: 'Mapping profile deleted successfully',
+        profileId
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete mapping profile', error);
+    }
+  });
+
+  // GET /mapping-profiles/:profileId/export - Download a profile to share it
+  router.get('/mapping-profiles/:profileId/export', requireAuth, validateRequest({
+    summary: 'Download a mapping profile',
+    description: 'The file can be imported by anyone with POST /mapping-profiles/import.',
+    params: PROFILE_PARAMS,
+    responses: { 200: { description: 'The profile file, as an attachment', schema: ref('MappingProfileFile') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { profileId } = req.params;
+      const { username } = req.user;
+      const profile = await store.mappingProfiles.get(username, profileId);
+
+      if (!profile) {
+        return profileNotFound(res, profileId);
+      }
+
+      const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+      console.log(`Exported mapping profile ${profileId} for user ${username}`);
+      res.set('Content-Disposition', `attachment; filename="mapping-${slug}.json"`);
+      res.json(exportProfile(profile));
+    } catch (error) {
+      sendStorageError(res, 'Failed to export mapping profile', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMappingsRouter
+};
@@ -0,0 +1,341 @@
+const express = require('express');
+const { sendError, sendStorageError, sendValidationError, sendMissingVideos } = require('../lib/errors');
+const {
+  MAX_EVENTS, MAX_BATCH, PERFORMANCE_NAME_SCHEMA, EVENT_SCHEMA,
+  checkEvents, playedOrder, buildCueSheet, cueSheetCsv
+} = require('../lib/performances');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+
+const PERFORMANCE_PARAMS = idParams('performanceId');
+
+function performanceNotFound(res, performanceId) {
+  return sendError(res, 404, 'PERFORMANCE_NOT_FOUND', 'Performance not found', { performanceId });
+}
+
+function performanceStopped(res, performanceId) {
+  return sendError(res, 409, 'PERFORMANCE_STOPPED', 'Performance has already been stopped', { performanceId });
+}
+
+function performanceRecording(res, performanceId) {
+  return sendError(res, 409, 'PERFORMANCE_IN_PROGRESS', 'Performance is still being recorded', { performanceId });
+}
+
+// Performance recording: start a performance, append what was played while it
+// runs, stop it, then export it as a cue sheet or replay it event by event
+function createPerformancesRouter({ store, requireAuth }) {
+  const router = express.Router();
+
+  // GET /performances - List the user's performances (without events), newest first
+  router.get('/performances', requireAuth, validateRequest({
+    summary: 'List recorded performances',
+    responses: { 200: { description: 'Performances, most recently started first', schema: arrayOf('Performance') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const performances = await store.performances.list(username);
+
+      console.log(`Found ${performances.length} performances for user: ${username}`);
+      res.json(performances);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch performances', error);
+    }
+  });
+
+  // POST /performances - Start recording. Only one performance records at a time.
+  router.post('/performances', requireAuth, validateRequest({
+    summary: 'Start recording a performance',
+    description: 'Only one performance can be recording at a time; stop it before starting another.',
+    body: objectSchema({ name: { ...PERFORMANCE_NAME_SCHEMA, description: 'Defaults to "Performance <date>"' } }),
+    responses: { 201: { description: 'Recording', schema: ref('Performance') } },
+    errors: [409]
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const recording = (await store.performances.list(username)).find((performance) => performance.status === 'recording');
+
+      if (recording) {
+        return performanceRecording(res, recording.performanceId);
+      }
+
+      const name = req.body.name !== undefined ? req.body.name.trim() : `Performance ${new Date().toISOString().slice(0, 10)}`;
+      const performance = await store.performances.start(username, { name });
+      console.log(`Performance started for user ${username}:`, performance.performanceId);
+      res.status(201).json(performance);
+    } catch (error) {
+      sendStorageError(res, 'Failed to start performance', error);
+    }
+  });
+
+  // GET /performances/:performanceId - Get a performance with its events in played order
+  router.get('/performances/:performanceId', requireAuth, validateRequest({
+    summary: 'Get a performance with its events',
+    params: PERFORMANCE_PARAMS,
+    responses: {
+      200: {
+        description: 'The performance, events in the order they were played',
+        schema: { allOf: [ref('Performance')], type: 'object', properties: { events: arrayOf('PerformanceEvent') } }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { performanceId } = req.params;
+      const { username } = req.user;
+      const performance = await store.performances.get(username, performanceId);
+
+      if (!performance) {
+        return performanceNotFound(res, performanceId);
+      }
+
+      const events = await store.performances.events(username, performanceId);
+      res.json({ ...performance, events: playedOrder(events) });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch performance', error);
+    }
+  });
+
+  // POST /performances/:performanceId/events - Append a batch of events
+  // Body: { events: [{ type: 'load' | 'trigger', videoId, key, at }] }. Videos
+  // must be in the library and trigger keys must be hotcues of the video.
+  // The batch is stored whole or not at all.
+  router.post('/performances/:performanceId/events', requireAuth, validateRequest({
+    summary: 'Append events to a recording performance',
+    description: 'Load events name a video; trigger events also name one of its hotcue keys. '
+      + '`at` is the wall-clock time on the client. The batch is stored whole or not at all.',
+    params: PERFORMANCE_PARAMS,
+    body: objectSchema({
+      events: { type: 'array', items: EVENT_SCHEMA, minItems: 1, maxItems: MAX_BATCH }
+    }, ['events']),
+    responses: {
+      201: {
+        description: 'Stored',
+        schema: {
+          type: 'object',
+          properties: { performanceId: { type: 'string' }, accepted: { type: 'integer' }, eventCount: { type: 'integer' } }
+        }
+      }
+    },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { performanceId } = req.params;
+      const { username } = req.user;
+      const [performance, videos] = await Promise.all([
+        store.performances.get(username, performanceId),
+        store.videos.list(username)
+      ]);
+
+      if (!performance) {
+        return performanceNotFound(res, performanceId);
+      }
+      if (performance.status !== 'recording') {
+        return performanceStopped(res, performanceId);
+      }
+
+      const { errors, missingVideoIds, events } = checkEvents(req.body.events, videos, { startedAt: performance.startedAt });
+      if (missingVideoIds.length > 0) {
+        return sendMissingVideos(res, missingVideoIds);
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid performance events', errors);
+      }
+
+      const result = await store.performances.append(username, performanceId, events, { maxEvents: MAX_EVENTS });
+      if (result.notFound) {
+        return performanceNotFound(res, performanceId);
+      }
+      if (result.stopped) {
+        return performanceStopped(res, performanceId);
+      }
+      if (result.full) {
+        return sendValidationError(res, 'Invalid performance events', [`a performance can have at most ${MAX_EVENTS} events`]);
+      }
+
+      console.log(`Recorded ${events.length} events in performance ${performanceId} for user ${username}`);
+      res.status(201).json({ performanceId, accepted: events.length, eventCount: result.performance.eventCount });
+    } catch (error) {
+      sendStorageError(res, 'Failed to record performance events', error);
+    }
+  });
+
+  // POST /performances/:performanceId/stop - Stop recording (stopping twice is fine)
+  router.post('/performances/:performanceId/stop', requireAuth, validateRequest({
+    summary: 'Stop recording a performance',
+    params: PERFORMANCE_PARAMS,
+    responses: { 200: { description: 'Stopped', schema: ref('Performance') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { performanceId } = req.params;
+      const { username } = req.user;
+      const performance = await store.performances.stop(username, performanceId);
+
+      if (!performance) {
+        return performanceNotFound(res, performanceId);
+      }
+
+      console.log(`Performance stopped for user ${username}: ${performanceId} (${performance.eventCount} events)`);
+      res.json(performance);
+    } catch (error) {
+      sendStorageError(res, 'Failed to stop performance', error);
+    }
+  });
+
+  // DELETE /performances/:performanceId - Delete a performance and its events
+  router.delete('/performances/:performanceId', requireAuth, validateRequest({
+    summary: 'Delete a performance',
+    params: PERFORMANCE_PARAMS,
+    responses: { 200: { description: 'Deleted', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { performanceId } = req.params;
+      const { username } = req.user;
+
+      if (!(await store.performances.get(username, performanceId))) {
+        return performanceNotFound(res, performanceId);
+      }
+
+      await store.performances.remove(username, performanceId);
+      console.log(`Performance deleted for user ${username}:`, performanceId);
+
+      res.json({
+        success: true,
+        message: 'Performance deleted successfully',
+        performanceId
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete performance', error);
+    }
+  });
+
+  // GET /performances/:performanceId/cuesheet?format=json|csv - Download a
+  // stopped performance as a timestamped cue sheet
+  router.get('/performances/:performanceId/cuesheet', requireAuth, validateRequest({
+    summary: 'Download a performance as a cue sheet',
+    description: 'One row per event with its wall-clock time and offset from the start. Only for stopped performances.',
+    params: PERFORMANCE_PARAMS,
+    query: objectSchema({ format: { type: 'string', enum: ['json', 'csv'], default: 'json' } }),
+    responses: {
+      200: { description: 'The cue sheet, as an attachment (text/csv with format=csv)', schema: ref('CueSheet') }
+    },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { performanceId } = req.params;
+      const { username } = req.user;
+      const { format = 'json' } = req.query;
+      const performance = await store.performances.get(username, performanceId);
+
+      if (!performance) {
+        return performanceNotFound(res, performanceId);
+      }
+      if (performance.status === 'recording') {
+        return performanceRecording(res, performanceId);
+      }
+
+      const sheet = buildCueSheet(performance, await store.performances.events(username, performanceId));
+      const filename = `performance-${sheet.performance.startedAt.slice(0, 10)}-${performanceId}.${format}`;
+      console.log(`Exported cue sheet of performance ${performanceId} for user ${username} as ${format}`);
+
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'csv') {
+        res.type('text/csv').send(cueSheetCsv(sheet));
+      } else {
+        res.json(sheet);
+      }
+    } catch (error) {
+      sendStorageError(res, 'Failed to export cue sheet', error);
+    }
+  });
+
+  // GET /performances/:performanceId/replay?position=n - Step through a stopped
+  // performance one event at a time. Each step says how long to wait after the
+  // previous event and, for videos still in the library, how to load it.
+  router.get('/performances/:performanceId/replay', requireAuth, validateRequest({
+    summary: 'Replay a performance event by event',
+    description: 'Returns the event at `position` (in played order), the delay since the previous event and the '
+      + 'video to load, if it is still in the library. Follow `next` until it is null.',
+    params: PERFORMANCE_PARAMS,
+    query: objectSchema({ position: { type: 'integer', minimum: 0, default: 0 } }),
+    responses: {
+      200: {
+        description: 'One step of the replay',
+        schema: {
+          type: 'object',
+          properties: {
+            performanceId: { type: 'string' },
+            position: { type: 'integer' },
+            total: { type: 'integer' },
+            next: { type: ['integer', 'null'] },
+            delayMs: { type: 'integer', description: 'Time since the previous event (since the start, for the first)' },
+            offsetMs: { type: 'integer', description: 'Time since the start of the performance' },
+            event: ref('PerformanceEvent'),
+            video: {
+              type: ['object', 'null'],
+              properties: {
+                videoId: { type: 'string' },
+                youtubeUrl: { type: 'string' },
+                title: { type: 'string' },
+                startSeconds: { type: ['number', 'null'] }
+              },
+              required: ['videoId', 'youtubeUrl', 'title', 'startSeconds'],
+              additionalProperties: false,
+              description: 'What to load for the event; null if the video has been deleted'
+            }
+          }
+        }
+      }
+    },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { performanceId } = req.params;
+      const { username } = req.user;
+      const position = req.query.position === undefined ? 0 : Number(req.query.position);
+      const performance = await store.performances.get(username, performanceId);
+
+      if (!performance) {
+        return performanceNotFound(res, performanceId);
+      }
+      if (performance.status === 'recording') {
+        return performanceRecording(res, performanceId);
+      }
+
+      const events = playedOrder(await store.performances.events(username, performanceId));
+      if (position >= events.length) {
+        return sendError(res, 404, 'EVENT_NOT_FOUND', 'No event at this position', { performanceId, position, total: events.length });
+      }
+
+      const event = events[position];
+      const previousAt = position > 0 ? events[position - 1].at : performance.startedAt;
+      const video = await store.videos.get(username, event.videoId);
+
+      res.json({
+        performanceId,
+        position,
+        total: events.length,
+        next: position + 1 < events.length ? position + 1 : null,
+        delayMs: Math.max(event.at - previousAt, 0),
+        offsetMs: event.at - performance.startedAt,
+        event,
+        video: video && {
+          videoId: event.videoId,
+          youtubeUrl: video.youtubeUrl,
+          title: video.title,
+          startSeconds: video.startSeconds || null
+        }
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to replay performance', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createPerformancesRouter
+};
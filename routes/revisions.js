@@ -0,0 +1,221 @@
+const express = require('express');
+const { sendError, sendStorageError, sendVideoNotFound } = require('../lib/errors');
+const { HOTCUE_SCHEMA_VERSION, upgradeHotcues, withUpgradedHotcues, diffHotcues } = require('../lib/hotcues');
+const { formatETag, parseIfMatch, sendVersionConflict } = require('../lib/etag');
+const { publishVideoSaved } = require('../lib/events');
+const { ID_SCHEMA } = require('../lib/organize');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+const { ownerQuery } = require('../middleware/access');
+
+const CURRENT = 'current';
+
+function revisionNotFound(res, videoId, revisionId) {
+  return sendError(res, 404, 'REVISION_NOT_FOUND', 'Revision not found', { videoId, revisionId });
+}
+
+// Hotcue revision history for the authenticated user's videos (or, with
+// ?owner=<username>, for videos shared with them).
+// Every save archives the state it replaces (see storage/revisions.js).
+function createRevisionsRouter({ store, events, requireAuth, requireRole }) {
+  const router = express.Router();
+
+  // Load a revision, or the live video when revisionId is "current"
+  async function loadState(username, videoId, revisionId) {
+    if (revisionId === CURRENT) {
+      const video = await store.videos.get(username, videoId);
+      return video && { ...withUpgradedHotcues(video), revisionId: CURRENT, savedAt: video.updatedAt };
+    }
+    return store.revisions.get(username, videoId, revisionId);
+  }
+
+  // GET /videos/:videoId/revisions - List a video's revisions, newest first
+  router.get('/videos/:videoId/revisions', requireAuth, validateRequest({
+    summary: "List a video's revisions",
+    params: idParams('videoId'),
+    query: ownerQuery(),
+    responses: {
+      200: {
+        description: 'Revisions, newest first, without their hotcues',
+        schema: {
+          type: 'object',
+          properties: {
+            videoId: { type: 'string' },
+            retention: { type: 'object', properties: { maxCount: { type: 'integer' }, maxAgeDays: { type: 'integer' } } },
+            revisions: arrayOf('Revision')
+          }
+        }
+      }
+    },
+    errors: [403, 404]
+  }), requireRole('viewer'), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { owner } = req.library;
+
+      if (!(await store.videos.get(owner, videoId))) {
+        return sendVideoNotFound(res, videoId);
+      }
+
+      const revisions = await store.revisions.list(owner, videoId);
+      res.json({
+        videoId,
+        retention: { maxCount: store.revisions.maxCount, maxAgeDays: store.revisions.maxAgeDays },
+        revisions: revisions.map(({ hotcues, ...revision }) => ({
+          ...revision,
+          hotcueCount: Object.keys(hotcues || {}).length
+        }))
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch revisions', error);
+    }
+  });
+
+  // GET /videos/:videoId/revisions/diff?from=<revisionId>&to=<revisionId|current>
+  // Show what changed in the hotcues between two revisions (to defaults to current)
+  router.get('/videos/:videoId/revisions/diff', requireAuth, validateRequest({
+    summary: 'Compare the hotcues of two revisions',
+    params: idParams('videoId'),
+    query: {
+      ...ownerQuery({
+        from: { ...ID_SCHEMA, description: 'A revisionId or "current"' },
+        to: { ...ID_SCHEMA, description: 'A revisionId or "current" (the default)' }
+      }),
+      required: ['from']
+    },
+    responses: {
+      200: {
+        description: 'Hotcues added, removed and changed',
+        schema: {
+          type: 'object',
+          properties: {
+            videoId: { type: 'string' },
+            from: { type: 'object' },
+            to: { type: 'object' },
+            hotcues: { type: 'object', properties: { added: ref('Hotcues'), removed: ref('Hotcues'), changed: { type: 'object' } } }
+          }
+        }
+      }
+    },
+    errors: [403, 404]
+  }), requireRole('viewer'), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { owner } = req.library;
+      const { from, to = CURRENT } = req.query;
+
+      const [fromState, toState] = await Promise.all([
+        loadState(owner, videoId, from),
+        loadState(owner, videoId, to)
+      ]);
+
+      if (!fromState) {
+        return revisionNotFound(res, videoId, from);
+      }
+      if (!toState) {
+        return revisionNotFound(res, videoId, to);
+      }
+
+      res.json({
+        videoId,
+        from: { revisionId: from, savedAt: fromState.savedAt || null },
+        to: { revisionId: to, savedAt: toState.savedAt || null },
+        hotcues: diffHotcues(fromState.hotcues, toState.hotcues)
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to diff revisions', error);
+    }
+  });
+
+  // GET /videos/:videoId/revisions/:revisionId - Get one revision with its hotcues
+  router.get('/videos/:videoId/revisions/:revisionId', requireAuth, validateRequest({
+    summary: 'Get a revision with its hotcues',
+    params: idParams('videoId', 'revisionId'),
+    query: ownerQuery(),
+    responses: { 200: { description: 'The revision', schema: ref('Revision') } },
+    errors: [403, 404]
+  }), requireRole('viewer'), async (req, res) => {
+    try {
+      const { videoId, revisionId } = req.params;
+      const revision = await store.revisions.get(req.library.owner, videoId, revisionId);
+
+      if (!revision) {
+        return revisionNotFound(res, videoId, revisionId);
+      }
+
+      res.json({ ...revision, hotcues: upgradeHotcues(revision.hotcues), hotcuesVersion: HOTCUE_SCHEMA_VERSION });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch revision', error);
+    }
+  });
+
+  // POST /videos/:videoId/revisions/:revisionId/restore - Make a revision current again
+  // The state being replaced is archived, so a restore can itself be undone.
+  // Honours If-Match like POST /videos.
+  router.post('/videos/:videoId/revisions/:revisionId/restore', requireAuth, validateRequest({
+    summary: 'Make a revision current again',
+    params: idParams('videoId', 'revisionId'),
+    query: ownerQuery(),
+    responses: {
+      200: {
+        description: 'Restored',
+        schema: {
+          type: 'object',
+          properties: { restoredRevisionId: { type: 'string' }, archivedRevisionId: { type: 'string' }, video: ref('Video') }
+        }
+      }
+    },
+    errors: [403, 404, 409]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { videoId, revisionId } = req.params;
+      const { owner } = req.library;
+
+      const [video, revision] = await Promise.all([
+        store.videos.get(owner, videoId),
+        store.revisions.get(owner, videoId, revisionId)
+      ]);
+
+      if (!video) {
+        return sendVideoNotFound(res, videoId);
+      }
+      if (!revision) {
+        return revisionNotFound(res, videoId, revisionId);
+      }
+
+      const result = await store.videos.save(owner, videoId, {
+        ...video,
+        title: revision.title || video.title,
+        youtubeUrl: revision.youtubeUrl || video.youtubeUrl,
+        hotcues: upgradeHotcues(revision.hotcues),
+        hotcuesVersion: HOTCUE_SCHEMA_VERSION,
+        restoredFrom: revisionId
+      }, { reason: 'restore', ifMatch: parseIfMatch(req.get('if-match')) || { any: true } });
+
+      if (result.conflict) {
+        return sendVersionConflict(res, videoId, result.current);
+      }
+
+      const { video: restored, previous, revisionId: archivedRevisionId } = result;
+      console.log(`Restored revision ${revisionId} of video ${videoId} for user ${owner}`);
+      publishVideoSaved(events, owner, restored, previous);
+      res.set('ETag', formatETag(restored.version));
+      res.json({
+        success: true,
+        message: 'Revision restored successfully',
+        videoId,
+        restoredRevisionId: revisionId,
+        archivedRevisionId,
+        video: restored
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to restore revision', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRevisionsRouter
+};
@@ -0,0 +1,386 @@
+const express = require('express');
+const { sendError, sendStorageError, sendValidationError, sendMissingVideos } = require('../lib/errors');
+const {
+  MAX_ENTRIES, SET_NAME_SCHEMA, SET_DESCRIPTION_SCHEMA, ENTRY_FIELDS_SCHEMA, ENTRY_SCHEMA,
+  validateSetFields, validateEntry, validateEntries
+} = require('../lib/sets');
+const { ID_SCHEMA } = require('../lib/organize');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+const { ownerQuery } = require('../middleware/access');
+
+function setNotFound(res, setId) {
+  return sendError(res, 404, 'SET_NOT_FOUND', 'Set not found', { setId });
+}
+
+function entryNotFound(res, setId, entryId) {
+  return sendError(res, 404, 'ENTRY_NOT_FOUND', 'Set entry not found', { setId, entryId });
+}
+
+// VJ sets: named, ordered running orders of videos from the user's library.
+// Like the video routes they take ?owner=<username> to work on a library
+// shared with the caller: viewers can read its sets, editors change them and
+// only the owner can delete one.
+function createSetsRouter({ store, requireAuth, requireRole }) {
+  const router = express.Router();
+
+  // GET /sets - List the user's sets (without entries)
+  router.get('/sets', requireAuth, validateRequest({
+    summary: 'List sets',
+    query: ownerQuery(),
+    responses: { 200: { description: 'Every set, without its entries', schema: arrayOf('SetSummary') } },
+    errors: [403]
+  }), requireRole('viewer'), async (req, res) => {
+    try {
+      const { owner } = req.library;
+      const sets = await store.sets.list(owner);
+
+      console.log(`Found ${sets.length} sets in library of ${owner}`);
+      res.json(sets.map(({ entries, ...set }) => ({ ...set, entryCount: entries.length })));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch sets', error);
+    }
+  });
+
+  // POST /sets - Create a set, optionally with its initial entries
+  router.post('/sets', requireAuth, validateRequest({
+    summary: 'Create a set',
+    query: ownerQuery(),
+    body: objectSchema({
+      name: SET_NAME_SCHEMA,
+      description: SET_DESCRIPTION_SCHEMA,
+      entries: { type: 'array', items: ENTRY_SCHEMA, maxItems: MAX_ENTRIES }
+    }, ['name']),
+    responses: { 201: { description: 'Created', schema: ref('Set') } },
+    errors: [403]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { owner } = req.library;
+      const fieldResult = validateSetFields(req.body);
+      const entryResult = validateEntries(req.body.entries);
+      const errors = [...fieldResult.errors, ...entryResult.errors];
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid set', errors);
+      }
+
+      const missingVideoIds = await store.videos.missing(owner, entryResult.entries.map((entry) => entry.videoId));
+      if (missingVideoIds.length > 0) {
+        return sendMissingVideos(res, missingVideoIds);
+      }
+
+      const set = await store.sets.create(owner, {
+        ...fieldResult.fields,
+        entries: entryResult.entries.map((entry) => ({ entryId: store.sets.createEntryId(), ...entry }))
+      });
+
+      console.log(`Set created in library of ${owner}:`, set.setId);
+      res.status(201).json(set);
+    } catch (error) {
+      sendStorageError(res, 'Failed to create set', error);
+    }
+  });
+
+  // GET /sets/:setId - Get a set with its entries in running order
+  router.get('/sets/:setId', requireAuth, validateRequest({
+    summary: 'Get a set with its entries in running order',
+    params: idParams('setId'),
+    query: ownerQuery(),
+    responses: { 200: { description: 'The set', schema: ref('Set') } },
+    errors: [403, 404]
+  }), requireRole('viewer'), async (req, res) => {
+    try {
+      const { setId } = req.params;
+      const set = await store.sets.get(req.library.owner, setId);
+
+      if (!set) {
+        return setNotFound(res, setId);
+      }
+
+      res.json(set);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch set', error);
+    }
+  });
+
+  // PATCH /sets/:setId - Rename a set or change its description
+  router.patch('/sets/:setId', requireAuth, validateRequest({
+    summary: 'Rename a set or change its description',
+    params: idParams('setId'),
+    query: ownerQuery(),
+    body: objectSchema({ name: SET_NAME_SCHEMA, description: SET_DESCRIPTION_SCHEMA }, [], { minProperties: 1 }),
+    responses: { 200: { description: 'Updated', schema: ref('Set') } },
+    errors: [403, 404]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { setId } = req.params;
+      const { errors, fields } = validateSetFields(req.body, { partial: true });
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid set', errors);
+      }
+
+      const set = await store.sets.update(req.library.owner, setId, (current) => ({ ...current, ...fields }));
+
+      if (!set) {
+        return setNotFound(res, setId);
+      }
+
+      console.log(`Set updated in library of ${req.library.owner}:`, setId);
+      res.json(set);
+    } catch (error) {
+      sendStorageError(res, 'Failed to update set', error);
+    }
+  });
+
+  // DELETE /sets/:setId - Delete a set (the videos in it are kept)
+  router.delete('/sets/:setId', requireAuth, validateRequest({
+    summary: 'Delete a set',
+    description: 'The videos in it are kept.',
+    params: idParams('setId'),
+    query: ownerQuery(),
+    responses: { 200: { description: 'Deleted', schema: ref('Success') } },
+    errors: [403, 404]
+  }), requireRole('owner'), async (req, res) => {
+    try {
+      const { setId } = req.params;
+      const { owner } = req.library;
+
+      if (!(await store.sets.get(owner, setId))) {
+        return setNotFound(res, setId);
+      }
+
+      await store.sets.remove(owner, setId);
+      console.log(`Set deleted in library of ${owner}:`, setId);
+
+      res.json({
+        success: true,
+        message: 'Set deleted successfully',
+        setId
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete set', error);
+    }
+  });
+
+  // POST /sets/:setId/duplicate - Copy a set, entries and all
+  router.post('/sets/:setId/duplicate', requireAuth, validateRequest({
+    summary: 'Copy a set, entries and all',
+    params: idParams('setId'),
+    query: ownerQuery(),
+    body: objectSchema({ name: { ...SET_NAME_SCHEMA, description: 'Defaults to "<name> (copy)"' } }),
+    responses: { 201: { description: 'The copy', schema: ref('Set') } },
+    errors: [403, 404]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { setId } = req.params;
+      const { owner } = req.library;
+      const source = await store.sets.get(owner, setId);
+
+      if (!source) {
+        return setNotFound(res, setId);
+      }
+
+      const { errors, fields } = validateSetFields({
+        name: req.body.name !== undefined ? req.body.name : `${source.name} (copy)`.slice(0, 100)
+      });
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid set', errors);
+      }
+
+      const set = await store.sets.create(owner, {
+        name: fields.name,
+        ...(source.description ? { description: source.description } : {}),
+        duplicatedFrom: setId,
+        entries: source.entries.map(({ entryId, ...entry }) => ({ entryId: store.sets.createEntryId(), ...entry }))
+      });
+
+      console.log(`Set ${setId} duplicated in library of ${owner} as:`, set.setId);
+      res.status(201).json(set);
+    } catch (error) {
+      sendStorageError(res, 'Failed to duplicate set', error);
+    }
+  });
+
+  // POST /sets/:setId/entries - Add a video to a set
+  // Appends by default; pass position (0-based) to insert elsewhere.
+  router.post('/sets/:setId/entries', requireAuth, validateRequest({
+    summary: 'Add a video to a set',
+    params: idParams('setId'),
+    query: ownerQuery(),
+    body: objectSchema({
+      ...ENTRY_SCHEMA.properties,
+      position: { type: 'integer', minimum: 0, description: '0-based; appends when missing' }
+    }, ['videoId']),
+    responses: {
+      201: {
+        description: 'Added',
+        schema: { type: 'object', properties: { entry: ref('SetEntry'), set: ref('Set') } }
+      }
+    },
+    errors: [403, 404]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { setId } = req.params;
+      const { owner } = req.library;
+      const { position } = req.body;
+      const { errors, entry } = validateEntry(req.body);
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid set entry', errors);
+      }
+
+      const missingVideoIds = await store.videos.missing(owner, [entry.videoId]);
+      if (missingVideoIds.length > 0) {
+        return sendMissingVideos(res, missingVideoIds);
+      }
+
+      const newEntry = { entryId: store.sets.createEntryId(), ...entry };
+      let full = false;
+      const set = await store.sets.update(owner, setId, (current) => {
+        if (current.entries.length >= MAX_ENTRIES) {
+          full = true;
+          return undefined;
+        }
+        const entries = [...current.entries];
+        const index = position === undefined ? entries.length : Math.min(position, entries.length);
+        entries.splice(index, 0, newEntry);
+        return { ...current, entries };
+      });
+
+      if (!set) {
+        return setNotFound(res, setId);
+      }
+      if (full) {
+        return sendValidationError(res, 'Invalid set entry', [`a set can have at most ${MAX_ENTRIES} entries`]);
+      }
+
+      console.log(`Video ${entry.videoId} added to set ${setId} in library of ${owner}`);
+      res.status(201).json({ entry: newEntry, set });
+    } catch (error) {
+      sendStorageError(res, 'Failed to add set entry', error);
+    }
+  });
+
+  // PATCH /sets/:setId/entries/:entryId - Update an entry's notes or transition
+  router.patch('/sets/:setId/entries/:entryId', requireAuth, validateRequest({
+    summary: "Update an entry's notes or transition",
+    params: idParams('setId', 'entryId'),
+    query: ownerQuery(),
+    body: objectSchema(ENTRY_FIELDS_SCHEMA, [], { minProperties: 1 }),
+    responses: { 200: { description: 'The updated set', schema: ref('Set') } },
+    errors: [403, 404]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { setId, entryId } = req.params;
+      const { errors, entry: changes } = validateEntry(req.body, { partial: true });
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid set entry', errors);
+      }
+
+      let entryFound = false;
+      const set = await store.sets.update(req.library.owner, setId, (current) => {
+        entryFound = current.entries.some((entry) => entry.entryId === entryId);
+        if (!entryFound) return undefined;
+        return {
+          ...current,
+          entries: current.entries.map((entry) => (entry.entryId === entryId ? { ...entry, ...changes } : entry))
+        };
+      });
+
+      if (!set) {
+        return setNotFound(res, setId);
+      }
+      if (!entryFound) {
+        return entryNotFound(res, setId, entryId);
+      }
+
+      res.json(set);
+    } catch (error) {
+      sendStorageError(res, 'Failed to update set entry', error);
+    }
+  });
+
+  // DELETE /sets/:setId/entries/:entryId - Remove an entry from a set
+  router.delete('/sets/:setId/entries/:entryId', requireAuth, validateRequest({
+    summary: 'Remove an entry from a set',
+    params: idParams('setId', 'entryId'),
+    query: ownerQuery(),
+    responses: { 200: { description: 'The updated set', schema: ref('Set') } },
+    errors: [403, 404]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { setId, entryId } = req.params;
+
+      let entryFound = false;
+      const set = await store.sets.update(req.library.owner, setId, (current) => {
+        entryFound = current.entries.some((entry) => entry.entryId === entryId);
+        if (!entryFound) return undefined;
+        return { ...current, entries: current.entries.filter((entry) => entry.entryId !== entryId) };
+      });
+
+      if (!set) {
+        return setNotFound(res, setId);
+      }
+      if (!entryFound) {
+        return entryNotFound(res, setId, entryId);
+      }
+
+      console.log(`Entry ${entryId} removed from set ${setId} in library of ${req.library.owner}`);
+      res.json(set);
+    } catch (error) {
+      sendStorageError(res, 'Failed to remove set entry', error);
+    }
+  });
+
+  // PUT /sets/:setId/order - Reorder a set
+  // Body: { entryIds: [...] } listing every entry of the set exactly once, in the new order.
+  router.put('/sets/:setId/order', requireAuth, validateRequest({
+    summary: 'Reorder a set',
+    params: idParams('setId'),
+    query: ownerQuery(),
+    body: objectSchema({
+      entryIds: { type: 'array', items: ID_SCHEMA, description: 'Every entry of the set exactly once, in the new order' }
+    }, ['entryIds']),
+    responses: { 200: { description: 'The reordered set', schema: ref('Set') } },
+    errors: [403, 404, 409]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { setId } = req.params;
+      const { entryIds } = req.body;
+
+      let mismatch = false;
+      const set = await store.sets.update(req.library.owner, setId, (current) => {
+        const byId = new Map(current.entries.map((entry) => [entry.entryId, entry]));
+        mismatch = entryIds.length !== byId.size
+          || new Set(entryIds).size !== entryIds.length
+          || entryIds.some((entryId) => !byId.has(entryId));
+        if (mismatch) return undefined;
+        return { ...current, entries: entryIds.map((entryId) => byId.get(entryId)) };
+      });
+
+      if (!set) {
+        return setNotFound(res, setId);
+      }
+      if (mismatch) {
+        // Usually means the set changed since the client last fetched it
+        return sendError(res, 409, 'ORDER_MISMATCH', 'entryIds must list every entry in the set exactly once', {
+          set: await store.sets.get(req.library.owner, setId)
+        });
+      }
+
+      console.log(`Set ${setId} reordered in library of ${req.library.owner}`);
+      res.json(set);
+    } catch (error) {
+      sendStorageError(res, 'Failed to reorder set', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSetsRouter
+};
@@ -0,0 +1,346 @@
+const express = require('express');
+const { sendError, sendStorageError, sendValidationError, sendVideoNotFound } = require('../lib/errors');
+const { sendAuthError } = require('../middleware/auth');
+const { SHARE_ROLES, MAX_SHARES, MAX_LINKS, validateShare, publicVideo } = require('../lib/sharing');
+const { withUpgradedHotcues } = require('../lib/hotcues');
+const { ID_SCHEMA } = require('../lib/organize');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+
+const ROLE_SCHEMA = { type: 'string', enum: SHARE_ROLES };
+const VIDEO_ID_SCHEMA = { ...ID_SCHEMA, type: ['string', 'null'], description: 'Share one video instead of the whole library' };
+
+function shareNotFound(res, shareId) {
+  return sendError(res, 404, 'SHARE_NOT_FOUND', 'Share not found', { shareId });
+}
+
+function linkNotFound(res) {
+  return sendError(res, 404, 'LINK_NOT_FOUND', 'Link not found or revoked');
+}
+
+// Sharing needs a real token - a legacy username parameter proves nothing
+// about who is asking
+function requireTokenUser(req, res) {
+  if (req.user.legacy) {
+    sendAuthError(res, 'Authentication required', 'AUTH_REQUIRED', 'Sharing requires an access token');
+    return false;
+  }
+  return true;
+}
+
+// Sharing: grant other users viewer or editor access to the whole library or
+// one video, and public read-only links that work without logging in.
+// Shared libraries are then used through the video routes with ?owner=<username>.
+function createSharesRouter({ store, requireAuth }) {
+  const router = express.Router();
+
+  // GET /shares - What the user has shared, and with whom ("shared by me")
+  router.get('/shares', requireAuth, validateRequest({
+    summary: 'List the shares the user has granted',
+    responses: { 200: { description: 'Shares', schema: arrayOf('Share') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const shares = await store.shares.list(username);
+
+      console.log(`Found ${shares.length} shares by user: ${username}`);
+      res.json(shares);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch shares', error);
+    }
+  });
+
+  // POST /shares - Share the library, or one video, with another user
+  // Body: { grantee: <username>, role: 'viewer' | 'editor', videoId? }. Sharing the same
+  // thing with the same user again changes the role (200 instead of 201).
+  router.post('/shares', requireAuth, validateRequest({
+    summary: 'Share the library, or one video, with another user',
+    description: 'Sharing the same thing with the same user again changes the role (200 instead of 201).',
+    body: objectSchema({
+      grantee: { type: 'string', minLength: 1, description: 'Username to share with' },
+      role: ROLE_SCHEMA,
+      videoId: VIDEO_ID_SCHEMA
+    }, ['grantee', 'role']),
+    responses: {
+      200: { description: 'The role of an existing share was changed', schema: ref('Share') },
+      201: { description: 'Shared', schema: ref('Share') }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+      const { errors, share } = validateShare(req.body);
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid share', errors);
+      }
+      if (share.grantee === username) {
+        return sendValidationError(res, 'Invalid share', ['you cannot share with yourself']);
+      }
+
+      if (!(await store.users.exists(share.grantee))) {
+        return sendError(res, 404, 'USER_NOT_FOUND', 'User not found', { username: share.grantee });
+      }
+      if (share.videoId && !(await store.videos.get(username, share.videoId))) {
+        return sendVideoNotFound(res, share.videoId);
+      }
+
+      const shares = await store.shares.list(username);
+      if (shares.length >= MAX_SHARES) {
+        return sendValidationError(res, 'Invalid share', [`you can have at most ${MAX_SHARES} shares`]);
+      }
+
+      const result = await store.shares.grant(username, share);
+      console.log(`User ${username} shared ${share.videoId ? `video ${share.videoId}` : 'their library'} with ${share.grantee} as ${share.role}`);
+      res.status(result.created ? 201 : 200).json(result.share);
+    } catch (error) {
+      sendStorageError(res, 'Failed to share', error);
+    }
+  });
+
+  // PATCH /shares/:shareId - Change the role of a share. Body: { role }
+  router.patch('/shares/:shareId', requireAuth, validateRequest({
+    summary: 'Change the role of a share',
+    params: idParams('shareId'),
+    body: objectSchema({ role: ROLE_SCHEMA }, ['role']),
+    responses: { 200: { description: 'Updated', schema: ref('Share') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+      const { shareId } = req.params;
+      const { role } = req.body;
+
+      const share = await store.shares.setRole(username, shareId, role);
+      if (!share) {
+        return shareNotFound(res, shareId);
+      }
+
+      console.log(`Share ${shareId} of user ${username} changed to ${role}`);
+      res.json(share);
+    } catch (error) {
+      sendStorageError(res, 'Failed to update share', error);
+    }
+  });
+
+  // DELETE /shares/:shareId - Revoke a share
+  router.delete('/shares/:shareId', requireAuth, validateRequest({
+    summary: 'Revoke a share',
+    params: idParams('shareId'),
+    responses: { 200: { description: 'Revoked', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+      const { shareId } = req.params;
+
+      const share = await store.shares.revoke(username, shareId);
+      if (!share) {
+        return shareNotFound(res, shareId);
+      }
+
+      console.log(`Share ${shareId} of user ${username} with ${share.grantee} revoked`);
+      res.json({
+        success: true,
+        message: 'Share revoked successfully',
+        shareId
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to revoke share', error);
+    }
+  });
+
+  // GET /shared-with-me - Libraries and videos other users have shared with the user
+  router.get('/shared-with-me', requireAuth, validateRequest({
+    summary: 'List what other users have shared with the user',
+    responses: { 200: { description: 'Shares, with the owner of each', schema: arrayOf('Share') } }
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+      const shares = await store.shares.listSharedWithMe(username);
+
+      console.log(`Found ${shares.length} shares with user: ${username}`);
+      res.json(shares);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch shares', error);
+    }
+  });
+
+  // DELETE /shared-with-me/:shareId - Leave a share someone else granted
+  router.delete('/shared-with-me/:shareId', requireAuth, validateRequest({
+    summary: 'Leave a share someone else granted',
+    params: idParams('shareId'),
+    responses: { 200: { description: 'Left', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+      const { shareId } = req.params;
+
+      const entry = (await store.shares.listSharedWithMe(username)).find((share) => share.shareId === shareId);
+      if (!entry) {
+        return shareNotFound(res, shareId);
+      }
+
+      await store.shares.revoke(entry.owner, shareId);
+      console.log(`User ${username} left share ${shareId} from ${entry.owner}`);
+      res.json({
+        success: true,
+        message: 'Share removed successfully',
+        shareId
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to remove share', error);
+    }
+  });
+
+  // GET /links - The user's public links
+  router.get('/links', requireAuth, validateRequest({
+    summary: "List the user's public links",
+    responses: { 200: { description: 'Links', schema: arrayOf('Link') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      res.json(await store.shares.listLinks(username));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch links', error);
+    }
+  });
+
+  // POST /links - Create a public read-only link to the library, or to one video
+  // Body: { videoId? }. Anyone with the link can read it until it is revoked.
+  router.post('/links', requireAuth, validateRequest({
+    summary: 'Create a public read-only link',
+    description: 'Anyone with the link can read the library (or the one video) until it is revoked.',
+    body: objectSchema({ videoId: { ...VIDEO_ID_SCHEMA, description: 'Link to one video instead of the whole library' } }),
+    responses: { 201: { description: 'Created', schema: ref('Link') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+      const { videoId } = req.body;
+      if (videoId && !(await store.videos.get(username, videoId))) {
+        return sendVideoNotFound(res, videoId);
+      }
+
+      const links = await store.shares.listLinks(username);
+      if (links.length >= MAX_LINKS) {
+        return sendValidationError(res, 'Invalid link', [`you can have at most ${MAX_LINKS} links`]);
+      }
+
+      const link = await store.shares.createLink(username, {
+        scope: videoId ? 'video' : 'library',
+        videoId
+      });
+      console.log(`Public link created by user ${username} for ${videoId ? `video ${videoId}` : 'their library'}`);
+      res.status(201).json(link);
+    } catch (error) {
+      sendStorageError(res, 'Failed to create link', error);
+    }
+  });
+
+  // DELETE /links/:token - Revoke a public link
+  router.delete('/links/:token', requireAuth, validateRequest({
+    summary: 'Revoke a public link',
+    params: idParams('token'),
+    responses: { 200: { description: 'Revoked', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      if (!requireTokenUser(req, res)) return;
+      const { username } = req.user;
+
+      if (!(await store.shares.revokeLink(username, req.params.token))) {
+        return linkNotFound(res);
+      }
+
+      console.log(`Public link revoked by user ${username}`);
+      res.json({
+        success: true,
+        message: 'Link revoked successfully'
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to revoke link', error);
+    }
+  });
+
+  // GET /public/:token - Read what a public link points to, without logging in.
+  // A video link returns the video; a library link returns its videos, newest first.
+  router.get('/public/:token', validateRequest({
+    summary: 'Read what a public link points to',
+    description: 'No login needed. A video link returns the video; a library link returns its videos, newest first.',
+    params: idParams('token'),
+    responses: {
+      200: {
+        description: 'The shared video or library',
+        schema: {
+          type: 'object',
+          properties: { scope: { type: 'string', enum: ['video', 'library'] }, video: ref('Video'), videos: arrayOf('Video') }
+        }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const link = await store.shares.getLink(req.params.token);
+      if (!link) {
+        return linkNotFound(res);
+      }
+
+      if (link.scope === 'video') {
+        const video = await store.videos.get(link.owner, link.videoId);
+        if (!video) {
+          return linkNotFound(res);
+        }
+        return res.json({ scope: 'video', video: publicVideo(withUpgradedHotcues({ videoId: link.videoId, ...video })) });
+      }
+
+      const videos = await store.videos.list(link.owner);
+      res.json({
+        scope: 'library',
+        videos: Object.keys(videos)
+          .map((videoId) => publicVideo(withUpgradedHotcues({ videoId, ...videos[videoId] })))
+          .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch shared content', error);
+    }
+  });
+
+  // GET /public/:token/videos/:videoId - One video through a public library link
+  router.get('/public/:token/videos/:videoId', validateRequest({
+    summary: 'Read one video through a public link',
+    params: idParams('token', 'videoId'),
+    responses: { 200: { description: 'The video', schema: ref('Video') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const link = await store.shares.getLink(req.params.token);
+      if (!link || (link.scope === 'video' && link.videoId !== videoId)) {
+        return linkNotFound(res);
+      }
+
+      const video = await store.videos.get(link.owner, videoId);
+      if (!video) {
+        return sendVideoNotFound(res, videoId);
+      }
+      res.json(publicVideo(withUpgradedHotcues({ videoId, ...video })));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch shared video', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSharesRouter
+};
@@ -0,0 +1,322 @@
+const express = require('express');
+const { sendError, sendStorageError, sendValidationError, sendMissingVideos, sendVideoNotFound } = require('../lib/errors');
+const {
+  MAX_TAGS, MAX_TAGS_PER_VIDEO, NAME_SCHEMA, COLOR_SCHEMA,
+  validateTagFields, validateIdList, idListSchema, sameName
+} = require('../lib/organize');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+const { publishVideosUpdated } = require('../lib/events');
+
+const idList = { type: 'array', items: { type: 'string' } };
+
+function tagNotFound(res, tagId) {
+  return sendError(res, 404, 'TAG_NOT_FOUND', 'Tag not found', { tagId });
+}
+
+function tagExists(res, name) {
+  console.error('Tag name already in use:', name);
+  return sendError(res, 409, 'TAG_EXISTS', 'A tag with this name already exists', { name });
+}
+
+// User-defined tags. A video can have any number of tags (up to MAX_TAGS_PER_VIDEO).
+function createTagsRouter({ store, events, requireAuth }) {
+  const router = express.Router();
+
+  // GET /tags - List the user's tags
+  router.get('/tags', requireAuth, validateRequest({
+    summary: 'List tags',
+    responses: { 200: { description: 'Every tag', schema: arrayOf('Tag') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const tags = await store.tags.list(username);
+
+      console.log(`Found ${tags.length} tags for user: ${username}`);
+      res.json(tags);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch tags', error);
+    }
+  });
+
+  // GET /tags/summary - Every tag with how many videos have it, most used first
+  router.get('/tags/summary', requireAuth, validateRequest({
+    summary: 'Count the videos with each tag',
+    responses: {
+      200: {
+        description: 'Tags, most used first',
+        schema: {
+          type: 'object',
+          properties: {
+            totalVideos: { type: 'integer' },
+            untaggedCount: { type: 'integer' },
+            tags: arrayOf('Tag')
+          }
+        }
+      }
+    }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const [tags, videos] = await Promise.all([
+        store.tags.list(username),
+        store.videos.list(username)
+      ]);
+
+      const counts = {};
+      let untaggedCount = 0;
+      Object.keys(videos).forEach((videoId) => {
+        const tagIds = Object.keys(videos[videoId].tags || {});
+        if (tagIds.length === 0) untaggedCount++;
+        tagIds.forEach((tagId) => { counts[tagId] = (counts[tagId] || 0) + 1; });
+      });
+
+      res.json({
+        totalVideos: Object.keys(videos).length,
+        untaggedCount,
+        tags: tags
+          .map((tag) => ({ ...tag, videoCount: counts[tag.tagId] || 0 }))
+          .sort((a, b) => b.videoCount - a.videoCount || a.name.localeCompare(b.name))
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch tag summary', error);
+    }
+  });
+
+  // POST /tags - Create a tag
+  router.post('/tags', requireAuth, validateRequest({
+    summary: 'Create a tag',
+    body: objectSchema({ name: NAME_SCHEMA, color: COLOR_SCHEMA }, ['name']),
+    responses: { 201: { description: 'Created', schema: ref('Tag') } },
+    errors: [409]
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const { errors, fields } = validateTagFields(req.body);
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid tag', errors);
+      }
+
+      const tags = await store.tags.list(username);
+      if (tags.length >= MAX_TAGS) {
+        return sendValidationError(res, 'Invalid tag', [`you can have at most ${MAX_TAGS} tags`]);
+      }
+      if (tags.some((tag) => sameName(tag.name, fields.name))) {
+        return tagExists(res, fields.name);
+      }
+
+      const tag = await store.tags.create(username, fields);
+      console.log(`Tag created for user ${username}:`, tag.tagId);
+      res.status(201).json(tag);
+    } catch (error) {
+      sendStorageError(res, 'Failed to create tag', error);
+    }
+  });
+
+  // GET /tags/:tagId - Get a tag
+  router.get('/tags/:tagId', requireAuth, validateRequest({
+    summary: 'Get a tag',
+    params: idParams('tagId'),
+    responses: { 200: { description: 'The tag', schema: ref('Tag') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { tagId } = req.params;
+      const tag = await store.tags.get(req.user.username, tagId);
+
+      if (!tag) {
+        return tagNotFound(res, tagId);
+      }
+
+      res.json(tag);
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch tag', error);
+    }
+  });
+
+  // PATCH /tags/:tagId - Rename a tag or change its color.
+  // Videos refer to tags by id, so they pick up the new name without being rewritten.
+  router.patch('/tags/:tagId', requireAuth, validateRequest({
+    summary: 'Rename a tag or change its color',
+    params: idParams('tagId'),
+    body: objectSchema({ name: NAME_SCHEMA, color: COLOR_SCHEMA }, [], { minProperties: 1 }),
+    responses: { 200: { description: 'Updated', schema: ref('Tag') } },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { tagId } = req.params;
+      const { username } = req.user;
+      const { errors, fields } = validateTagFields(req.body, { partial: true });
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid tag', errors);
+      }
+
+      if (fields.name !== undefined) {
+        const tags = await store.tags.list(username);
+        if (tags.some((tag) => tag.tagId !== tagId && sameName(tag.name, fields.name))) {
+          return tagExists(res, fields.name);
+        }
+      }
+
+      const tag = await store.tags.update(username, tagId, fields);
+      if (!tag) {
+        return tagNotFound(res, tagId);
+      }
+
+      console.log(`Tag updated for user ${username}:`, tagId);
+      res.json(tag);
+    } catch (error) {
+      sendStorageError(res, 'Failed to update tag', error);
+    }
+  });
+
+  // DELETE /tags/:tagId - Delete a tag and take it off every video that had it
+  router.delete('/tags/:tagId', requireAuth, validateRequest({
+    summary: 'Delete a tag and take it off every video',
+    params: idParams('tagId'),
+    responses: {
+      200: {
+        description: 'Deleted',
+        schema: { type: 'object', properties: { success: { type: 'boolean' }, tagId: { type: 'string' }, removedFromVideos: idList } }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { tagId } = req.params;
+      const { username } = req.user;
+
+      if (!(await store.tags.get(username, tagId))) {
+        return tagNotFound(res, tagId);
+      }
+
+      const videoIds = await store.tags.remove(username, tagId);
+      console.log(`Tag deleted for user ${username}: ${tagId} (removed from ${videoIds.length} videos)`);
+      await publishVideosUpdated(events, store, username, videoIds);
+
+      res.json({
+        success: true,
+        message: 'Tag deleted successfully',
+        tagId,
+        removedFromVideos: videoIds
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete tag', error);
+    }
+  });
+
+  // POST /tags/:tagId/videos - Tag several videos
+  // Body: { videoIds: [...] }. Videos that already have MAX_TAGS_PER_VIDEO tags
+  // are left alone and listed in `full`.
+  router.post('/tags/:tagId/videos', requireAuth, validateRequest({
+    summary: 'Tag several videos',
+    params: idParams('tagId'),
+    body: objectSchema({ videoIds: idListSchema() }, ['videoIds']),
+    responses: {
+      200: {
+        description: `Tagged. Videos that already have ${MAX_TAGS_PER_VIDEO} tags are listed in full`,
+        schema: { type: 'object', properties: { success: { type: 'boolean' }, tagId: { type: 'string' }, videoIds: idList, full: idList } }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { tagId } = req.params;
+      const { username } = req.user;
+      const { errors, ids } = validateIdList(req.body.videoIds, 'videoIds');
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid tag assignment', errors);
+      }
+      if (!(await store.tags.get(username, tagId))) {
+        return tagNotFound(res, tagId);
+      }
+
+      const missingVideoIds = await store.videos.missing(username, ids);
+      if (missingVideoIds.length > 0) {
+        return sendMissingVideos(res, missingVideoIds);
+      }
+
+      const { videoIds, full } = await store.tags.addToVideos(username, ids, tagId, { maxPerVideo: MAX_TAGS_PER_VIDEO });
+      console.log(`Tagged ${videoIds.length} videos with ${tagId} for user ${username}`);
+      await publishVideosUpdated(events, store, username, videoIds);
+      res.json({ success: true, tagId, videoIds, full });
+    } catch (error) {
+      sendStorageError(res, 'Failed to tag videos', error);
+    }
+  });
+
+  // DELETE /tags/:tagId/videos/:videoId - Take a tag off one video
+  router.delete('/tags/:tagId/videos/:videoId', requireAuth, validateRequest({
+    summary: 'Take a tag off one video',
+    params: idParams('tagId', 'videoId'),
+    responses: { 200: { description: 'Untagged', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { tagId, videoId } = req.params;
+      const { username } = req.user;
+
+      const untagged = await store.tags.removeFromVideos(username, [videoId], tagId);
+      if (untagged.length === 0) {
+        return sendVideoNotFound(res, videoId);
+      }
+
+      console.log(`Removed tag ${tagId} from video ${videoId} for user ${username}`);
+      await publishVideosUpdated(events, store, username, untagged);
+      res.json({ success: true, tagId, videoId });
+    } catch (error) {
+      sendStorageError(res, 'Failed to untag video', error);
+    }
+  });
+
+  // PUT /videos/:videoId/tags - Replace a video's tags
+  // Body: { tagIds: [...] } - an empty array removes them all
+  router.put('/videos/:videoId/tags', requireAuth, validateRequest({
+    summary: "Replace a video's tags",
+    params: idParams('videoId'),
+    body: objectSchema({ tagIds: { ...idListSchema(), description: `At most ${MAX_TAGS_PER_VIDEO}; an empty list removes them all` } }, ['tagIds']),
+    responses: {
+      200: {
+        description: 'Tagged',
+        schema: { type: 'object', properties: { success: { type: 'boolean' }, videoId: { type: 'string' }, tagIds: idList } }
+      }
+    },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { username } = req.user;
+      const { errors, ids } = validateIdList(req.body.tagIds, 'tagIds', { max: MAX_TAGS_PER_VIDEO });
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid tag assignment', errors);
+      }
+
+      const tags = await store.tags.list(username);
+      const unknown = ids.filter((tagId) => !tags.some((tag) => tag.tagId === tagId));
+      if (unknown.length > 0) {
+        return tagNotFound(res, unknown[0]);
+      }
+
+      if (!(await store.tags.setVideoTags(username, videoId, ids))) {
+        return sendVideoNotFound(res, videoId);
+      }
+
+      console.log(`Set tags of video ${videoId} for user ${username}:`, ids);
+      await publishVideosUpdated(events, store, username, [videoId]);
+      res.json({ success: true, videoId, tagIds: ids });
+    } catch (error) {
+      sendStorageError(res, 'Failed to tag video', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createTagsRouter
+};
@@ -0,0 +1,191 @@
+const express = require('express');
+const { sendError, sendStorageError } = require('../lib/errors');
+const { withUpgradedHotcues } = require('../lib/hotcues');
+const { publishVideoSaved } = require('../lib/events');
+const { formatETag } = require('../lib/etag');
+const { MAX_ENTRIES } = require('../lib/sets');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+
+const TRASH_PARAMS = idParams('videoId');
+
+function trashItemNotFound(res, videoId) {
+  return sendError(res, 404, 'TRASH_ITEM_NOT_FOUND', 'Video not found in the trash', { videoId });
+}
+
+// What the API shows of a trashed video: the video as it was, plus when it was
+// deleted and the ids of the sets it was taken out of
+function toTrashItem(item) {
+  const { removedFromSets, username, ...video } = item;
+  return withUpgradedHotcues({
+    ...video,
+    removedFromSets: [...new Set(removedFromSets.map((removed) => removed.setId))]
+  });
+}
+
+// The user's trash (see storage/trash.js). DELETE /videos/:videoId moves
+// videos here; they can be restored until they are purged, either by hand or
+// once the retention period is over.
+function createTrashRouter({ store, events, requireAuth }) {
+  const router = express.Router();
+
+  // GET /trash - List trashed videos, most recently deleted first
+  router.get('/trash', requireAuth, validateRequest({
+    summary: 'List the trash',
+    description: 'Items past the retention period are purged first.',
+    responses: { 200: { description: 'Trashed videos, most recently deleted first', schema: arrayOf('TrashItem') } }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+
+      // The scheduled purge may not have run yet
+      await store.trash.purgeExpired(username);
+      const items = await store.trash.list(username);
+
+      console.log(`Found ${items.length} videos in the trash of user: ${username}`);
+      res.json(items.map(toTrashItem));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch trash', error);
+    }
+  });
+
+  // DELETE /trash - Empty the trash
+  router.delete('/trash', requireAuth, validateRequest({
+    summary: 'Empty the trash',
+    description: 'Purges every trashed video for good, with its revisions, shares and links.',
+    responses: {
+      200: {
+        description: 'Emptied',
+        schema: { type: 'object', properties: { success: { type: 'boolean' }, purged: { type: 'array', items: { type: 'string' } } } }
+      }
+    }
+  }), async (req, res) => {
+    try {
+      const { username } = req.user;
+      const items = await store.trash.list(username);
+      const purged = await store.trash.purge(username, items.map((item) => item.videoId));
+
+      console.log(`Emptied the trash of user ${username}: ${purged.length} videos purged`);
+      res.json({
+        success: true,
+        message: 'Trash emptied',
+        purged
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to empty trash', error);
+    }
+  });
+
+  // GET /trash/:videoId - Get a trashed video
+  router.get('/trash/:videoId', requireAuth, validateRequest({
+    summary: 'Get a trashed video',
+    params: TRASH_PARAMS,
+    responses: { 200: { description: 'The trashed video', schema: ref('TrashItem') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const item = await store.trash.get(req.user.username, videoId);
+
+      if (!item) {
+        return trashItemNotFound(res, videoId);
+      }
+
+      res.json(toTrashItem(item));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch trashed video', error);
+    }
+  });
+
+  // DELETE /trash/:videoId - Purge one video for good
+  router.delete('/trash/:videoId', requireAuth, validateRequest({
+    summary: 'Purge a trashed video',
+    description: 'Deletes it for good, with its revisions, shares and links.',
+    params: TRASH_PARAMS,
+    responses: { 200: { description: 'Purged', schema: ref('Success') } },
+    errors: [404]
+  }), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { username } = req.user;
+      const purged = await store.trash.purge(username, [videoId]);
+
+      if (purged.length === 0) {
+        return trashItemNotFound(res, videoId);
+      }
+
+      console.log(`Video purged from the trash of user ${username}:`, videoId);
+      res.json({
+        success: true,
+        message: 'Video purged',
+        videoId
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to purge video', error);
+    }
+  });
+
+  // POST /trash/:videoId/restore - Put a video back in the library
+  router.post('/trash/:videoId/restore', requireAuth, validateRequest({
+    summary: 'Restore a trashed video',
+    description: 'The video goes back into the sets it was taken out of, where they still exist and have room. '
+      + 'Its folder and tags are kept if they still exist. 409 if a video with the same id has been saved since.',
+    params: TRASH_PARAMS,
+    responses: {
+      200: {
+        description: 'Restored (ETag has its version)',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            video: ref('Video'),
+            restoredToSets: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    },
+    errors: [404, 409]
+  }), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { username } = req.user;
+      const [folders, tags] = await Promise.all([
+        store.folders.list(username),
+        store.tags.list(username)
+      ]);
+
+      const result = await store.trash.restore(username, videoId, {
+        folderIds: folders.map((folder) => folder.folderId),
+        tagIds: tags.map((tag) => tag.tagId),
+        maxSetEntries: MAX_ENTRIES
+      });
+
+      if (result.notFound) {
+        return trashItemNotFound(res, videoId);
+      }
+      if (result.exists) {
+        console.error(`Cannot restore video ${videoId} for user ${username}: it has been saved again`);
+        return sendError(res, 409, 'VIDEO_EXISTS', 'A video with this id is already in the library', { videoId });
+      }
+
+      const video = withUpgradedHotcues(result.video);
+      console.log(`Video restored from the trash for user ${username}:`, videoId, 'sets:', result.restoredToSets);
+      publishVideoSaved(events, username, video, null);
+
+      res.set('ETag', formatETag(video.version));
+      res.json({
+        success: true,
+        video,
+        restoredToSets: result.restoredToSets
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to restore video', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createTrashRouter
+};
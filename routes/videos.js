@@ -0,0 +1,431 @@
+const express = require('express');
+const {
+  HOTCUE_SCHEMA_VERSION, MAX_HOTCUES, HOTCUES_SCHEMA, HOTCUE_CHANGES_SCHEMA,
+  validateHotcues, validateHotcueChanges, withUpgradedHotcues
+} = require('../lib/hotcues');
+const { formatETag, parseIfMatch, sendVersionConflict } = require('../lib/etag');
+const { sendError, sendStorageError, sendServerError, sendValidationError, sendVideoNotFound } = require('../lib/errors');
+const { publishVideoSaved } = require('../lib/events');
+const { parseYouTubeUrl } = require('../lib/youtube');
+const { VIDEO_QUERY_PROPERTIES, hasVideoQuery, parseVideoQuery, runVideoQuery } = require('../lib/query');
+const { ID_SCHEMA } = require('../lib/organize');
+const { objectSchema } = require('../lib/schema');
+const { ref, arrayOf } = require('../lib/openapi');
+const { validateRequest, idParams } = require('../middleware/validate');
+const { ownerQuery } = require('../middleware/access');
+
+// Video library routes. They act on the authenticated user's library, or with
+// ?owner=<username> on a library shared with them (see middleware/access.js).
+function createVideosRouter({ store, events, metadata, requireAuth, requireRole }) {
+  const router = express.Router();
+
+  // POST /videos - Save video with hotcues
+  // The video id is parsed from youtubeUrl; videoId is optional but must match it.
+  // Send If-Match: "<version>" to only save over that version (409 if it changed)
+  router.post('/videos', requireAuth, validateRequest({
+    summary: 'Save a video with its hotcues',
+    description: 'Creates the video or replaces it. Send If-Match: "<version>" to only save over that version.',
+    query: ownerQuery(),
+    body: objectSchema({
+      youtubeUrl: { type: 'string', minLength: 1, maxLength: 2048, description: 'YouTube watch, youtu.be, shorts, embed or live link' },
+      videoId: { ...ID_SCHEMA, description: 'Optional; must match youtubeUrl' },
+      hotcues: HOTCUES_SCHEMA
+    }, ['youtubeUrl']),
+    responses: { 200: { description: 'Saved', schema: ref('SavedVideo') } },
+    errors: [403, 409]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      console.log('POST /videos - Request received');
+    
+      const { youtubeUrl, videoId: requestedVideoId, hotcues } = req.body;
+      const { owner } = req.library;
+
+      const parsedUrl = parseYouTubeUrl(youtubeUrl);
+      if (!parsedUrl) {
+        console.error('Validation error: Not a YouTube URL:', youtubeUrl);
+        return sendError(res, 400, 'INVALID_YOUTUBE_URL', 'Invalid YouTube URL', {
+          details: ['youtubeUrl must be a YouTube watch, youtu.be, shorts, embed or live link']
+        });
+      }
+
+      if (requestedVideoId && requestedVideoId !== parsedUrl.videoId) {
+        console.error(`Validation error: videoId ${requestedVideoId} does not match URL video ${parsedUrl.videoId}`);
+        return sendError(res, 400, 'VIDEO_ID_MISMATCH', 'videoId does not match youtubeUrl', {
+          details: [`youtubeUrl is for video ${parsedUrl.videoId}`]
+        });
+      }
+      const { videoId } = parsedUrl;
+
+      // Validate hotcues against the current schema (flat v1 cues are upgraded)
+      const hotcueValidation = validateHotcues(hotcues);
+      if (hotcueValidation.errors.length > 0) {
+        return sendValidationError(res, 'Invalid hotcues format', hotcueValidation.errors);
+      }
+
+      // Look up title/author/thumbnail (cached - see lib/metadata.js)
+      const info = await metadata.get(videoId);
+      console.log(`Video title (${info.cached ? 'cached' : 'fetched'}):`, info.title);
+
+      // Create video data object
+      const videoData = {
+        youtubeUrl,
+        videoId,
+        title: info.title,
+        author: info.author,
+        thumbnailUrl: info.thumbnailUrl,
+        startSeconds: parsedUrl.startSeconds,
+        playlistId: parsedUrl.playlistId,
+        hotcues: hotcueValidation.hotcues,
+        hotcuesVersion: HOTCUE_SCHEMA_VERSION
+      };
+
+      console.log('Saving video:', {
+        backend: store.backend,
+        owner: owner,
+        videoId: videoId,
+        data: videoData
+      });
+
+      // Save under the user's videos - the store keeps createdAt for existing videos
+      try {
+        const result = await store.videos.save(owner, videoId, videoData, {
+          ifMatch: parseIfMatch(req.get('if-match'))
+        });
+
+        if (result.conflict) {
+          return sendVersionConflict(res, videoId, result.current);
+        }
+
+        const { video, previous, isNew } = result;
+        console.log(`Successfully saved video (${isNew ? 'new' : 'updated'}, version ${video.version})`);
+        publishVideoSaved(events, owner, video, previous);
+      
+        res.set('ETag', formatETag(video.version));
+        res.json({ 
+          success: true, 
+          message: 'Video saved successfully',
+          videoId,
+          version: video.version,
+          hotcues: video.hotcues,
+          hotcuesVersion: video.hotcuesVersion,
+          savedAt: new Date().toISOString()
+        });
+      } catch (firebaseError) {
+        sendStorageError(res, 'Failed to save video', firebaseError);
+      }
+    } catch (error) {
+      sendServerError(res, 'Unexpected error saving video', error);
+    }
+  });
+
+  // Re-fetch a stored video's metadata and save it if it changed.
+  // Resolves to { videoId, title, updated }.
+  async function refreshVideoMetadata(owner, video) {
+    const info = await metadata.get(video.videoId, { force: true });
+    const changed = info.title !== video.title
+      || (info.author || null) !== (video.author || null)
+      || (info.thumbnailUrl || null) !== (video.thumbnailUrl || null);
+
+    if (changed && !info.fallback) {
+      const result = await store.videos.save(owner, video.videoId, {
+        ...video,
+        title: info.title,
+        author: info.author,
+        thumbnailUrl: info.thumbnailUrl
+      }, { reason: 'metadata', ifMatch: { any: false, versions: [video.version || 0] } });
+
+      if (!result.conflict) {
+        publishVideoSaved(events, owner, result.video, result.previous);
+        return { videoId: video.videoId, title: info.title, updated: true };
+      }
+    }
+    return { videoId: video.videoId, title: info.title, updated: false, fallback: Boolean(info.fallback) };
+  }
+
+  // POST /videos/metadata/refresh - Retry the title lookup for every video
+  // that is still "Untitled Video"
+  router.post('/videos/metadata/refresh', requireAuth, validateRequest({
+    summary: 'Retry the title lookup for every untitled video',
+    query: ownerQuery(),
+    responses: {
+      200: {
+        description: 'What was refreshed',
+        schema: {
+          type: 'object',
+          properties: { checked: { type: 'integer' }, updated: { type: 'integer' }, videos: arrayOf('MetadataRefresh') }
+        }
+      }
+    },
+    errors: [403]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { owner } = req.library;
+      const videos = await store.videos.list(owner);
+      const untitled = Object.keys(videos)
+        .map((videoId) => ({ ...videos[videoId], videoId }))
+        .filter((video) => metadata.hasFallbackTitle(video));
+
+      // One at a time - these all hit YouTube and there's no rush
+      const results = [];
+      for (const video of untitled) {
+        results.push(await refreshVideoMetadata(owner, video));
+      }
+
+      const updatedCount = results.filter((result) => result.updated).length;
+      console.log(`Refreshed metadata for ${owner}: ${updatedCount} of ${untitled.length} untitled videos updated`);
+      res.json({ success: true, checked: untitled.length, updated: updatedCount, videos: results });
+    } catch (error) {
+      sendStorageError(res, 'Failed to refresh video metadata', error);
+    }
+  });
+
+  // POST /videos/:videoId/metadata/refresh - Re-fetch one video's metadata
+  router.post('/videos/:videoId/metadata/refresh', requireAuth, validateRequest({
+    summary: "Re-fetch one video's metadata",
+    params: idParams('videoId'),
+    query: ownerQuery(),
+    responses: { 200: { description: 'Refreshed', schema: ref('MetadataRefresh') } },
+    errors: [403, 404]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const video = await store.videos.get(req.library.owner, videoId);
+
+      if (!video) {
+        return sendVideoNotFound(res, videoId);
+      }
+
+      res.json({ success: true, ...(await refreshVideoMetadata(req.library.owner, video)) });
+    } catch (error) {
+      sendStorageError(res, 'Failed to refresh video metadata', error);
+    }
+  });
+
+  // PATCH /videos/:videoId/hotcues - Set or remove individual hotcues
+  // Body: { hotcues: { q: { time: 12.5 }, w: null } } - null removes a cue,
+  // cues not mentioned are left alone. Honours If-Match like POST /videos.
+  router.patch('/videos/:videoId/hotcues', requireAuth, validateRequest({
+    summary: 'Set or remove individual hotcues',
+    params: idParams('videoId'),
+    query: ownerQuery(),
+    body: objectSchema({ hotcues: HOTCUE_CHANGES_SCHEMA }, ['hotcues']),
+    responses: { 200: { description: 'Updated', schema: ref('SavedVideo') } },
+    errors: [403, 404, 409]
+  }), requireRole('editor'), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { owner } = req.library;
+      const { errors, changes } = validateHotcueChanges(req.body.hotcues);
+
+      if (errors.length > 0) {
+        return sendValidationError(res, 'Invalid hotcues format', errors);
+      }
+
+      const result = await store.hotcues.patch(owner, videoId, changes, {
+        ifMatch: parseIfMatch(req.get('if-match'))
+      });
+
+      if (result.conflict) {
+        return sendVersionConflict(res, videoId, result.current);
+      }
+      if (result.notFound) {
+        return sendVideoNotFound(res, videoId);
+      }
+      if (result.tooMany) {
+        return sendValidationError(res, 'Invalid hotcues format', [`hotcues can have at most ${MAX_HOTCUES} entries`]);
+      }
+
+      const { video, previous } = result;
+      console.log(`Patched hotcues ${Object.keys(changes).join(', ')} of video ${videoId} for user ${owner} (version ${video.version})`);
+      publishVideoSaved(events, owner, video, previous);
+
+      res.set('ETag', formatETag(video.version));
+      res.json({
+        success: true,
+        message: 'Hotcues updated successfully',
+        videoId,
+        version: video.version,
+        hotcues: video.hotcues,
+        hotcuesVersion: video.hotcuesVersion
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to update hotcues', error);
+    }
+  });
+
+  // GET /videos - Get videos for a specific user
+  // Without query parameters: every video, newest first (as a plain array).
+  // With any of q, from, to, dateField, hotcue, tag, folder, subfolders, sort, order, limit or cursor:
+  // one page of { videos, total, limit, nextCursor } - see lib/query.js.
+  router.get('/videos', requireAuth, validateRequest({
+    summary: 'List, search and page through videos',
+    description: 'Without query parameters every video comes back as a plain array, newest first. '
+      + 'With any of them, one page of { videos, total, limit, nextCursor }.',
+    query: ownerQuery(VIDEO_QUERY_PROPERTIES),
+    responses: {
+      200: { description: 'Videos (X-Total-Count has the total)', schema: { anyOf: [arrayOf('Video'), ref('VideoPage')] } }
+    },
+    errors: [403, 404]
+  }), requireRole('viewer', { partial: true }), async (req, res) => {
+    try {
+      const { owner } = req.library;
+      const paged = hasVideoQuery(req.query);
+      const { errors, options } = parseVideoQuery(req.query);
+
+      if (paged && errors.length > 0) {
+        return sendValidationError(res, 'Invalid video query', errors);
+      }
+
+      console.log(`GET /videos - Fetching videos for user: ${owner}`, paged ? req.query : '');
+
+      // folder=none matches unfiled videos; subfolders=true includes nested folders
+      if (options.folderId === 'none') {
+        options.folderIds = [null];
+      } else if (options.folderId) {
+        const folders = await store.folders.list(owner);
+        if (!folders.some((folder) => folder.folderId === options.folderId)) {
+          return sendError(res, 404, 'FOLDER_NOT_FOUND', 'Folder not found', { folderId: options.folderId });
+        }
+        options.folderIds = options.subfolders
+          ? store.folders.descendants(folders, options.folderId)
+          : [options.folderId];
+      }
+    
+      // Fetch videos for the specific user (a date range is narrowed by the database)
+      const videos = await store.videos.query(owner, {
+        dateField: options.dateField,
+        from: options.from,
+        to: options.to
+      });
+
+      // Convert object to array with videoId included
+      // (hotcues saved before the v2 schema are upgraded on the fly)
+      // Callers with only video shares see just those videos
+      const { videoIds } = req.library;
+      const videosArray = Object.keys(videos)
+        .filter((videoId) => !videoIds || videoIds.includes(videoId))
+        .map(videoId => withUpgradedHotcues({
+          videoId,
+          ...videos[videoId]
+        }));
+
+      if (!paged) {
+        // Sort by createdAt (most recent first)
+        const result = runVideoQuery(videosArray, { ...options, limit: videosArray.length });
+        console.log(`Found ${result.total} videos for user: ${owner}`);
+        res.set('X-Total-Count', String(result.total));
+        return res.json(result.videos);
+      }
+
+      const result = runVideoQuery(videosArray, options);
+      console.log(`Found ${result.total} matching videos for user: ${owner}, returning ${result.videos.length}`);
+      res.set('X-Total-Count', String(result.total));
+      res.json({
+        videos: result.videos,
+        total: result.total,
+        limit: options.limit,
+        nextCursor: result.nextCursor
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch videos', error);
+    }
+  });
+
+  // GET /videos/:videoId - Get video with hotcues
+  router.get('/videos/:videoId', requireAuth, validateRequest({
+    summary: 'Get a video with its hotcues',
+    params: idParams('videoId'),
+    query: ownerQuery(),
+    responses: { 200: { description: 'The video (ETag has its version)', schema: ref('Video') } },
+    errors: [403, 404]
+  }), requireRole('viewer'), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { owner } = req.library;
+      console.log(`GET /videos/:videoId - Request for videoId ${videoId} in library of ${owner}`);
+    
+      const video = await store.videos.get(owner, videoId);
+    
+      if (!video) {
+        console.log('Video not found:', videoId);
+        return sendVideoNotFound(res, videoId);
+      }
+
+      console.log('Video found:', videoId);
+      if (video.version) {
+        res.set('ETag', formatETag(video.version));
+      }
+      res.json(withUpgradedHotcues({ videoId, ...video }));
+    } catch (error) {
+      sendStorageError(res, 'Failed to fetch video', error);
+    }
+  });
+
+  // DELETE /videos/:videoId - Move a video to the trash (see routes/trash.js)
+  router.delete('/videos/:videoId', requireAuth, validateRequest({
+    summary: 'Move a video to the trash',
+    description: 'Also removes it from sets. It can be restored from the trash, back into those sets, until it is purged.',
+    params: idParams('videoId'),
+    query: ownerQuery(),
+    responses: {
+      200: {
+        description: 'Moved to the trash',
+        schema: {
+          type: 'object',
+          properties: {
+            videoId: { type: 'string' },
+            removedFromSets: { type: 'array', items: { type: 'string' } },
+            deletedAt: { type: 'integer' },
+            expiresAt: { type: ['integer', 'null'], description: 'When it will be purged; null if the trash is kept until emptied' }
+          }
+        }
+      }
+    },
+    errors: [403, 404]
+  }), requireRole('owner'), async (req, res) => {
+    try {
+      const { videoId } = req.params;
+      const { owner } = req.library;
+    
+      console.log('DELETE /videos/:videoId - Request to delete videoId:', videoId);
+
+      const video = await store.videos.get(owner, videoId);
+    
+      if (!video) {
+        console.log(`Video not found for user ${owner} for deletion:`, videoId);
+        return sendVideoNotFound(res, videoId);
+      }
+
+      // Keep sets consistent - drop the video from any running order that used
+      // it, remembering where so a restore can put it back
+      const removedEntries = await store.sets.removeVideo(owner, videoId);
+      const removedFromSets = [...new Set(removedEntries.map((removed) => removed.setId))];
+      if (removedFromSets.length > 0) {
+        console.log(`Removed video ${videoId} from sets:`, removedFromSets);
+      }
+
+      // Shares and links to it stay until the video is purged from the trash
+      const item = await store.trash.add(owner, videoId, video, { removedFromSets: removedEntries });
+      console.log(`Video moved to the trash for user ${owner}:`, videoId);
+
+      events.publish(owner, 'video.deleted', { videoId, removedFromSets });
+    
+      res.json({ 
+        success: true, 
+        message: 'Video moved to the trash',
+        videoId,
+        removedFromSets,
+        deletedAt: item.deletedAt,
+        expiresAt: item.expiresAt
+      });
+    } catch (error) {
+      sendStorageError(res, 'Failed to delete video', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createVideosRouter
+};
@@ -0,0 +1,147 @@
+const admin = require('firebase-admin');
+
+const DEFAULT_DATABASE_URL = 'https://viper-vj-default-rtdb.europe-west1.firebasedatabase.app';
+
+// Build the service account from FIREBASE_* environment variables.
+// Throws with a list of the missing variables if any required one is unset.
+function loadServiceAccount(env) {
+  const projectId = env.FIREBASE_PROJECT_ID;
+  const privateKey = env.FIREBASE_PRIVATE_KEY;
+  const clientEmail = env.FIREBASE_CLIENT_EMAIL;
+
+  // Check for required environment variables
+  const missingVars = [];
+  if (!projectId) missingVars.push('FIREBASE_PROJECT_ID');
+  if (!privateKey) missingVars.push('FIREBASE_PRIVATE_KEY');
+  if (!clientEmail) missingVars.push('FIREBASE_CLIENT_EMAIL');
+
+  if (missingVars.length > 0) {
+    throw new Error(`Missing required Firebase environment variables: ${missingVars.join(', ')}\n\nPlease set these in your .env file (local) or Render environment variables (deployment).`);
+  }
+
+  console.log('Loading Firebase service account from environment variables');
+  console.log('Firebase Project ID:', projectId);
+  console.log('Firebase Client Email:', clientEmail);
+
+  return {
+    type: "service_account",
+    project_id: projectId,
+    private_key_id: env.FIREBASE_PRIVATE_KEY_ID || '',
+    private_key: privateKey.replace(/\\n/g, '\n'), // Replace escaped newlines with actual newlines
+    client_email: clientEmail,
+    client_id: env.FIREBASE_CLIENT_ID || '',
+    auth_uri: env.FIREBASE_AUTH_URI || "https://accounts.google.com/o/oauth2/auth",
+    token_uri: env.FIREBASE_TOKEN_URI || "https://oauth2.googleapis.com/token",
+    auth_provider_x509_cert_url: env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL || "https://www.googleapis.com/oauth2/v1/certs",
+    client_x509_cert_url: env.FIREBASE_CLIENT_X509_CERT_URL || '',
+    universe_domain: env.FIREBASE_UNIVERSE_DOMAIN || "googleapis.com"
+  };
+}
+
+// Firebase Realtime Database adapter.
+// Implements the path-based adapter interface used by storage/store.js:
+// get, set, update, remove, query, transaction, ping and checkConnection.
+function createFirebaseAdapter(env = process.env) {
+  const serviceAccount = loadServiceAccount(env);
+  const databaseURL = env.FIREBASE_DATABASE_URL || DEFAULT_DATABASE_URL;
+  console.log('Initializing Firebase Admin with database URL:', databaseURL);
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    databaseURL: databaseURL
+  });
+
+  const db = admin.database();
+  console.log('Firebase Admin initialized successfully');
+
+  return {
+    name: 'firebase',
+    databaseURL,
+
+    async get(path) {
+      const snapshot = await db.ref(path).once('value');
+      return snapshot.exists() ? snapshot.val() : null;
+    },
+
+    async set(path, value) {
+      await db.ref(path).set(value);
+    },
+
+    // Multi-path update: keys are paths relative to `path`, null values delete
+    async update(path, updates) {
+      await db.ref(path).update(updates);
+    },
+
+    async remove(path) {
+      await db.ref(path).remove();
+    },
+
+    // Children of `path` whose numeric `orderByChild` value lies between
+    // startAt and endAt (either may be omitted). Resolves to an object keyed
+    // like get() - add an ".indexOn" rule for the child to keep it fast.
+    async query(path, { orderByChild, startAt, endAt }) {
+      let ref = db.ref(path).orderByChild(orderByChild);
+      if (startAt !== undefined) ref = ref.startAt(startAt);
+      if (endAt !== undefined) ref = ref.endAt(endAt);
+      const snapshot = await ref.once('value');
+      return snapshot.exists() ? snapshot.val() : null;
+    },
+
+    // Atomically read-modify-write a path. Returning undefined from updateFn aborts.
+    async transaction(path, updateFn) {
+      const result = await db.ref(path).transaction(updateFn);
+      return {
+        committed: result.committed,
+        value: result.snapshot.exists() ? result.snapshot.val() : null
+      };
+    },
+
+    // A real read from the server. .info paths are answered locally by the
+    // SDK, so they say nothing about whether the database can be reached.
+    // Rejects if it can't; while offline it may never settle, so callers
+    // that can't wait put a timeout on it.
+    async ping() {
+      await db.ref('meta/schemaVersion').once('value');
+    },
+
+    async checkConnection() {
+      try {
+        await this.ping();
+        console.log('✓ Database access verified - can read from Firebase');
+        return true;
+      } catch (err) {
+        console.error('✗ ERROR: Cannot access Firebase database:', err.message);
+        console.error('Please verify:');
+        console.error('1. Database URL is correct:', databaseURL);
+        console.error('2. Realtime Database is enabled in Firebase Console');
+        console.error('3. Database exists for project:', serviceAccount.project_id);
+        console.error('4. Service account has proper permissions');
+        console.error('5. Database rules allow admin access (Admin SDK bypasses rules)');
+        return false;
+      }
+    }
+  };
+}
+
+// Print setup help when the Firebase backend cannot be initialized
+function printFirebaseSetupHelp() {
+  console.error('\nTo fix this:');
+  console.error('Set these REQUIRED environment variables:');
+  console.error('   - FIREBASE_PROJECT_ID');
+  console.error('   - FIREBASE_PRIVATE_KEY (full key with BEGIN/END lines, or with \\n for newlines)');
+  console.error('   - FIREBASE_CLIENT_EMAIL');
+  console.error('\nOptional environment variables:');
+  console.error('   - FIREBASE_PRIVATE_KEY_ID');
+  console.error('   - FIREBASE_CLIENT_ID');
+  console.error('   - FIREBASE_CLIENT_X509_CERT_URL');
+  console.error('   - FIREBASE_DATABASE_URL (defaults to viper-vj database)');
+  console.error('\nFor local development: Create a .env file in the /be directory with these variables');
+  console.error('For deployment (Render): Set these in Render dashboard > Environment Variables');
+  console.error('To run without Firebase: set STORAGE_BACKEND=local (optionally with LOCAL_STORAGE_PATH)');
+}
+
+module.exports = {
+  createFirebaseAdapter,
+  printFirebaseSetupHelp,
+  DEFAULT_DATABASE_URL
+};
@@ -0,0 +1,117 @@
+const { userPath, createId } = require('./keys');
+const { mutate } = require('./mutate');
+
+// Folders live at /users/{username}/folders/{folderId}:
+//   { name, parentId, createdAt, updatedAt }   // no parentId = top level
+// A video is filed with a folderId field on the video record itself, so a
+// video is in at most one folder and deleting the video needs no cleanup.
+function createFoldersStore(adapter) {
+  const foldersPath = (username) => `${userPath(username)}/folders`;
+  const folderPath = (username, folderId) => `${foldersPath(username)}/${folderId}`;
+  const videoPath = (username, videoId) => `${userPath(username)}/videos/${videoId}`;
+
+  // Firebase drops null values, so fill in parentId when reading
+  const withDefaults = (folderId, folder) => folder && ({ ...folder, folderId, parentId: folder.parentId || null });
+
+  // Ids of folderId and every folder nested under it. folders is a list() result.
+  function descendants(folders, folderId) {
+    const ids = [folderId];
+    for (let i = 0; i < ids.length; i++) {
+      folders.filter((folder) => folder.parentId === ids[i]).forEach((folder) => ids.push(folder.folderId));
+    }
+    return ids;
+  }
+
+  // Ids from the top-level folder down to folderId (empty if it doesn't exist)
+  function ancestry(folders, folderId) {
+    const byId = new Map(folders.map((folder) => [folder.folderId, folder]));
+    const chain = [];
+    let current = byId.get(folderId);
+    while (current && !chain.includes(current.folderId)) {
+      chain.unshift(current.folderId);
+      current = byId.get(current.parentId);
+    }
+    return chain;
+  }
+
+  // Resolves to an array of folders sorted by name
+  async function list(username) {
+    const folders = (await adapter.get(foldersPath(username))) || {};
+    return Object.keys(folders)
+      .map((folderId) => withDefaults(folderId, folders[folderId]))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  return {
+    list,
+
+    async get(username, folderId) {
+      return withDefaults(folderId, await adapter.get(folderPath(username, folderId)));
+    },
+
+    async create(username, { name, parentId }) {
+      const folderId = createId();
+      const now = Date.now();
+      const folder = { name, ...(parentId ? { parentId } : {}), createdAt: now, updatedAt: now };
+      await adapter.set(folderPath(username, folderId), folder);
+      return withDefaults(folderId, folder);
+    },
+
+    // Write a folder under a known id, replacing any folder already there (e.g. on import)
+    async put(username, folderId, { name, parentId }) {
+      const now = Date.now();
+      const folder = { name, ...(parentId ? { parentId } : {}), createdAt: now, updatedAt: now };
+      await adapter.set(folderPath(username, folderId), folder);
+      return withDefaults(folderId, folder);
+    },
+
+    // Rename and/or move a folder. Resolves to the folder, or null if it doesn't exist.
+    async update(username, folderId, fields) {
+      const folder = await mutate(adapter, folderPath(username, folderId), (current) => {
+        const { parentId, ...rest } = { ...current, ...fields, updatedAt: Date.now() };
+        return parentId ? { ...rest, parentId } : rest;
+      });
+      return withDefaults(folderId, folder);
+    },
+
+    // Delete a folder and every folder nested under it in one multi-path write.
+    // Videos filed in any of them are kept and become unfiled.
+    // Resolves to { folderIds, videoIds } - what was removed and unfiled.
+    async remove(username, folderId) {
+      const [folders, videos] = await Promise.all([
+        list(username),
+        adapter.get(`${userPath(username)}/videos`)
+      ]);
+      const folderIds = descendants(folders, folderId);
+      const videoIds = Object.keys(videos || {}).filter((videoId) => folderIds.includes(videos[videoId].folderId));
+
+      const updates = {};
+      folderIds.forEach((id) => { updates[`folders/${id}`] = null; });
+      videoIds.forEach((videoId) => { updates[`videos/${videoId}/folderId`] = null; });
+      await adapter.update(userPath(username), updates);
+
+      return { folderIds, videoIds };
+    },
+
+    // File videos in a folder (folderId null unfiles them). Filing isn't a
+    // content change, so the video version stays the same and no revision is kept.
+    // Resolves to the ids of the videos that exist and were filed.
+    async assign(username, videoIds, folderId) {
+      const results = await Promise.all(videoIds.map(async (videoId) => {
+        const video = await mutate(adapter, videoPath(username, videoId), (current) => {
+          const { folderId: ignored, ...rest } = current;
+          return folderId ? { ...rest, folderId } : rest;
+        });
+        return video ? videoId : null;
+      }));
+      return results.filter(Boolean);
+    },
+
+    descendants,
+    ancestry
+  };
+}
+
+module.exports = {
+  createFoldersStore
+};
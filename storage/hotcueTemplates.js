@@ -0,0 +1,69 @@
+const { userPath, createId } = require('./keys');
+const { mutate } = require('./mutate');
+
+// Hotcue templates (see lib/hotcueTemplates.js) live next to the user record:
+//   /users/{username}/hotcueTemplates/{templateId}
+//     { name, description, hotcues, sourceVideoId, createdAt, updatedAt }
+// hotcues are stored in the current (v2) schema.
+function createHotcueTemplatesStore(adapter) {
+  const templatesPath = (username) => `${userPath(username)}/hotcueTemplates`;
+  const templatePath = (username, templateId) => `${templatesPath(username)}/${templateId}`;
+
+  // Firebase drops null fields, so fill in defaults when reading
+  const withDefaults = (templateId, template) => template && ({
+    ...template,
+    templateId,
+    description: template.description || null,
+    sourceVideoId: template.sourceVideoId || null,
+    hotcues: template.hotcues || {}
+  });
+
+  return {
+    // Resolves to an array of templates sorted by name
+    async list(username) {
+      const templates = (await adapter.get(templatesPath(username))) || {};
+      return Object.keys(templates)
+        .map((templateId) => withDefaults(templateId, templates[templateId]))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(username, templateId) {
+      return withDefaults(templateId, await adapter.get(templatePath(username, templateId)));
+    },
+
+    async create(username, fields) {
+      const templateId = createId();
+      const now = Date.now();
+      const template = { description: null, sourceVideoId: null, ...fields, createdAt: now, updatedAt: now };
+      await adapter.set(templatePath(username, templateId), template);
+      return withDefaults(templateId, template);
+    },
+
+    // Write a template under a known id, replacing any template already there (e.g. on import)
+    async put(username, templateId, fields) {
+      const now = Date.now();
+      const template = { description: null, sourceVideoId: null, ...fields, createdAt: now, updatedAt: now };
+      await adapter.set(templatePath(username, templateId), template);
+      return withDefaults(templateId, template);
+    },
+
+    // Change the name or description of a template.
+    // Resolves to the template, or null if it doesn't exist.
+    async update(username, templateId, fields) {
+      const template = await mutate(adapter, templatePath(username, templateId), (current) => ({
+        ...current,
+        ...fields,
+        updatedAt: Date.now()
+      }));
+      return withDefaults(templateId, template);
+    },
+
+    async remove(username, templateId) {
+      await adapter.remove(templatePath(username, templateId));
+    }
+  };
+}
+
+module.exports = {
+  createHotcueTemplatesStore
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const { createFirebaseAdapter } = require('./firebase');
+const { createLocalAdapter } = require('./local');
+const { createStore } = require('./store');
+
+// Pick the storage backend from config:
+//   STORAGE_BACKEND=firebase (default) - Firebase Realtime Database, needs FIREBASE_* vars
+//   STORAGE_BACKEND=local              - JSON file at LOCAL_STORAGE_PATH (default ./data/db.json)
+//   STORAGE_BACKEND=memory             - in-memory only, for tests
+//
+// Revision retention is configured with REVISION_MAX_COUNT (default 50 per video)
+// and REVISION_MAX_AGE_DAYS (default 90, 0 keeps revisions forever).
+// Deleted videos stay in the trash for TRASH_RETENTION_DAYS (default 30,
+// 0 keeps them until the trash is emptied).
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'firebase').toLowerCase();
+  console.log('Storage backend:', backend);
+
+  const options = {
+    revisions: {
+      maxCount: parseInt(env.REVISION_MAX_COUNT || '50', 10),
+      maxAgeDays: parseInt(env.REVISION_MAX_AGE_DAYS || '90', 10)
+    },
+    trash: {
+      retentionDays: parseInt(env.TRASH_RETENTION_DAYS || '30', 10)
+    }
+  };
+
+  switch (backend) {
+    case 'firebase':
+      return createStore(createFirebaseAdapter(env), options);
+    case 'local':
+      return createStore(createLocalAdapter({
+        filePath: path.resolve(env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', 'data', 'db.json'))
+      }), options);
+    case 'memory':
+      return createStore(createLocalAdapter(), options);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use firebase, local or memory.`);
+  }
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Usernames as database keys. Firebase Realtime Database keys cannot contain
+// ".", "#", "$", "[", "]", "/" or control characters, so those - and "%"
+// itself - are written as "%" plus two hex digits (e.g. "." is "%2E"). Every
+// "%" in a key starts such an escape, so decoding gives back exactly the
+// username that was encoded: different usernames never share a key.
+// Usernames allowed by /signup (letters, numbers, "_") are their own key.
+//
+// Keys written by the earlier _DOT_/_AT_ style encoding are moved by the
+// username-keys migration (see storage/migrations).
+const KEY_ESCAPED_CHARS = /[%.#$[\]/\x00-\x1f\x7f]/g;
+
+function encodeUsernameForFirebase(username) {
+  if (!username) return username;
+  return username.replace(KEY_ESCAPED_CHARS, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function decodeUsernameFromFirebase(encodedUsername) {
+  if (!encodedUsername) return encodedUsername;
+  return encodedUsername.replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Path to a user's record: /users/{encodedUsername}
+function userPath(username) {
+  return `users/${encodeUsernameForFirebase(username)}`;
+}
+
+// Generate a key for a new child record (sets, revisions, ...).
+// Time-prefixed so keys sort roughly by creation time, like Firebase push IDs.
+function createId() {
+  return `${Date.now().toString(36)}${crypto.randomBytes(6).toString('hex')}`;
+}
+
+module.exports = {
+  encodeUsernameForFirebase,
+  decodeUsernameFromFirebase,
+  userPath,
+  createId
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Firebase Realtime Database keys cannot contain these characters. The local
+// adapter enforces the same rule so code that works offline also works live.
+const INVALID_KEY_CHARS = /[.#$[\]/]/;
+
+function splitPath(dataPath) {
+  return String(dataPath || '').split('/').filter(Boolean);
+}
+
+function clone(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Mirror Firebase semantics: null/undefined delete, empty objects don't exist
+function normalize(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      if (INVALID_KEY_CHARS.test(key)) {
+        throw new Error(`Invalid key "${key}": keys cannot contain ".", "#", "$", "/", "[" or "]"`);
+      }
+      const child = normalize(value[key]);
+      if (child !== null) result[key] = child;
+    });
+    return Object.keys(result).length > 0 ? result : null;
+  }
+  return value;
+}
+
+// Local adapter: the whole database is one JSON tree held in memory.
+// When filePath is given, the tree is loaded from it on start and written back
+// after every change, so data survives restarts without any network access;
+// without it the adapter reports itself as the memory backend.
+// Implements the same interface as storage/firebase.js.
+function createLocalAdapter({ filePath } = {}) {
+  let root = null;
+
+  if (filePath) {
+    if (fs.existsSync(filePath)) {
+      root = normalize(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      console.log('Loaded local database from:', filePath);
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      console.log('Creating new local database at:', filePath);
+    }
+  } else {
+    console.log('Using in-memory database - data will be lost on restart');
+  }
+
+  // Write to a temp file and rename so a crash never leaves a half-written database
+  function persist() {
+    if (!filePath) return;
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(root || {}));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function read(dataPath) {
+    let node = root;
+    for (const key of splitPath(dataPath)) {
+      if (node === null || typeof node !== 'object' || !(key in node)) return null;
+      node = node[key];
+    }
+    return node === undefined ? null : node;
+  }
+
+  function write(dataPath, value) {
+    const keys = splitPath(dataPath);
+    const normalized = normalize(value);
+
+    if (keys.length === 0) {
+      root = normalized;
+      return;
+    }
+
+    // Walk down, creating parents as needed
+    if (root === null || typeof root !== 'object') root = {};
+    const parents = [root];
+    let node = root;
+    for (const key of keys.slice(0, -1)) {
+      if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+      node = node[key];
+      parents.push(node);
+    }
+
+    const lastKey = keys[keys.length - 1];
+    if (normalized === null) {
+      delete node[lastKey];
+    } else {
+      node[lastKey] = normalized;
+    }
+
+    // Prune parents that became empty, like Firebase does
+    for (let i = parents.length - 1; i > 0; i--) {
+      if (Object.keys(parents[i]).length > 0) break;
+      delete parents[i - 1][keys[i - 1]];
+    }
+    if (Object.keys(root).length === 0) root = null;
+  }
+
+  return {
+    name: filePath ? 'local' : 'memory',
+    filePath: filePath || null,
+
+    async get(dataPath) {
+      return clone(read(dataPath));
+    },
+
+    async set(dataPath, value) {
+      write(dataPath, clone(value));
+      persist();
+    },
+
+    // Multi-path update: applied all-or-nothing since it runs synchronously
+    async update(dataPath, updates) {
+      const snapshot = clone(root);
+      try {
+        Object.keys(updates).forEach((relativePath) => {
+          write(`${dataPath}/${relativePath}`, clone(updates[relativePath]));
+        });
+      } catch (error) {
+        root = snapshot;
+        throw error;
+      }
+      persist();
+    },
+
+    async remove(dataPath) {
+      write(dataPath, null);
+      persist();
+    },
+
+    // Same as the Firebase adapter: children whose numeric `orderByChild`
+    // value lies between startAt and endAt (either may be omitted)
+    async query(dataPath, { orderByChild, startAt, endAt }) {
+      const node = read(dataPath);
+      if (node === null || typeof node !== 'object') return null;
+
+      const result = {};
+      Object.keys(node).forEach((key) => {
+        const value = node[key] && node[key][orderByChild];
+        if (typeof value !== 'number') return;
+        if (startAt !== undefined && value < startAt) return;
+        if (endAt !== undefined && value > endAt) return;
+        result[key] = node[key];
+      });
+      return Object.keys(result).length > 0 ? clone(result) : null;
+    },
+
+    // Read-modify-write with no await in between, so it is atomic here.
+    // Returning undefined from updateFn aborts, as with Firebase.
+    async transaction(dataPath, updateFn) {
+      const newValue = updateFn(clone(read(dataPath)));
+      if (newValue === undefined) {
+        return { committed: false, value: clone(read(dataPath)) };
+      }
+      write(dataPath, clone(newValue));
+      persist();
+      return { committed: true, value: clone(read(dataPath)) };
+    },
+
+    // Nothing to reach - the data is in this process
+    async ping() {},
+
+    async checkConnection() {
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createLocalAdapter
+};
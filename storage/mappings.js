@@ -0,0 +1,87 @@
+const { userPath, createId } = require('./keys');
+const { mutate } = require('./mutate');
+
+// Controller/keyboard mapping profiles (see lib/mappings.js) live next to the
+// user record:
+//   /users/{username}/mappingProfiles/{profileId}
+//     { name, description, device, mappings: [{ input, action }], createdAt, updatedAt }
+//   /users/{username}/activeMappingProfileId   the profile in use, if any
+// mappings are always written as a whole array.
+function createMappingProfilesStore(adapter) {
+  const profilesPath = (username) => `${userPath(username)}/mappingProfiles`;
+  const profilePath = (username, profileId) => `${profilesPath(username)}/${profileId}`;
+  const activePath = (username) => `${userPath(username)}/activeMappingProfileId`;
+
+  // Firebase drops empty arrays and null fields, so fill in defaults when reading
+  const withDefaults = (profileId, profile) => profile && ({
+    ...profile,
+    profileId,
+    description: profile.description || null,
+    device: profile.device || null,
+    mappings: profile.mappings || []
+  });
+
+  return {
+    // Resolves to an array of profiles sorted by name
+    async list(username) {
+      const profiles = (await adapter.get(profilesPath(username))) || {};
+      return Object.keys(profiles)
+        .map((profileId) => withDefaults(profileId, profiles[profileId]))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(username, profileId) {
+      return withDefaults(profileId, await adapter.get(profilePath(username, profileId)));
+    },
+
+    async create(username, fields) {
+      const profileId = createId();
+      const now = Date.now();
+      const profile = { description: null, device: null, mappings: [], ...fields, createdAt: now, updatedAt: now };
+      await adapter.set(profilePath(username, profileId), profile);
+      return withDefaults(profileId, profile);
+    },
+
+    // Write a profile under a known id, replacing any profile already there (e.g. on import)
+    async put(username, profileId, fields) {
+      const now = Date.now();
+      const profile = { description: null, device: null, mappings: [], ...fields, createdAt: now, updatedAt: now };
+      await adapter.set(profilePath(username, profileId), profile);
+      return withDefaults(profileId, profile);
+    },
+
+    // Change fields of a profile (mappings are replaced whole).
+    // Resolves to the profile, or null if it doesn't exist.
+    async update(username, profileId, fields) {
+      const profile = await mutate(adapter, profilePath(username, profileId), (current) => ({
+        ...current,
+        ...fields,
+        updatedAt: Date.now()
+      }));
+      return withDefaults(profileId, profile);
+    },
+
+    // Delete a profile, and stop using it if it was the active one
+    async remove(username, profileId) {
+      const activeId = await adapter.get(activePath(username));
+      await adapter.update(userPath(username), {
+        [`mappingProfiles/${profileId}`]: null,
+        ...(activeId === profileId ? { activeMappingProfileId: null } : {})
+      });
+    },
+
+    // Resolves to the id of the active profile, or null
+    async getActiveId(username) {
+      return (await adapter.get(activePath(username))) || null;
+    },
+
+    // Make a profile the active one, or pass null to have none
+    async setActive(username, profileId) {
+      await adapter.set(activePath(username), profileId);
+    }
+  };
+}
+
+module.exports = {
+  createMappingProfilesStore
+};
@@ -0,0 +1,53 @@
+const { encodeUsernameForFirebase } = require('../keys');
+
+// The encoding user keys had before this migration. It wasn't reversible
+// ("a.b" and a literal "a_DOT_b" both became "a_DOT_b"), so it is only used
+// to work out the username of records that don't store one.
+function legacyDecode(key) {
+  return key
+    .replace(/_DOT_/g, '.')
+    .replace(/_AT_/g, '@')
+    .replace(/_HASH_/g, '#')
+    .replace(/_DOLLAR_/g, '$')
+    .replace(/_LBRACKET_/g, '[')
+    .replace(/_RBRACKET_/g, ']');
+}
+
+// Move every /users/{key} record to the key the current encoding gives its
+// username (see storage/keys.js). The username is taken from the record,
+// falling back to decoding the old key. Records already at the right key are
+// left alone, so running this again changes nothing. A record whose new key
+// is taken by another record is reported as a conflict and not moved.
+module.exports = {
+  version: 1,
+  name: 'username-keys',
+  description: 'Move user records to reversible username keys',
+
+  async plan(adapter) {
+    const users = (await adapter.get('users')) || {};
+    const changes = [];
+    const conflicts = [];
+    const updates = {};
+    const rollback = {};
+
+    Object.keys(users).forEach((key) => {
+      const record = users[key];
+      const username = typeof record.username === 'string' && record.username ? record.username : legacyDecode(key);
+      const newKey = encodeUsernameForFirebase(username);
+      if (newKey === key) return;
+
+      if (users[newKey] || updates[`users/${newKey}`]) {
+        conflicts.push({ username, from: key, to: newKey, reason: 'a record already exists at the new key' });
+        return;
+      }
+
+      changes.push({ username, from: key, to: newKey });
+      updates[`users/${key}`] = null;
+      updates[`users/${newKey}`] = { ...record, username };
+      rollback[`users/${newKey}`] = null;
+      rollback[`users/${key}`] = record;
+    });
+
+    return { changes, conflicts, updates, rollback };
+  }
+};
@@ -0,0 +1,106 @@
+// Versioned data migrations. The database records the version it has been
+// migrated to at /meta/schemaVersion (0 if missing), and each applied
+// migration at /meta/migrations/{version}.
+//
+// A migration is { version, name, description, plan(adapter) }. plan() reads
+// the database and resolves to:
+//   changes   - what it would change, for the report
+//   conflicts - what it can't change and skips, for the report
+//   updates   - multi-path updates (relative to the root) that apply it
+//   rollback  - multi-path updates that undo those
+// Migrations must be idempotent: planned against data they already migrated,
+// they return no changes.
+//
+// Migrations run in version order. Each one is written together with the new
+// schema version in a single multi-path update. If one fails, the migrations
+// already applied in the same run are rolled back, newest first.
+const MIGRATIONS = [
+  require('./001-username-keys')
+];
+
+function createMigrator(adapter, migrations = MIGRATIONS) {
+  const ordered = [...migrations].sort((a, b) => a.version - b.version);
+  const latest = ordered.length > 0 ? ordered[ordered.length - 1].version : 0;
+
+  async function currentVersion() {
+    return (await adapter.get('meta/schemaVersion')) || 0;
+  }
+
+  // Resolves to { current, latest, pending: [{ version, name, description }] }
+  async function status() {
+    const current = await currentVersion();
+    return {
+      current,
+      latest,
+      pending: ordered
+        .filter((migration) => migration.version > current)
+        .map(({ version, name, description }) => ({ version, name, description }))
+    };
+  }
+
+  // Run pending migrations up to version `to` (default: all). With dryRun
+  // nothing is written and the report shows what would happen.
+  // Resolves to { dryRun, from, to, migrations: [{ version, name, changes, conflicts }], rolledBack, error }
+  // - rolledBack lists the versions undone after a failure, and error is its message.
+  async function run({ dryRun = false, to = latest } = {}) {
+    const from = await currentVersion();
+    const report = { dryRun, from, to: from, migrations: [], rolledBack: [], error: null };
+    const applied = [];
+
+    for (const migration of ordered.filter((m) => m.version > from && m.version <= to)) {
+      try {
+        const plan = await migration.plan(adapter);
+        report.migrations.push({
+          version: migration.version,
+          name: migration.name,
+          changes: plan.changes,
+          conflicts: plan.conflicts || []
+        });
+
+        if (!dryRun) {
+          await adapter.update('', {
+            ...plan.updates,
+            'meta/schemaVersion': migration.version,
+            [`meta/migrations/${migration.version}`]: {
+              name: migration.name,
+              appliedAt: Date.now(),
+              changeCount: plan.changes.length,
+              conflictCount: (plan.conflicts || []).length
+            }
+          });
+          applied.push({ migration, plan, previousVersion: report.to });
+          console.log(`Applied migration ${migration.version} (${migration.name}): ${plan.changes.length} changes`);
+        }
+        report.to = migration.version;
+      } catch (error) {
+        console.error(`Migration ${migration.version} (${migration.name}) failed:`, error.message);
+        report.error = error.message;
+
+        for (const { migration: done, plan, previousVersion } of applied.reverse()) {
+          await adapter.update('', {
+            ...plan.rollback,
+            'meta/schemaVersion': previousVersion || null,
+            [`meta/migrations/${done.version}`]: null
+          });
+          report.rolledBack.push(done.version);
+          report.to = previousVersion;
+          console.log(`Rolled back migration ${done.version} (${done.name})`);
+        }
+        break;
+      }
+    }
+
+    return report;
+  }
+
+  return {
+    latest,
+    status,
+    run
+  };
+}
+
+module.exports = {
+  MIGRATIONS,
+  createMigrator
+};
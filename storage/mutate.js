@@ -0,0 +1,20 @@
+// Atomically update an existing record with updateFn(current) => newValue.
+//
+// Firebase may call a transaction function with null before it has read the
+// real value, and aborting at that point would never retry. So a missing record
+// is answered with null (a no-op write that Firebase retries if the record
+// actually exists), and updateFn only ever sees real data.
+//
+// updateFn can return undefined to abort. Resolves to the stored value after
+// the transaction, or null if the record doesn't exist.
+async function mutate(adapter, path, updateFn) {
+  const result = await adapter.transaction(path, (current) => {
+    if (current === null) return null;
+    return updateFn(current);
+  });
+  return result.value;
+}
+
+module.exports = {
+  mutate
+};
@@ -0,0 +1,133 @@
+const { userPath, createId } = require('./keys');
+const { mutate } = require('./mutate');
+
+// Recorded performances (see lib/performances.js) live at
+//   /users/{username}/performances/{performanceId}
+//     { name, status: 'recording' | 'stopped', startedAt, endedAt, eventCount, createdAt, updatedAt }
+//   /users/{username}/performanceEvents/{performanceId}/{eventKey}
+//     { seq, type, videoId, key, at, title, cue }
+// Events are kept apart so listing performances doesn't load every event.
+// seq numbers events in the order they arrived; eventKey is e000000, e000001, ...
+// (prefixed so Firebase never turns the events into an array).
+function createPerformancesStore(adapter) {
+  const performancesPath = (username) => `${userPath(username)}/performances`;
+  const performancePath = (username, performanceId) => `${performancesPath(username)}/${performanceId}`;
+  const eventsPath = (username, performanceId) => `${userPath(username)}/performanceEvents/${performanceId}`;
+  const eventKey = (seq) => `e${String(seq).padStart(6, '0')}`;
+
+  // Firebase drops null fields, so fill in endedAt when reading
+  const withId = (performanceId, performance) => performance && ({ ...performance, endedAt: performance.endedAt || null, performanceId });
+
+  return {
+    // Resolves to an array of performances, most recently started first
+    async list(username) {
+      const performances = (await adapter.get(performancesPath(username))) || {};
+      return Object.keys(performances)
+        .map((performanceId) => withId(performanceId, performances[performanceId]))
+        .sort((a, b) => b.startedAt - a.startedAt);
+    },
+
+    async get(username, performanceId) {
+      return withId(performanceId, await adapter.get(performancePath(username, performanceId)));
+    },
+
+    // Start recording a new performance
+    async start(username, { name }) {
+      const performanceId = createId();
+      const now = Date.now();
+      const performance = {
+        name,
+        status: 'recording',
+        startedAt: now,
+        endedAt: null,
+        eventCount: 0,
+        createdAt: now,
+        updatedAt: now
+      };
+      await adapter.set(performancePath(username, performanceId), performance);
+      return withId(performanceId, performance);
+    },
+
+    // Stop recording. Stopping a stopped performance changes nothing.
+    // Resolves to the performance, or null if it doesn't exist.
+    async stop(username, performanceId) {
+      const performance = await mutate(adapter, performancePath(username, performanceId), (current) => {
+        if (current.status === 'stopped') return undefined;
+        const now = Date.now();
+        return { ...current, status: 'stopped', endedAt: now, updatedAt: now };
+      });
+      return withId(performanceId, performance);
+    },
+
+    // Append a batch of events to a performance that is still recording,
+    // unless that would take it past maxEvents. Resolves to one of:
+    //   { performance, events }   events with their seq numbers
+    //   { notFound: true }
+    //   { stopped: true, performance }
+    //   { full: true, performance }
+    async append(username, performanceId, events, { maxEvents }) {
+      let outcome = 'notFound';
+      let firstSeq = 0;
+      const performance = await mutate(adapter, performancePath(username, performanceId), (current) => {
+        if (current.status !== 'recording') {
+          outcome = 'stopped';
+          return undefined;
+        }
+        if (current.eventCount + events.length > maxEvents) {
+          outcome = 'full';
+          return undefined;
+        }
+        outcome = 'ok';
+        firstSeq = current.eventCount;
+        return { ...current, eventCount: current.eventCount + events.length, updatedAt: Date.now() };
+      });
+
+      if (!performance) return { notFound: true };
+      if (outcome !== 'ok') return { [outcome]: true, performance: withId(performanceId, performance) };
+
+      const updates = {};
+      const stored = events.map((event, index) => {
+        const record = { seq: firstSeq + index, ...event };
+        updates[eventKey(record.seq)] = record;
+        return record;
+      });
+      await adapter.update(eventsPath(username, performanceId), updates);
+      return { performance: withId(performanceId, performance), events: stored };
+    },
+
+    // Write a stopped performance with its events under a known id, replacing
+    // any performance already there (e.g. on import). events are in the order
+    // they arrived, without seq numbers.
+    async put(username, performanceId, { name, startedAt, endedAt, events }) {
+      const now = Date.now();
+      const performance = { name, status: 'stopped', startedAt, endedAt, eventCount: events.length, createdAt: now, updatedAt: now };
+      const stored = {};
+      events.forEach((event, seq) => { stored[eventKey(seq)] = { seq, ...event }; });
+      await adapter.update(userPath(username), {
+        [`performances/${performanceId}`]: performance,
+        [`performanceEvents/${performanceId}`]: events.length > 0 ? stored : null
+      });
+      return withId(performanceId, performance);
+    },
+
+    // Resolves to the performance's events in the order they arrived
+    async events(username, performanceId) {
+      const events = (await adapter.get(eventsPath(username, performanceId))) || {};
+      return Object.keys(events)
+        .map((key) => events[key])
+        .sort((a, b) => a.seq - b.seq);
+    },
+
+    // Delete a performance together with its events
+    async remove(username, performanceId) {
+      await adapter.update(userPath(username), {
+        [`performances/${performanceId}`]: null,
+        [`performanceEvents/${performanceId}`]: null
+      });
+    }
+  };
+}
+
+module.exports = {
+  createPerformancesStore
+};
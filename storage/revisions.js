@@ -0,0 +1,79 @@
+const { userPath, createId } = require('./keys');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hotcue revision history lives at /users/{username}/revisions/{videoId}/{revisionId}.
+// Each revision is a snapshot of a video as it was *before* a save replaced it:
+//   { revisionId, title, youtubeUrl, hotcues, hotcuesVersion, savedAt, archivedAt, reason }
+// Kept outside the video record so GET /videos doesn't download the history.
+//
+// Retention: at most maxCount revisions per video, none older than maxAgeDays
+// (0 disables that limit). Pruning runs after every archived save.
+function createRevisionsStore(adapter, { maxCount = 50, maxAgeDays = 90 } = {}) {
+  const revisionsPath = (username, videoId) => `${userPath(username)}/revisions/${videoId}`;
+
+  // Revision ids are time-prefixed, so sorting by id sorts by archive time
+  const newestFirst = (revisions) => Object.keys(revisions)
+    .sort()
+    .reverse()
+    .map((revisionId) => ({ ...revisions[revisionId], revisionId }));
+
+  return {
+    maxCount,
+    maxAgeDays,
+
+    // Resolves to the video's revisions, newest first
+    async list(username, videoId) {
+      return newestFirst((await adapter.get(revisionsPath(username, videoId))) || {});
+    },
+
+    async get(username, videoId, revisionId) {
+      const revision = await adapter.get(`${revisionsPath(username, videoId)}/${revisionId}`);
+      return revision && { ...revision, revisionId };
+    },
+
+    // Build a revision snapshot of a stored video. Returns { revisionId, revision }
+    // for the caller to write together with the new video state.
+    snapshot(video, reason) {
+      const revisionId = createId();
+      return {
+        revisionId,
+        revision: {
+          title: video.title || null,
+          youtubeUrl: video.youtubeUrl || null,
+          hotcues: video.hotcues || {},
+          hotcuesVersion: video.hotcuesVersion || 1,
+          savedAt: video.updatedAt || video.createdAt || null,
+          archivedAt: Date.now(),
+          reason
+        }
+      };
+    },
+
+    // Path of a revision relative to the user's record, for multi-path updates
+    relativePath(videoId, revisionId) {
+      return revisionId ? `revisions/${videoId}/${revisionId}` : `revisions/${videoId}`;
+    },
+
+    // Apply the retention policy to one video's history.
+    // Resolves to the number of revisions removed.
+    async prune(username, videoId) {
+      const revisions = await this.list(username, videoId);
+      const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : 0;
+      const expired = revisions
+        .filter((revision, index) => index >= maxCount || (revision.archivedAt || 0) < cutoff)
+        .map((revision) => revision.revisionId);
+
+      if (expired.length > 0) {
+        const updates = {};
+        expired.forEach((revisionId) => { updates[revisionId] = null; });
+        await adapter.update(revisionsPath(username, videoId), updates);
+      }
+      return expired.length;
+    }
+  };
+}
+
+module.exports = {
+  createRevisionsStore
+};
@@ -0,0 +1,151 @@
+const { userPath, createId } = require('./keys');
+const { mutate } = require('./mutate');
+
+// VJ sets live at /users/{username}/sets/{setId}:
+//   {
+//     name, description,
+//     entries: [{ entryId, videoId, notes, transition }],  // running order
+//     createdAt, updatedAt
+//   }
+// Entries are always rewritten as a whole array inside a transaction, so the
+// order is stable on both backends.
+function createSetsStore(adapter) {
+  const setsPath = (username) => `${userPath(username)}/sets`;
+  const setPath = (username, setId) => `${setsPath(username)}/${setId}`;
+
+  // Firebase drops empty arrays, so fill in defaults when reading
+  const withDefaults = (setId, set) => set && ({ ...set, setId, entries: set.entries || [] });
+
+  return {
+    // Resolves to an array of sets, most recently updated first
+    async list(username) {
+      const sets = (await adapter.get(setsPath(username))) || {};
+      return Object.keys(sets)
+        .map((setId) => withDefaults(setId, sets[setId]))
+        .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    },
+
+    async get(username, setId) {
+      return withDefaults(setId, await adapter.get(setPath(username, setId)));
+    },
+
+    async create(username, setData) {
+      const setId = createId();
+      const now = Date.now();
+      const set = { ...setData, entries: setData.entries || [], createdAt: now, updatedAt: now };
+      await adapter.set(setPath(username, setId), set);
+      return withDefaults(setId, set);
+    },
+
+    // Write a set under a known id, replacing any set already there (e.g. on import)
+    async put(username, setId, setData) {
+      const now = Date.now();
+      const set = { createdAt: now, ...setData, entries: setData.entries || [], updatedAt: now };
+      delete set.setId;
+      await adapter.set(setPath(username, setId), set);
+      return withDefaults(setId, set);
+    },
+
+    // Atomically change a set. updateFn receives the set (with entries) and
+    // returns the new set, or undefined to abort. Resolves to the stored set,
+    // or null if it doesn't exist.
+    async update(username, setId, updateFn) {
+      const set = await mutate(adapter, setPath(username, setId), (current) => {
+        const updated = updateFn(withDefaults(setId, current));
+        if (updated === undefined) return undefined;
+        const { setId: ignored, ...rest } = updated;
+        return { ...rest, updatedAt: Date.now() };
+      });
+      return withDefaults(setId, set);
+    },
+
+    async remove(username, setId) {
+      await adapter.remove(setPath(username, setId));
+    },
+
+    // Drop every entry for a video from all of the user's sets, e.g. after the
+    // video is deleted. Resolves to what was removed, as [{ setId, index, entry }],
+    // so it can be put back with restoreEntries().
+    async removeVideo(username, videoId) {
+      const sets = (await adapter.get(setsPath(username))) || {};
+      const affected = Object.keys(sets).filter((setId) =>
+        (sets[setId].entries || []).some((entry) => entry.videoId === videoId)
+      );
+
+      const removed = await Promise.all(affected.map(async (setId) => {
+        let entries = [];
+        await mutate(adapter, setPath(username, setId), (current) => {
+          const all = current.entries || [];
+          entries = all
+            .map((entry, index) => ({ setId, index, entry }))
+            .filter(({ entry }) => entry.videoId === videoId);
+          return {
+            ...current,
+            entries: all.filter((entry) => entry.videoId !== videoId),
+            updatedAt: Date.now()
+          };
+        });
+        return entries;
+      }));
+
+      return removed.flat();
+    },
+
+    // Like removeVideo() for several videos, but as multi-path updates
+    // (relative to the root) to write together with other changes. Resolves to
+    // { updates, removed } - removed maps each videoId to its [{ setId, index, entry }].
+    async updatesForRemovedVideos(username, videoIds) {
+      const sets = (await adapter.get(setsPath(username))) || {};
+      const updates = {};
+      const removed = {};
+      videoIds.forEach((videoId) => { removed[videoId] = []; });
+
+      Object.keys(sets).forEach((setId) => {
+        const entries = sets[setId].entries || [];
+        const kept = entries.filter((entry) => !(entry.videoId in removed));
+        if (kept.length === entries.length) return;
+
+        entries.forEach((entry, index) => {
+          if (entry.videoId in removed) removed[entry.videoId].push({ setId, index, entry });
+        });
+        updates[`${setPath(username, setId)}/entries`] = kept;
+        updates[`${setPath(username, setId)}/updatedAt`] = Date.now();
+      });
+
+      return { updates, removed };
+    },
+
+    // Put entries taken out by removeVideo() back where they were, in sets
+    // that still exist and have room (maxEntries). Resolves to the ids of the
+    // sets that changed.
+    async restoreEntries(username, removed, { maxEntries }) {
+      const bySet = new Map();
+      removed.forEach((item) => {
+        bySet.set(item.setId, [...(bySet.get(item.setId) || []), item]);
+      });
+
+      const restored = await Promise.all([...bySet.keys()].map(async (setId) => {
+        const set = await mutate(adapter, setPath(username, setId), (current) => {
+          const entries = [...(current.entries || [])];
+          const missing = bySet.get(setId)
+            .filter(({ entry }) => !entries.some((existing) => existing.entryId === entry.entryId))
+            .sort((a, b) => a.index - b.index);
+          if (missing.length === 0 || entries.length + missing.length > maxEntries) return undefined;
+          missing.forEach(({ index, entry }) => entries.splice(Math.min(index, entries.length), 0, entry));
+          return { ...current, entries, updatedAt: Date.now() };
+        });
+        return set && set.entries.some((entry) => bySet.get(setId).some((item) => item.entry.entryId === entry.entryId))
+          ? setId
+          : null;
+      }));
+
+      return restored.filter(Boolean);
+    },
+
+    createEntryId: createId
+  };
+}
+
+module.exports = {
+  createSetsStore
+};
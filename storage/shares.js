@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { userPath, createId } = require('./keys');
+const { strongerRole } = require('../lib/sharing');
+
+// Shares live with the owner at /users/{owner}/shares/{shareId}:
+//   { grantee, role, scope: 'library' | 'video', videoId, createdAt, updatedAt }
+// and are mirrored at /users/{grantee}/sharedWithMe/{shareId} (with `owner`
+// instead of `grantee`) so grantees can list them. Both copies are always
+// written together in one multi-path update; the owner's copy is the one
+// access checks use.
+//
+// Public read-only links live at /publicLinks/{token}:
+//   { owner, scope, videoId, createdAt }
+// mirrored at /users/{owner}/links/{token} so the owner can list and revoke them.
+function createSharesStore(adapter) {
+  const sharesPath = (owner) => `${userPath(owner)}/shares`;
+  const sharedWithMePath = (grantee) => `${userPath(grantee)}/sharedWithMe`;
+  const linksPath = (owner) => `${userPath(owner)}/links`;
+
+  const toList = (records, idField) => Object.keys(records || {})
+    .map((id) => ({ ...records[id], [idField]: id }))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+  // The grantee's copy of a share
+  const mirror = (owner, share) => ({
+    owner,
+    role: share.role,
+    scope: share.scope,
+    ...(share.videoId ? { videoId: share.videoId } : {}),
+    createdAt: share.createdAt,
+    updatedAt: share.updatedAt
+  });
+
+  // Multi-path updates (relative to the root) that delete shares and their mirrors
+  function removeShareUpdates(owner, shares) {
+    const updates = {};
+    shares.forEach((share) => {
+      updates[`${sharesPath(owner)}/${share.shareId}`] = null;
+      updates[`${sharedWithMePath(share.grantee)}/${share.shareId}`] = null;
+    });
+    return updates;
+  }
+
+  async function list(owner) {
+    return toList(await adapter.get(sharesPath(owner)), 'shareId');
+  }
+
+  async function get(owner, shareId) {
+    const share = await adapter.get(`${sharesPath(owner)}/${shareId}`);
+    return share && { ...share, shareId };
+  }
+
+  async function listLinks(owner) {
+    return toList(await adapter.get(linksPath(owner)), 'token');
+  }
+
+  return {
+    list,
+    get,
+
+    // Shares other users have granted to grantee. Entries whose owner has
+    // since revoked them (or deleted their account) are skipped.
+    async listSharedWithMe(grantee) {
+      const entries = toList(await adapter.get(sharedWithMePath(grantee)), 'shareId');
+      const checked = await Promise.all(entries.map(async (entry) => (
+        (await get(entry.owner, entry.shareId)) ? entry : null
+      )));
+      return checked.filter(Boolean);
+    },
+
+    // Share with a user. Sharing the same thing with the same user again
+    // changes the role of the existing share. Resolves to { share, created }.
+    async grant(owner, { grantee, role, scope, videoId }) {
+      const existing = (await list(owner)).find((share) =>
+        share.grantee === grantee && share.scope === scope && (share.videoId || null) === (videoId || null)
+      );
+      const now = Date.now();
+      const shareId = existing ? existing.shareId : createId();
+      const share = {
+        grantee,
+        role,
+        scope,
+        ...(videoId ? { videoId } : {}),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      };
+
+      await adapter.update('', {
+        [`${sharesPath(owner)}/${shareId}`]: share,
+        [`${sharedWithMePath(grantee)}/${shareId}`]: mirror(owner, share)
+      });
+      return { share: { ...share, shareId }, created: !existing };
+    },
+
+    // Resolves to the updated share, or null if it doesn't exist
+    async setRole(owner, shareId, role) {
+      const current = await get(owner, shareId);
+      if (!current) return null;
+
+      const { shareId: ignored, ...rest } = current;
+      const share = { ...rest, role, updatedAt: Date.now() };
+      await adapter.update('', {
+        [`${sharesPath(owner)}/${shareId}`]: share,
+        [`${sharedWithMePath(share.grantee)}/${shareId}`]: mirror(owner, share)
+      });
+      return { ...share, shareId };
+    },
+
+    // Revoke a share. Resolves to the removed share, or null if it didn't exist.
+    async revoke(owner, shareId) {
+      const share = await get(owner, shareId);
+      if (!share) return null;
+      await adapter.update('', removeShareUpdates(owner, [share]));
+      return share;
+    },
+
+    // What grantee may do in owner's library.
+    // Resolves to { libraryRole, videoRoles: { [videoId]: role } }.
+    async accessFor(owner, grantee) {
+      const shares = (await list(owner)).filter((share) => share.grantee === grantee);
+      let libraryRole = null;
+      const videoRoles = {};
+      shares.forEach((share) => {
+        if (share.scope === 'library') {
+          libraryRole = strongerRole(libraryRole, share.role);
+        } else if (share.videoId) {
+          videoRoles[share.videoId] = strongerRole(videoRoles[share.videoId], share.role);
+        }
+      });
+      return { libraryRole, videoRoles };
+    },
+
+    listLinks,
+
+    // Create a public read-only link to the library, or to one video
+    async createLink(owner, { scope, videoId }) {
+      const token = crypto.randomBytes(24).toString('base64url');
+      const link = { owner, scope, ...(videoId ? { videoId } : {}), createdAt: Date.now() };
+      await adapter.update('', {
+        [`publicLinks/${token}`]: link,
+        [`${linksPath(owner)}/${token}`]: link
+      });
+      return { ...link, token };
+    },
+
+    async getLink(token) {
+      const link = await adapter.get(`publicLinks/${token}`);
+      return link && { ...link, token };
+    },
+
+    // Resolves to false if the owner has no such link
+    async revokeLink(owner, token) {
+      if (!(await adapter.get(`${linksPath(owner)}/${token}`))) return false;
+      await adapter.update('', {
+        [`publicLinks/${token}`]: null,
+        [`${linksPath(owner)}/${token}`]: null
+      });
+      return true;
+    },
+
+    // Drop the shares and links for one video, e.g. after it is deleted.
+    // Resolves to the number of shares and links removed.
+    async removeForVideo(owner, videoId) {
+      const [shares, links] = await Promise.all([list(owner), listLinks(owner)]);
+      const videoShares = shares.filter((share) => share.scope === 'video' && share.videoId === videoId);
+      const videoLinks = links.filter((link) => link.scope === 'video' && link.videoId === videoId);
+      if (videoShares.length === 0 && videoLinks.length === 0) return 0;
+
+      const updates = removeShareUpdates(owner, videoShares);
+      videoLinks.forEach((link) => {
+        updates[`publicLinks/${link.token}`] = null;
+        updates[`${linksPath(owner)}/${link.token}`] = null;
+      });
+      await adapter.update('', updates);
+      return videoShares.length + videoLinks.length;
+    },
+
+    // Multi-path updates (relative to the root) that clean up after a user is
+    // deleted: their shares' mirrors, shares granted to them and their public links.
+    async updatesForRemovedUser(username) {
+      const [shares, received, links] = await Promise.all([
+        list(username),
+        adapter.get(sharedWithMePath(username)).then((entries) => toList(entries, 'shareId')),
+        listLinks(username)
+      ]);
+      const updates = {};
+      shares.forEach((share) => { updates[`${sharedWithMePath(share.grantee)}/${share.shareId}`] = null; });
+      received.forEach((entry) => { updates[`${sharesPath(entry.owner)}/${entry.shareId}`] = null; });
+      links.forEach((link) => { updates[`publicLinks/${link.token}`] = null; });
+      return updates;
+    }
+  };
+}
+
+module.exports = {
+  createSharesStore
+};
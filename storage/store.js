@@ -0,0 +1,420 @@
+const { userPath } = require('./keys');
+const { createSetsStore } = require('./sets');
+const { createRevisionsStore } = require('./revisions');
+const { createFoldersStore } = require('./folders');
+const { createTagsStore } = require('./tags');
+const { createSharesStore } = require('./shares');
+const { createPerformancesStore } = require('./performances');
+const { createMappingProfilesStore } = require('./mappings');
+const { createHotcueTemplatesStore } = require('./hotcueTemplates');
+const { createTrashStore } = require('./trash');
+const { MAX_HOTCUES, HOTCUE_SCHEMA_VERSION, upgradeHotcues } = require('../lib/hotcues');
+
+// Videos carry a version number that goes up by one on every write.
+// Records saved before versioning count as version 0.
+function videoVersion(video) {
+  return (video && video.version) || 0;
+}
+
+// ifMatch is { any: true } (the video must exist) or { versions: [n, ...] }
+function versionMatches(video, ifMatch) {
+  if (!video) return false;
+  return ifMatch.any || ifMatch.versions.includes(videoVersion(video));
+}
+
+// Storage interface used by every route. Wraps a path-based adapter
+// (storage/firebase.js or storage/local.js) and owns the database layout:
+//
+//   /users/{username}                          user record (username, password hash, timestamps);
+//                                              the key is the encoded username (see storage/keys.js)
+//   /users/{username}/sessions/{sessionId}     login sessions
+//   /users/{username}/passwordReset            pending password reset (token hash, expiry)
+//   /users/{username}/videos/{videoId}         saved videos
+//   /users/{username}/videos/{videoId}/hotcues hotcues for a video
+//   /users/{username}/trash/{videoId}          deleted videos (see storage/trash.js)
+//   /users/{username}/sets/{setId}             VJ sets (see storage/sets.js)
+//   /users/{username}/folders/{folderId}       nested folders (see storage/folders.js)
+//   /users/{username}/tags/{tagId}             tags (see storage/tags.js)
+//   /users/{username}/revisions/{videoId}/...  video revision history (see storage/revisions.js)
+//   /users/{username}/shares/{shareId}         shares granted by the user (see storage/shares.js)
+//   /users/{username}/sharedWithMe/{shareId}   shares granted to the user
+//   /users/{username}/links/{token}            the user's public links
+//   /users/{username}/mappingProfiles/...      controller/keyboard mappings (see storage/mappings.js)
+//   /users/{username}/activeMappingProfileId   the mapping profile in use
+//   /users/{username}/hotcueTemplates/...      hotcue templates (see storage/hotcueTemplates.js)
+//   /users/{username}/performances/...         recorded performances (see storage/performances.js)
+//   /users/{username}/performanceEvents/...    their trigger events
+//   /publicLinks/{token}                       public read-only links
+//   /trashExpiry/{key}                         every trashed video, for the scheduled purge
+//   /metadata/{videoId}                        cached YouTube metadata (see lib/metadata.js)
+//   /meta/schemaVersion                        data migrations applied (see storage/migrations)
+function createStore(adapter, options = {}) {
+  const videoPath = (username, videoId) => `${userPath(username)}/videos/${videoId}`;
+  const revisions = createRevisionsStore(adapter, options.revisions);
+
+  // Atomically write a new video state and bump its version.
+  // buildVideo(current) returns the new record (current is null for a new video),
+  // null to write nothing, or undefined to abort. With ifMatch, the write only happens if the stored
+  // version still matches - otherwise nothing is written.
+  // The replaced state is then archived as a revision and old revisions pruned.
+  // Resolves to one of:
+  //   { video, previous, revisionId }
+  //   { conflict: true, current }   ifMatch didn't match (current is null if the video is gone)
+  //   { aborted: true, current }    buildVideo returned undefined
+  async function writeVideo(username, videoId, buildVideo, { reason = 'save', ifMatch } = {}) {
+    let previous = null;
+    let conflict = false;
+
+    const result = await adapter.transaction(videoPath(username, videoId), (current) => {
+      previous = current;
+      conflict = Boolean(ifMatch) && !versionMatches(current, ifMatch);
+      if (conflict) {
+        // Never abort on null - Firebase may not have read the real value yet (see storage/mutate.js)
+        return current === null ? null : undefined;
+      }
+      const video = buildVideo(current);
+      if (video === undefined || video === null) return video;
+      return { ...video, version: videoVersion(current) + 1 };
+    });
+
+    if (conflict) {
+      return { conflict: true, current: result.value };
+    }
+    if (!result.committed) {
+      return { aborted: true, current: result.value };
+    }
+
+    let revisionId = null;
+    if (previous) {
+      const snapshot = revisions.snapshot(previous, reason);
+      revisionId = snapshot.revisionId;
+      await adapter.set(`${userPath(username)}/${revisions.relativePath(videoId, revisionId)}`, snapshot.revision);
+      await revisions.prune(username, videoId);
+    }
+
+    return { video: result.value, previous, revisionId };
+  }
+
+  // The record save() writes for videoData over current (null for a new video)
+  function videoRecord(username, videoId, videoData, current) {
+    const now = Date.now();
+    const { folderId, tags, ...fields } = videoData;
+    return {
+      ...fields,
+      ...(current && current.folderId ? { folderId: current.folderId } : {}),
+      ...(current && current.tags ? { tags: current.tags } : {}),
+      videoId,
+      username: username, // Always store original username with video for reference
+      createdAt: (current && current.createdAt) || videoData.createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  const shares = createSharesStore(adapter);
+  const sets = createSetsStore(adapter);
+  const trash = createTrashStore(adapter, { ...options.trash, revisions, shares, sets });
+
+  const users = {
+    async get(username) {
+      return adapter.get(userPath(username));
+    },
+
+    async exists(username) {
+      return (await adapter.get(userPath(username))) !== null;
+    },
+
+    // Create a user record. Resolves false if the username is already taken.
+    async create(username, userData) {
+      const now = Date.now();
+      const result = await adapter.transaction(userPath(username), (current) => {
+        if (current !== null) return undefined;
+        return { ...userData, username, createdAt: now, updatedAt: now };
+      });
+      return result.committed;
+    },
+
+    // Change fields of the user record (e.g. the password hash)
+    async update(username, changes) {
+      await adapter.update(userPath(username), { ...changes, updatedAt: Date.now() });
+    },
+
+    // Delete the user and everything stored under them - videos, trash, sets,
+    // sessions, revisions, folders and tags - in a single write, together
+    // with their shares and public links (see storage/shares.js)
+    async remove(username) {
+      const [shareUpdates, trashUpdates] = await Promise.all([
+        shares.updatesForRemovedUser(username),
+        trash.updatesForRemovedUser(username)
+      ]);
+      await adapter.update('', { ...shareUpdates, ...trashUpdates, [userPath(username)]: null });
+    }
+  };
+
+  // One pending password reset per user; requesting another replaces it
+  const passwordResets = {
+    async save(username, reset) {
+      await adapter.set(`${userPath(username)}/passwordReset`, reset);
+    },
+
+    // Atomically use up a reset if tokenHash matches and it hasn't expired.
+    // Resolves to 'ok', 'expired' or 'invalid'. Expired resets are deleted.
+    async consume(username, tokenHash) {
+      let outcome = 'invalid';
+      await adapter.transaction(`${userPath(username)}/passwordReset`, (current) => {
+        outcome = 'invalid';
+        if (current === null) return null;
+        if (current.expiresAt <= Date.now()) {
+          outcome = 'expired';
+          return null;
+        }
+        if (current.tokenHash !== tokenHash) return undefined;
+        outcome = 'ok';
+        return null;
+      });
+      return outcome;
+    }
+  };
+
+  const sessions = {
+    async get(username, sessionId) {
+      return adapter.get(`${userPath(username)}/sessions/${sessionId}`);
+    },
+
+    async list(username) {
+      return (await adapter.get(`${userPath(username)}/sessions`)) || {};
+    },
+
+    async save(username, sessionId, session) {
+      await adapter.set(`${userPath(username)}/sessions/${sessionId}`, session);
+    },
+
+    async update(username, sessionId, changes) {
+      await adapter.update(`${userPath(username)}/sessions/${sessionId}`, changes);
+    },
+
+    async remove(username, sessionId) {
+      await adapter.remove(`${userPath(username)}/sessions/${sessionId}`);
+    },
+
+    async removeMany(username, sessionIds) {
+      if (sessionIds.length === 0) return;
+      const updates = {};
+      sessionIds.forEach((sessionId) => { updates[sessionId] = null; });
+      await adapter.update(`${userPath(username)}/sessions`, updates);
+    },
+
+    async removeAll(username) {
+      await adapter.remove(`${userPath(username)}/sessions`);
+    }
+  };
+
+  const videos = {
+    // Resolves to an object keyed by videoId
+    async list(username) {
+      return (await adapter.get(`${userPath(username)}/videos`)) || {};
+    },
+
+    // Like list(), but only videos whose createdAt/updatedAt (dateField)
+    // lies between from and to (ms timestamps, either may be omitted).
+    // The range is applied by the database, so it isn't loaded in full.
+    async query(username, { dateField = 'createdAt', from, to } = {}) {
+      if (from === undefined && to === undefined) {
+        return videos.list(username);
+      }
+      return (await adapter.query(`${userPath(username)}/videos`, {
+        orderByChild: dateField,
+        startAt: from,
+        endAt: to
+      })) || {};
+    },
+
+    async get(username, videoId) {
+      return adapter.get(videoPath(username, videoId));
+    },
+
+    // Resolves to the videoIds that aren't in the user's library
+    async missing(username, videoIds) {
+      const saved = await videos.list(username);
+      return [...new Set(videoIds)].filter((videoId) => !saved[videoId]);
+    },
+
+    // Save a video record, keeping createdAt from any existing record
+    // (a new record takes videoData.createdAt if given, e.g. on import).
+    // folderId and tags always come from the stored record - they are only
+    // changed through the folders and tags stores.
+    // The record being replaced is kept as a revision (reason defaults to 'save').
+    // Pass ifMatch to only save over a known version (see writeVideo).
+    // Resolves to { video, previous, isNew, revisionId } or { conflict: true, current }.
+    async save(username, videoId, videoData, { reason = 'save', ifMatch } = {}) {
+      const result = await writeVideo(username, videoId, (current) => videoRecord(username, videoId, videoData, current), { reason, ifMatch });
+
+      if (result.conflict) return result;
+      return { video: result.video, previous: result.previous, isNew: !result.previous, revisionId: result.revisionId };
+    },
+
+    // Save some videos and move others to the trash as a single change to the
+    // library. Records are built as in save() and replaced ones kept as
+    // revisions. The caller passes the stored videos it checked (previous,
+    // null for a new video). They are compared with the stored ones inside a
+    // transaction on the user's videos, so if any has been created, deleted or
+    // saved since, nothing is written; folder and tag changes made meanwhile
+    // (which keep the version) are carried over, as in save(). Revisions,
+    // trash entries and set changes follow in one multi-path update, as
+    // writeVideo() archives after its transaction.
+    //   saves:   [{ videoId, videoData, previous }]
+    //   deletes: [{ videoId, video }]
+    // Resolves to { saved: [{ video, previous, revisionId }], deleted: [{ videoId, item, removedFromSets }] }
+    // with removedFromSets listing set ids (see storage/trash.js for item),
+    // or { conflicts: [{ videoId, current }] } for the videos that changed.
+    async writeBatch(username, { saves = [], deletes = [] }, { reason = 'batch' } = {}) {
+      const checked = [
+        ...saves.map(({ videoId, previous }) => ({ videoId, expected: previous })),
+        ...deletes.map(({ videoId, video }) => ({ videoId, expected: video }))
+      ];
+
+      // Transactions can run more than once, so the last run decides
+      let conflicts = [];
+      let written = null;
+      const result = await adapter.transaction(`${userPath(username)}/videos`, (current) => {
+        const library = current || {};
+        conflicts = checked
+          .filter(({ videoId, expected }) => Boolean(expected) !== Boolean(library[videoId])
+            || videoVersion(expected) !== videoVersion(library[videoId]))
+          .map(({ videoId }) => ({ videoId, current: library[videoId] || null }));
+        if (conflicts.length > 0) {
+          // Never abort on null - Firebase may not have read the real value yet (see storage/mutate.js)
+          return current === null ? null : undefined;
+        }
+
+        const next = { ...library };
+        written = {
+          saved: saves.map(({ videoId, videoData }) => {
+            const previous = library[videoId] || null;
+            const video = { ...videoRecord(username, videoId, videoData, previous), version: videoVersion(previous) + 1 };
+            next[videoId] = video;
+            return { video, previous };
+          }),
+          deleted: deletes.map(({ videoId }) => {
+            delete next[videoId];
+            return { videoId, video: library[videoId] };
+          })
+        };
+        return next;
+      });
+
+      if (conflicts.length > 0 || !result.committed) {
+        return { conflicts };
+      }
+
+      const updates = {};
+      const saved = written.saved.map(({ video, previous }) => {
+        let revisionId = null;
+        if (previous) {
+          const snapshot = revisions.snapshot(previous, reason);
+          revisionId = snapshot.revisionId;
+          updates[`${userPath(username)}/${revisions.relativePath(video.videoId, revisionId)}`] = snapshot.revision;
+        }
+        return { video, previous, revisionId };
+      });
+
+      const fromSets = deletes.length > 0
+        ? await sets.updatesForRemovedVideos(username, deletes.map(({ videoId }) => videoId))
+        : { updates: {}, removed: {} };
+      Object.assign(updates, fromSets.updates);
+
+      const deletedAt = Date.now();
+      const deleted = written.deleted.map(({ videoId, video }) => {
+        const removedFromSets = fromSets.removed[videoId] || [];
+        const trashed = trash.updatesForAdd(username, videoId, video, { removedFromSets, deletedAt });
+        // The transaction already removed the video, which may have been saved again since
+        delete trashed.updates[videoPath(username, videoId)];
+        Object.assign(updates, trashed.updates);
+        return { videoId, item: trashed.item, removedFromSets: [...new Set(removedFromSets.map((removed) => removed.setId))] };
+      });
+
+      if (Object.keys(updates).length > 0) {
+        await adapter.update('', updates);
+      }
+      await Promise.all(saved.filter((item) => item.previous).map((item) => revisions.prune(username, item.video.videoId)));
+
+      return { saved, deleted };
+    }
+  };
+
+  const hotcues = {
+    async get(username, videoId) {
+      return (await adapter.get(`${videoPath(username, videoId)}/hotcues`)) || {};
+    },
+
+    // Change individual hotcues: changes maps key -> cue (set) or null (remove).
+    // Cues must already be validated. The old hotcues are kept as a revision.
+    // Resolves to { video, previous, revisionId }, { notFound: true }, { conflict: true, current }
+    // or { tooMany: true, current } if the result would exceed MAX_HOTCUES.
+    async patch(username, videoId, changes, { ifMatch } = {}) {
+      return hotcues.rewrite(username, videoId, (current) => {
+        const merged = { ...current };
+        Object.keys(changes).forEach((key) => {
+          if (changes[key] === null) {
+            delete merged[key];
+          } else {
+            merged[key] = changes[key];
+          }
+        });
+        return merged;
+      }, { ifMatch });
+    },
+
+    // Replace a video's hotcues with buildHotcues(current), current being the
+    // stored hotcues in the current schema. buildHotcues may run more than
+    // once. Resolves like patch().
+    async rewrite(username, videoId, buildHotcues, { ifMatch, reason = 'save' } = {}) {
+      const result = await writeVideo(username, videoId, (current) => {
+        if (current === null) return null;
+        const rewritten = buildHotcues(upgradeHotcues(current.hotcues));
+        if (Object.keys(rewritten).length > MAX_HOTCUES) return undefined;
+        return { ...current, hotcues: rewritten, hotcuesVersion: HOTCUE_SCHEMA_VERSION, updatedAt: Date.now() };
+      }, { ifMatch, reason });
+
+      if (result.conflict) return result;
+      if (result.aborted) return { tooMany: true, current: result.current };
+      if (!result.previous) return { notFound: true };
+      return { video: result.video, previous: result.previous, revisionId: result.revisionId };
+    }
+  };
+
+  const metadata = {
+    async get(videoId) {
+      return adapter.get(`metadata/${videoId}`);
+    },
+
+    async set(videoId, entry) {
+      await adapter.set(`metadata/${videoId}`, entry);
+    }
+  };
+
+  return {
+    backend: adapter.name,
+    adapter,
+    users,
+    sessions,
+    passwordResets,
+    videos,
+    hotcues,
+    sets,
+    folders: createFoldersStore(adapter),
+    tags: createTagsStore(adapter),
+    shares,
+    trash,
+    performances: createPerformancesStore(adapter),
+    mappingProfiles: createMappingProfilesStore(adapter),
+    hotcueTemplates: createHotcueTemplatesStore(adapter),
+    revisions,
+    metadata,
+    ping: () => adapter.ping(),
+    checkConnection: () => adapter.checkConnection()
+  };
+}
+
+module.exports = {
+  createStore
+};
@@ -0,0 +1,117 @@
+const { userPath, createId } = require('./keys');
+const { mutate } = require('./mutate');
+
+// Tags live at /users/{username}/tags/{tagId}:
+//   { name, color, createdAt, updatedAt }
+// Videos reference them as a map on the video record, tags: { [tagId]: true },
+// so a single tag can be removed from a video with a path write.
+function createTagsStore(adapter) {
+  const tagsPath = (username) => `${userPath(username)}/tags`;
+  const tagPath = (username, tagId) => `${tagsPath(username)}/${tagId}`;
+  const videoPath = (username, videoId) => `${userPath(username)}/videos/${videoId}`;
+
+  const withDefaults = (tagId, tag) => tag && ({ ...tag, tagId, color: tag.color || null });
+
+  // Change the tags of existing videos, leaving version and revisions alone
+  // (tagging isn't a content change). changeTags(tags, videoId) returns the new tag map.
+  // Resolves to the ids of the videos that exist.
+  async function retagVideos(username, videoIds, changeTags) {
+    const results = await Promise.all(videoIds.map(async (videoId) => {
+      const video = await mutate(adapter, videoPath(username, videoId), (current) => {
+        const { tags, ...rest } = current;
+        const updated = changeTags({ ...(tags || {}) }, videoId);
+        return Object.keys(updated).length > 0 ? { ...rest, tags: updated } : rest;
+      });
+      return video ? videoId : null;
+    }));
+    return results.filter(Boolean);
+  }
+
+  return {
+    // Resolves to an array of tags sorted by name
+    async list(username) {
+      const tags = (await adapter.get(tagsPath(username))) || {};
+      return Object.keys(tags)
+        .map((tagId) => withDefaults(tagId, tags[tagId]))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(username, tagId) {
+      return withDefaults(tagId, await adapter.get(tagPath(username, tagId)));
+    },
+
+    async create(username, { name, color }) {
+      const tagId = createId();
+      const now = Date.now();
+      const tag = { name, ...(color ? { color } : {}), createdAt: now, updatedAt: now };
+      await adapter.set(tagPath(username, tagId), tag);
+      return withDefaults(tagId, tag);
+    },
+
+    // Write a tag under a known id, replacing any tag already there (e.g. on import)
+    async put(username, tagId, { name, color }) {
+      const now = Date.now();
+      const tag = { name, ...(color ? { color } : {}), createdAt: now, updatedAt: now };
+      await adapter.set(tagPath(username, tagId), tag);
+      return withDefaults(tagId, tag);
+    },
+
+    // Rename a tag or change its color. Resolves to the tag, or null if it doesn't exist.
+    async update(username, tagId, fields) {
+      const tag = await mutate(adapter, tagPath(username, tagId), (current) => {
+        const { color, ...rest } = { ...current, ...fields, updatedAt: Date.now() };
+        return color ? { ...rest, color } : rest;
+      });
+      return withDefaults(tagId, tag);
+    },
+
+    // Delete a tag and take it off every video, in one multi-path write.
+    // Resolves to the ids of the videos that had it.
+    async remove(username, tagId) {
+      const videos = (await adapter.get(`${userPath(username)}/videos`)) || {};
+      const videoIds = Object.keys(videos).filter((videoId) => videos[videoId].tags && videos[videoId].tags[tagId]);
+
+      const updates = { [`tags/${tagId}`]: null };
+      videoIds.forEach((videoId) => { updates[`videos/${videoId}/tags/${tagId}`] = null; });
+      await adapter.update(userPath(username), updates);
+
+      return videoIds;
+    },
+
+    // Replace a video's tags. Resolves to false if the video doesn't exist.
+    async setVideoTags(username, videoId, tagIds) {
+      const updated = await retagVideos(username, [videoId], () =>
+        Object.fromEntries(tagIds.map((tagId) => [tagId, true]))
+      );
+      return updated.length > 0;
+    },
+
+    // Add a tag to videos, skipping any that already have maxPerVideo tags.
+    // Resolves to { videoIds, full } - the videos that have the tag now, and the ones that were full.
+    async addToVideos(username, videoIds, tagId, { maxPerVideo } = {}) {
+      // Transactions can run more than once, so the last run decides
+      const full = new Set();
+      const existing = await retagVideos(username, videoIds, (tags, videoId) => {
+        full.delete(videoId);
+        if (!tags[tagId] && Object.keys(tags).length >= maxPerVideo) {
+          full.add(videoId);
+          return tags;
+        }
+        return { ...tags, [tagId]: true };
+      });
+      return { videoIds: existing.filter((videoId) => !full.has(videoId)), full: [...full] };
+    },
+
+    // Take a tag off videos. Resolves to the ids of the videos that exist.
+    async removeFromVideos(username, videoIds, tagId) {
+      return retagVideos(username, videoIds, (tags) => {
+        delete tags[tagId];
+        return tags;
+      });
+    }
+  };
+}
+
+module.exports = {
+  createTagsStore
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { userPath } = require('./keys');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deleted videos go to the trash first, at /users/{username}/trash/{videoId}:
+//   { ...the video record, deletedAt, removedFromSets: [{ setId, index, entry }] }
+// The video's revisions, shares and links stay where they are until the item
+// is purged, so a restore brings everything back.
+//
+// /trashExpiry/{key} = { username, videoId, deletedAt } indexes every trashed
+// video across users, so expired items can be found with one query instead
+// of reading every user's trash. The key is a hash of username and videoId.
+//
+// Retention: items are purged retentionDays after they were deleted
+// (0 keeps them until the trash is emptied).
+function createTrashStore(adapter, { retentionDays = 30, revisions, shares, sets }) {
+  const trashPath = (username) => `${userPath(username)}/trash`;
+  const indexKey = (username, videoId) => crypto.createHash('sha256').update(`${username}/${videoId}`).digest('hex').slice(0, 40);
+
+  const expiresAt = (item) => (retentionDays > 0 ? item.deletedAt + retentionDays * DAY_MS : null);
+  const withId = (videoId, item) => item && ({ ...item, videoId, removedFromSets: item.removedFromSets || [], expiresAt: expiresAt(item) });
+
+  async function list(username) {
+    const items = (await adapter.get(trashPath(username))) || {};
+    return Object.keys(items)
+      .map((videoId) => withId(videoId, items[videoId]))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  // Purge trashed videos for good. The video's revisions, shares and links go
+  // too - unless a video with the same id has been saved again since.
+  // Resolves to the ids of the videos purged.
+  async function purge(username, videoIds) {
+    const [items, live] = await Promise.all([
+      adapter.get(trashPath(username)).then((value) => value || {}),
+      adapter.get(`${userPath(username)}/videos`).then((value) => value || {})
+    ]);
+    const purged = videoIds.filter((videoId) => items[videoId]);
+    if (purged.length === 0) return [];
+
+    const updates = {};
+    purged.forEach((videoId) => {
+      updates[`${trashPath(username)}/${videoId}`] = null;
+      updates[`trashExpiry/${indexKey(username, videoId)}`] = null;
+      if (!live[videoId]) {
+        updates[`${userPath(username)}/${revisions.relativePath(videoId)}`] = null;
+      }
+    });
+    await adapter.update('', updates);
+
+    await Promise.all(purged.filter((videoId) => !live[videoId]).map((videoId) => shares.removeForVideo(username, videoId)));
+    return purged;
+  }
+
+  return {
+    retentionDays,
+    list,
+    purge,
+
+    async get(username, videoId) {
+      return withId(videoId, await adapter.get(`${trashPath(username)}/${videoId}`));
+    },
+
+    // Multi-path updates (relative to the root) that move a video into the
+    // trash, to write together with other changes. Returns { updates, item }.
+    updatesForAdd(username, videoId, video, { removedFromSets = [], deletedAt = Date.now() } = {}) {
+      const item = { ...video, deletedAt, ...(removedFromSets.length > 0 ? { removedFromSets } : {}) };
+      delete item.videoId;
+      return {
+        updates: {
+          [`${userPath(username)}/videos/${videoId}`]: null,
+          [`${trashPath(username)}/${videoId}`]: item,
+          [`trashExpiry/${indexKey(username, videoId)}`]: { username, videoId, deletedAt }
+        },
+        item: withId(videoId, item)
+      };
+    },
+
+    // Move a video into the trash in one write. removedFromSets is what
+    // sets.removeVideo() took out, for restoring.
+    async add(username, videoId, video, { removedFromSets = [] } = {}) {
+      const { updates, item } = this.updatesForAdd(username, videoId, video, { removedFromSets });
+      await adapter.update('', updates);
+      return item;
+    },
+
+    // Put a trashed video back in the library. Its folder and tags are kept if
+    // they still exist (folderIds/tagIds are the ones that do), and it goes back
+    // into the sets it was taken out of (up to maxSetEntries per set).
+    // Resolves to one of:
+    //   { video, restoredToSets }
+    //   { notFound: true }
+    //   { exists: true }   a video with this id has been saved since
+    async restore(username, videoId, { folderIds, tagIds, maxSetEntries }) {
+      const item = await adapter.get(`${trashPath(username)}/${videoId}`);
+      if (!item) return { notFound: true };
+
+      const { deletedAt, removedFromSets, folderId, tags, ...video } = item;
+      const keptTags = Object.keys(tags || {}).filter((tagId) => tagIds.includes(tagId));
+      const result = await adapter.transaction(`${userPath(username)}/videos/${videoId}`, (current) => {
+        if (current !== null) return undefined;
+        return {
+          ...video,
+          ...(folderId && folderIds.includes(folderId) ? { folderId } : {}),
+          ...(keptTags.length > 0 ? { tags: Object.fromEntries(keptTags.map((tagId) => [tagId, true])) } : {}),
+          version: (video.version || 0) + 1,
+          updatedAt: Date.now()
+        };
+      });
+      if (!result.committed) return { exists: true };
+
+      await adapter.update('', {
+        [`${trashPath(username)}/${videoId}`]: null,
+        [`trashExpiry/${indexKey(username, videoId)}`]: null
+      });
+      const restoredToSets = await sets.restoreEntries(username, removedFromSets || [], { maxEntries: maxSetEntries });
+      return { video: { ...result.value, videoId }, restoredToSets };
+    },
+
+    // Purge items past the retention period - one user's, or everyone's.
+    // Resolves to the number of items purged.
+    async purgeExpired(username) {
+      if (retentionDays <= 0) return 0;
+      const cutoff = Date.now() - retentionDays * DAY_MS;
+
+      const byUser = new Map();
+      if (username) {
+        byUser.set(username, (await list(username)).filter((item) => item.deletedAt <= cutoff).map((item) => item.videoId));
+      } else {
+        const expired = (await adapter.query('trashExpiry', { orderByChild: 'deletedAt', endAt: cutoff })) || {};
+        Object.keys(expired).forEach((key) => {
+          const { username: owner, videoId } = expired[key];
+          byUser.set(owner, [...(byUser.get(owner) || []), videoId]);
+        });
+      }
+
+      let count = 0;
+      for (const [owner, videoIds] of byUser) {
+        if (videoIds.length === 0) continue;
+        const purged = await purge(owner, videoIds);
+        if (purged.length > 0) {
+          console.log(`Purged ${purged.length} expired videos from the trash of ${owner}`);
+        }
+        count += purged.length;
+      }
+      return count;
+    },
+
+    // Multi-path updates (relative to the root) that clean up the trash index
+    // after a user is deleted
+    async updatesForRemovedUser(username) {
+      const items = (await adapter.get(trashPath(username))) || {};
+      const updates = {};
+      Object.keys(items).forEach((videoId) => { updates[`trashExpiry/${indexKey(username, videoId)}`] = null; });
+      return updates;
+    }
+  };
+}
+
+module.exports = {
+  createTrashStore
+};
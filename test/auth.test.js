@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.close();
+});
+
+async function signup(username) {
+  const response = await app.request('POST', '/signup', { body: { username, password: 'correct horse battery' } });
+  assert.equal(response.status, 201);
+  return response.body;
+}
+
+async function login(username) {
+  const response = await app.request('POST', '/login', { body: { username, password: 'correct horse battery' } });
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+test('a refresh token is exchanged for a new working token pair', async () => {
+  const tokens = await signup('refresher');
+
+  const refreshed = await app.request('POST', '/token/refresh', { body: { refreshToken: tokens.refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.equal(refreshed.body.username, 'refresher');
+  assert.notEqual(refreshed.body.refreshToken, tokens.refreshToken);
+
+  const videos = await app.request('GET', '/videos', { token: refreshed.body.accessToken });
+  assert.equal(videos.status, 200);
+
+  const again = await app.request('POST', '/token/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.equal(again.status, 200);
+});
+
+test('reusing a refresh token revokes the session', async () => {
+  const tokens = await signup('reuser');
+  const refreshed = await app.request('POST', '/token/refresh', { body: { refreshToken: tokens.refreshToken } });
+  assert.equal(refreshed.status, 200);
+
+  const reused = await app.request('POST', '/token/refresh', { body: { refreshToken: tokens.refreshToken } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.type, 'TOKEN_REUSED');
+
+  // The token pair issued before the reuse belongs to the revoked session too
+  const latest = await app.request('POST', '/token/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.equal(latest.status, 401);
+  assert.equal(latest.body.type, 'SESSION_REVOKED');
+
+  const videos = await app.request('GET', '/videos', { token: refreshed.body.accessToken });
+  assert.equal(videos.status, 401);
+  assert.equal(videos.body.type, 'SESSION_REVOKED');
+});
+
+test('an access token is not accepted as a refresh token', async () => {
+  const tokens = await signup('mixup');
+
+  const response = await app.request('POST', '/token/refresh', { body: { refreshToken: tokens.accessToken } });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.type, 'INVALID_TOKEN');
+});
+
+test('logout revokes only the current session', async () => {
+  const first = await signup('leaver');
+  const second = await login('leaver');
+
+  const logout = await app.request('POST', '/logout', { token: first.accessToken, body: {} });
+  assert.equal(logout.status, 200);
+
+  const revoked = await app.request('GET', '/videos', { token: first.accessToken });
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.type, 'SESSION_REVOKED');
+
+  const refresh = await app.request('POST', '/token/refresh', { body: { refreshToken: first.refreshToken } });
+  assert.equal(refresh.status, 401);
+  assert.equal(refresh.body.type, 'SESSION_REVOKED');
+
+  const other = await app.request('GET', '/videos', { token: second.accessToken });
+  assert.equal(other.status, 200);
+});
+
+test('logout with all revokes every session', async () => {
+  const first = await signup('everywhere');
+  const second = await login('everywhere');
+
+  const logout = await app.request('POST', '/logout', { token: first.accessToken, body: { all: true } });
+  assert.equal(logout.status, 200);
+
+  for (const tokens of [first, second]) {
+    const videos = await app.request('GET', '/videos', { token: tokens.accessToken });
+    assert.equal(videos.status, 401);
+    const refresh = await app.request('POST', '/token/refresh', { body: { refreshToken: tokens.refreshToken } });
+    assert.equal(refresh.status, 401);
+  }
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestStore, startApp } = require('./helpers');
+
+const USER = 'batcher';
+
+function videoData(videoId, time = 1) {
+  return { youtubeUrl: `https://www.youtube.com/watch?v=${videoId}`, title: `Video ${videoId}`, hotcues: { q: { time } } };
+}
+
+// A store holding two saved videos; resolves to { store, first, second }
+async function storeWithVideos() {
+  const store = createTestStore();
+  const first = (await store.videos.save(USER, 'aaaaaaaaaaa', videoData('aaaaaaaaaaa'))).video;
+  const second = (await store.videos.save(USER, 'bbbbbbbbbbb', videoData('bbbbbbbbbbb'))).video;
+  return { store, first, second };
+}
+
+test('writeBatch saves and deletes when nothing changed since the check', async () => {
+  const { store, first, second } = await storeWithVideos();
+
+  const result = await store.videos.writeBatch(USER, {
+    saves: [
+      { videoId: 'aaaaaaaaaaa', videoData: videoData('aaaaaaaaaaa', 5), previous: first },
+      { videoId: 'ccccccccccc', videoData: videoData('ccccccccccc'), previous: null }
+    ],
+    deletes: [{ videoId: 'bbbbbbbbbbb', video: second }]
+  });
+
+  assert.equal(result.conflicts, undefined);
+  assert.deepEqual(result.saved.map(({ video }) => [video.videoId, video.version]), [['aaaaaaaaaaa', 2], ['ccccccccccc', 1]]);
+  assert.ok(result.saved[0].revisionId);
+
+  const library = await store.videos.list(USER);
+  assert.deepEqual(Object.keys(library).sort(), ['aaaaaaaaaaa', 'ccccccccccc']);
+  assert.equal(library.aaaaaaaaaaa.hotcues.q.time, 5);
+  assert.ok(await store.trash.get(USER, 'bbbbbbbbbbb'));
+  assert.equal((await store.revisions.list(USER, 'aaaaaaaaaaa')).length, 1);
+});
+
+test('writeBatch writes nothing when a checked video was saved since', async () => {
+  const { store, first, second } = await storeWithVideos();
+  await store.videos.save(USER, 'aaaaaaaaaaa', videoData('aaaaaaaaaaa', 9));
+
+  const result = await store.videos.writeBatch(USER, {
+    saves: [
+      { videoId: 'aaaaaaaaaaa', videoData: videoData('aaaaaaaaaaa', 5), previous: first },
+      { videoId: 'ccccccccccc', videoData: videoData('ccccccccccc'), previous: null }
+    ],
+    deletes: [{ videoId: 'bbbbbbbbbbb', video: second }]
+  });
+
+  assert.deepEqual(result.conflicts.map(({ videoId, current }) => [videoId, current.version]), [['aaaaaaaaaaa', 2]]);
+
+  const library = await store.videos.list(USER);
+  assert.deepEqual(Object.keys(library).sort(), ['aaaaaaaaaaa', 'bbbbbbbbbbb']);
+  assert.equal(library.aaaaaaaaaaa.hotcues.q.time, 9);
+  assert.equal(await store.trash.get(USER, 'bbbbbbbbbbb'), null);
+});
+
+test('writeBatch reports videos created or deleted since the check', async () => {
+  const { store, second } = await storeWithVideos();
+  await store.videos.save(USER, 'ccccccccccc', videoData('ccccccccccc'));
+  await store.videos.writeBatch(USER, { deletes: [{ videoId: 'bbbbbbbbbbb', video: second }] });
+
+  const result = await store.videos.writeBatch(USER, {
+    saves: [{ videoId: 'ccccccccccc', videoData: videoData('ccccccccccc', 3), previous: null }],
+    deletes: [{ videoId: 'bbbbbbbbbbb', video: second }]
+  });
+
+  assert.deepEqual(result.conflicts.map(({ videoId, current }) => [videoId, current && current.version]), [
+    ['ccccccccccc', 1],
+    ['bbbbbbbbbbb', null]
+  ]);
+  assert.equal((await store.videos.get(USER, 'ccccccccccc')).hotcues.q.time, 1);
+});
+
+test('writeBatch keeps tag changes made since the check', async () => {
+  const { store, first } = await storeWithVideos();
+  const tag = await store.tags.create(USER, { name: 'Loops' });
+  await store.tags.setVideoTags(USER, 'aaaaaaaaaaa', [tag.tagId]);
+
+  const result = await store.videos.writeBatch(USER, {
+    saves: [{ videoId: 'aaaaaaaaaaa', videoData: videoData('aaaaaaaaaaa', 5), previous: first }]
+  });
+
+  assert.equal(result.conflicts, undefined);
+  assert.deepEqual((await store.videos.get(USER, 'aaaaaaaaaaa')).tags, { [tag.tagId]: true });
+});
+
+test('POST /videos/batch rejects a stale version with 409 and applies nothing', async () => {
+  const app = await startApp();
+  try {
+    const signup = await app.request('POST', '/signup', { body: { username: USER, password: 'correct horse battery' } });
+    const token = signup.body.accessToken;
+    await app.store.videos.save(USER, 'aaaaaaaaaaa', videoData('aaaaaaaaaaa'));
+    await app.store.videos.save(USER, 'bbbbbbbbbbb', videoData('bbbbbbbbbbb'));
+
+    const response = await app.request('POST', '/videos/batch', {
+      token,
+      body: {
+        operations: [
+          { op: 'update', videoId: 'aaaaaaaaaaa', hotcues: { w: { time: 2 } }, version: 1 },
+          { op: 'delete', videoId: 'bbbbbbbbbbb', version: 0 }
+        ]
+      }
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.type, 'BATCH_REJECTED');
+    assert.deepEqual(response.body.failures.map((failure) => [failure.videoId, failure.error.type]), [['bbbbbbbbbbb', 'VERSION_CONFLICT']]);
+
+    const library = await app.store.videos.list(USER);
+    assert.deepEqual(Object.keys(library).sort(), ['aaaaaaaaaaa', 'bbbbbbbbbbb']);
+    assert.equal(library.aaaaaaaaaaa.hotcues.w, undefined);
+  } finally {
+    await app.close();
+  }
+});
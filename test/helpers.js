@@ -0,0 +1,48 @@
+// Shared setup for the node --test suite. Everything runs against the memory
+// backend, so no database or network access is needed.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { createApp } = require('../app');
+const { createStorage } = require('../storage');
+const { createLogger } = require('../lib/logger');
+
+function createTestStore() {
+  return createStorage({ STORAGE_BACKEND: 'memory' });
+}
+
+// Start the app on a free port. Resolves to { store, request, close }, where
+// request(method, url, { body, token }) resolves to { status, body }.
+async function startApp(options = {}) {
+  const store = options.store || createTestStore();
+  const app = createApp({ logger: createLogger({ write: () => {} }), ...options, store });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, { body, token } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    if (token) headers.authorization = `Bearer ${token}`;
+
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return { store, request, close };
+}
+
+module.exports = {
+  createTestStore,
+  startApp
+};
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLocalAdapter } = require('../storage/local');
+const { createMigrator } = require('../storage/migrations');
+
+// Users as the earlier _DOT_/_AT_ encoding stored them
+function legacyDatabase() {
+  return {
+    users: {
+      'dj_DOT_viper': { username: 'dj.viper', password: 'hash-1' },
+      'mc_AT_home': { password: 'hash-2' },
+      plain_user: { username: 'plain_user', password: 'hash-3' }
+    }
+  };
+}
+
+async function seededAdapter(data) {
+  const adapter = createLocalAdapter();
+  await adapter.set('', data);
+  return adapter;
+}
+
+test('username-keys moves legacy records to reversible keys', async () => {
+  const adapter = await seededAdapter(legacyDatabase());
+  const report = await createMigrator(adapter).run();
+
+  assert.equal(report.error, null);
+  assert.equal(report.from, 0);
+  assert.equal(report.to, 1);
+  assert.deepEqual(report.migrations[0].changes, [
+    { username: 'dj.viper', from: 'dj_DOT_viper', to: 'dj%2Eviper' },
+    { username: 'mc@home', from: 'mc_AT_home', to: 'mc@home' }
+  ]);
+
+  const users = await adapter.get('users');
+  assert.deepEqual(Object.keys(users).sort(), ['dj%2Eviper', 'mc@home', 'plain_user']);
+  assert.equal(users['mc@home'].username, 'mc@home');
+  assert.equal(users['dj%2Eviper'].password, 'hash-1');
+  assert.equal(await adapter.get('meta/schemaVersion'), 1);
+});
+
+test('running again after a migration changes nothing', async () => {
+  const adapter = await seededAdapter(legacyDatabase());
+  const migrator = createMigrator(adapter);
+  await migrator.run();
+  const migrated = await adapter.get('users');
+
+  const again = await migrator.run();
+  assert.equal(again.from, 1);
+  assert.deepEqual(again.migrations, []);
+
+  // Forget the recorded version, so the migration plans against its own output
+  await adapter.set('meta/schemaVersion', null);
+  const replanned = await migrator.run();
+  assert.equal(replanned.error, null);
+  assert.deepEqual(replanned.migrations[0].changes, []);
+  assert.deepEqual(replanned.migrations[0].conflicts, []);
+  assert.deepEqual(await adapter.get('users'), migrated);
+});
+
+test('a record whose new key is taken is reported and left in place', async () => {
+  const data = legacyDatabase();
+  data.users['dj%2Eviper'] = { username: 'dj.viper', password: 'hash-new' };
+  const adapter = await seededAdapter(data);
+
+  const report = await createMigrator(adapter).run();
+  assert.deepEqual(report.migrations[0].conflicts.map(({ from, to }) => ({ from, to })), [
+    { from: 'dj_DOT_viper', to: 'dj%2Eviper' }
+  ]);
+
+  const users = await adapter.get('users');
+  assert.equal(users['dj_DOT_viper'].password, 'hash-1');
+  assert.equal(users['dj%2Eviper'].password, 'hash-new');
+});
+
+test('a dry run reports the changes without writing them', async () => {
+  const adapter = await seededAdapter(legacyDatabase());
+  const report = await createMigrator(adapter).run({ dryRun: true });
+
+  assert.equal(report.to, 1);
+  assert.equal(report.migrations[0].changes.length, 2);
+  assert.deepEqual(await adapter.get('users'), legacyDatabase().users);
+  assert.equal(await adapter.get('meta'), null);
+});
+
+test('a failing migration rolls back the ones applied in the same run', async () => {
+  const adapter = await seededAdapter(legacyDatabase());
+  const failing = {
+    version: 2,
+    name: 'always-fails',
+    description: 'Fails while planning',
+    async plan() {
+      throw new Error('planned failure');
+    }
+  };
+  const migrator = createMigrator(adapter, [require('../storage/migrations/001-username-keys'), failing]);
+
+  const report = await migrator.run();
+  assert.equal(report.error, 'planned failure');
+  assert.deepEqual(report.rolledBack, [1]);
+  assert.equal(report.to, 0);
+  assert.deepEqual(await adapter.get('users'), legacyDatabase().users);
+  assert.equal(await adapter.get('meta'), null);
+});